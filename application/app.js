@@ -3,6 +3,74 @@
  * Uses TensorFlow.js to predict video success based on features
  */
 import { DataLoader } from './data-loader.js';
+import { PreprocessingPipeline } from './preprocessing-pipeline.js';
+import { regressionMetrics } from './regression-metrics.js';
+import { evaluateBinaryClassifier, rocAuc } from '../shared/classification-metrics.js';
+import {
+    INTERVAL_QUANTILES,
+    sampleDropoutPredictions,
+    predictionIntervals,
+    transformIntervals,
+    intervalCoverage
+} from './prediction-intervals.js';
+import { kFoldSplits, summarizeFolds } from '../shared/data-split.js';
+import { buildAveragingEnsemble, relativeAffine } from '../shared/ensemble.js';
+import { TrainingMonitor } from '../shared/training-monitor.js';
+import { fitBaseline, predictBaseline, describeBaseline, buildBaselineFile } from '../shared/baseline-models.js';
+import { permutationImportance, DEFAULT_PERMUTATION_REPEATS } from '../shared/feature-importance.js';
+import {
+    GRID_STEPS,
+    sweepValues,
+    featureSweep,
+    featureGrid,
+    drawSweepChart,
+    drawHeatmap
+} from '../shared/what-if.js';
+
+// Browser storage key for the trained model and its preprocessing pipeline
+const MODEL_STORAGE_URL = 'localstorage://video-success-predictor';
+
+// Training schedule shared by the hold-out run and every cross-validation fold
+const EPOCHS = 100;
+const BATCH_SIZE = 32;
+const VALIDATION_SPLIT = 0.2;
+
+// EPOCHS is an upper bound: training stops once the validation loss stalls and
+// keeps the weights of its best epoch
+const MONITOR_CONFIG = {
+    monitor: 'val_loss',
+    earlyStopping: true,
+    patience: 10,
+    reduceLrOnPlateau: true,
+    lrPatience: 5,
+    lrFactor: 0.5,
+    restoreBest: true
+};
+
+// Fold metrics per task: regressors are scored on view counts, classifiers
+// on their probabilities at a 0.5 decision threshold
+const CV_METRICS = {
+    regression: ['mae', 'rmse', 'r2'],
+    classification: ['accuracy', 'rocAuc', 'f1', 'logLoss']
+};
+
+const formatViews = value => Number.isFinite(value) ? Math.round(value).toLocaleString() : 'n/a';
+const formatScore = value => Number.isFinite(value) ? value.toFixed(4) : 'n/a';
+
+// Cross-validation table columns per task
+const CV_COLUMNS = {
+    regression: [
+        { key: 'mae', label: 'MAE (views)', format: formatViews },
+        { key: 'rmse', label: 'RMSE (views)', format: formatViews },
+        { key: 'r2', label: 'R²', format: formatScore }
+    ],
+    classification: [
+        { key: 'accuracy', label: 'Accuracy', format: formatScore },
+        { key: 'rocAuc', label: 'ROC-AUC', format: formatScore },
+        { key: 'f1', label: 'F1', format: formatScore },
+        { key: 'logLoss', label: 'Log loss', format: formatScore }
+    ]
+};
 
 class VideoSuccessPredictor {
     constructor() {
@@ -11,6 +79,10 @@ class VideoSuccessPredictor {
         this.isTraining = false;
         this.trainingHistory = [];
         this.testResults = null;
+        this.crossValidation = null;
+        this.schedule = null;
+        // Baselines of the latest hold-out run and their test metrics next to the network
+        this.baselines = [];
         
         // UI elements
         this.ui = {
@@ -19,12 +91,34 @@ class VideoSuccessPredictor {
             trainingLog: document.getElementById('trainingLog'),
             metricsDisplay: document.getElementById('metricsDisplay'),
             predictButton: document.getElementById('predictButton'),
+            retrainButton: document.getElementById('retrainButton'),
             sampleInputs: document.querySelectorAll('.sample-input'),
             predictionResult: document.getElementById('predictionResult'),
             modelStatus: document.getElementById('modelStatus'),
             trainTime: document.getElementById('trainTime'),
-            testTime: document.getElementById('testTime')
+            testTime: document.getElementById('testTime'),
+            cvFolds: document.getElementById('cvFolds'),
+            cvRepeats: document.getElementById('cvRepeats'),
+            cvSeed: document.getElementById('cvSeed'),
+            cvEnsemble: document.getElementById('cvEnsemble'),
+            cvButton: document.getElementById('cvButton'),
+            cvResults: document.getElementById('cvResults'),
+            encodingInputs: document.querySelectorAll('.encoding-select'),
+            targetTask: document.getElementById('targetTask'),
+            targetPercentile: document.getElementById('targetPercentile'),
+            baselineOptions: document.querySelectorAll('.baseline-option'),
+            baselineComparison: document.getElementById('baselineComparison'),
+            featureImportance: document.getElementById('featureImportance'),
+            whatIfFeature: document.getElementById('whatIfFeature'),
+            whatIfFeatureY: document.getElementById('whatIfFeatureY'),
+            whatIfMin: document.getElementById('whatIfMin'),
+            whatIfMax: document.getElementById('whatIfMax'),
+            whatIfButton: document.getElementById('whatIfButton'),
+            whatIfResult: document.getElementById('whatIfResult'),
+            whatIfChart: document.getElementById('whatIfChart')
         };
+        // Set once the what-if panel has been run, so input changes refresh it
+        this.whatIfActive = false;
         
         this.initializeEventListeners();
     }
@@ -37,6 +131,25 @@ class VideoSuccessPredictor {
             this.ui.predictButton.addEventListener('click', () => this.predictFromUI());
         }
         
+        if (this.ui.retrainButton) {
+            this.ui.retrainButton.addEventListener('click', () => this.retrain());
+        }
+        
+        if (this.ui.cvButton) {
+            this.ui.cvButton.addEventListener('click', () => this.runCrossValidation());
+        }
+        
+        if (this.ui.targetTask && this.ui.targetPercentile) {
+            this.ui.targetTask.addEventListener('change', () => {
+                this.ui.targetPercentile.disabled = this.ui.targetTask.value !== 'classification';
+            });
+        }
+        
+        if (this.ui.whatIfButton) {
+            this.ui.whatIfButton.addEventListener('click', () => this.runWhatIf());
+            this.ui.whatIfFeature.addEventListener('change', () => this.syncWhatIfRange());
+        }
+        
         // Update prediction when sample inputs change
         this.ui.sampleInputs.forEach(input => {
             input.addEventListener('change', () => this.updatePrediction());
@@ -45,46 +158,102 @@ class VideoSuccessPredictor {
     }
 
     /**
-     * Initialize and build the neural network model
+     * Fresh layers of the network
+     * @param {number} inputShape - Number of input features
+     * @param {Object} task - Pipeline task; classifiers end in a sigmoid
+     * @returns {Array} - Layers in order
      */
-    buildModel(inputShape) {
-        try {
-            this.model = tf.sequential();
-            
+    createLayers(inputShape, task) {
+        return [
             // Input layer + first hidden layer
-            this.model.add(tf.layers.dense({
+            tf.layers.dense({
                 units: 64,
                 activation: 'relu',
                 inputShape: [inputShape]
-            }));
+            }),
             
             // Dropout for regularization
-            this.model.add(tf.layers.dropout({ rate: 0.2 }));
+            tf.layers.dropout({ rate: 0.2 }),
             
             // Second hidden layer
-            this.model.add(tf.layers.dense({
+            tf.layers.dense({
                 units: 32,
                 activation: 'relu'
-            }));
+            }),
             
             // Third hidden layer
-            this.model.add(tf.layers.dense({
+            tf.layers.dense({
                 units: 16,
                 activation: 'relu'
-            }));
+            }),
             
-            // Output layer (single neuron for regression)
-            this.model.add(tf.layers.dense({
+            // Output layer: normalized log-views, or the probability of the top class
+            tf.layers.dense({
                 units: 1,
-                activation: 'linear'
-            }));
-            
-            // Compile the model
-            this.model.compile({
-                optimizer: tf.train.adam(0.001),
-                loss: 'meanSquaredError',
-                metrics: ['mse', 'mae']
-            });
+                activation: task.type === 'classification' ? 'sigmoid' : 'linear'
+            })
+        ];
+    }
+
+    /**
+     * Build and compile a network for a pipeline's encoded inputs and task
+     * Regressors minimize the squared error of normalized log-views, classifiers
+     * the binary cross-entropy of the above-percentile class.
+     * Embedding-encoded columns get their own branch: a frozen layer picks the
+     * column's one-hot block and a bias-free dense layer learns its embedding,
+     * which is concatenated with the other inputs before the hidden layers.
+     * @param {PreprocessingPipeline} pipeline - Fitted pipeline
+     * @returns {tf.LayersModel}
+     */
+    createModel(pipeline) {
+        const layout = pipeline.inputLayout();
+        const inputSize = pipeline.inputSize;
+        const embedded = layout.filter(block => block.type === 'embedding');
+        
+        let model;
+        if (embedded.length === 0) {
+            model = tf.sequential({ layers: this.createLayers(inputSize, pipeline.task) });
+        } else {
+            const input = tf.input({ shape: [inputSize] });
+            const selectors = [];
+            const select = columns => {
+                const kernel = tf.tensor2d(
+                    Array.from({ length: inputSize }, (_, row) => columns.map(col => (col === row ? 1 : 0)))
+                );
+                selectors.push(kernel);
+                return tf.layers.dense({ units: columns.length, useBias: false, trainable: false, weights: [kernel] })
+                    .apply(input);
+            };
+            const columnsOf = block => Array.from({ length: block.size }, (_, j) => block.start + j);
+            
+            const branches = embedded.map(block =>
+                tf.layers.dense({ units: block.dim, useBias: false }).apply(select(columnsOf(block)))
+            );
+            const plain = layout.filter(block => block.type !== 'embedding').flatMap(columnsOf);
+            if (plain.length > 0) {
+                branches.unshift(select(plain));
+            }
+            
+            const merged = branches.length > 1 ? tf.layers.concatenate().apply(branches) : branches[0];
+            const hiddenInputs = plain.length + embedded.reduce((sum, block) => sum + block.dim, 0);
+            const output = this.createLayers(hiddenInputs, pipeline.task).reduce((tensor, layer) => layer.apply(tensor), merged);
+            model = tf.model({ inputs: input, outputs: output });
+            tf.dispose(selectors);
+        }
+        
+        model.compile(pipeline.isClassifier
+            ? { optimizer: tf.train.adam(0.001), loss: 'binaryCrossentropy', metrics: ['accuracy'] }
+            : { optimizer: tf.train.adam(0.001), loss: 'meanSquaredError', metrics: ['mse', 'mae'] });
+        return model;
+    }
+
+    /**
+     * Initialize and build the neural network model
+     * @param {PreprocessingPipeline} pipeline - Fitted pipeline the model reads inputs from
+     */
+    buildModel(pipeline) {
+        try {
+            this.model = this.createModel(pipeline);
             
             console.log('Model built successfully');
             this.updateUIStatus('Model built', 'success');
@@ -97,7 +266,9 @@ class VideoSuccessPredictor {
     }
 
     /**
-     * Train the model
+     * Train the model, then test it when test rows are given
+     * Resolves once testing has finished, so the caller's next steps never run
+     * alongside its MC-dropout passes; a failed test rejects.
      * @param {Array} trainFeatures - Training features
      * @param {Array} trainLabels - Training labels
      * @param {Array} testFeatures - Testing features (optional)
@@ -109,6 +280,7 @@ class VideoSuccessPredictor {
             return;
         }
         
+        let history;
         try {
             this.isTraining = true;
             this.trainingHistory = [];
@@ -118,51 +290,38 @@ class VideoSuccessPredictor {
             const trainFeatureTensor = tf.tensor2d(trainFeatures);
             const trainLabelTensor = tf.tensor1d(trainLabels);
             
-            let validationData = null;
-            if (testFeatures && testLabels) {
-                validationData = [
-                    tf.tensor2d(testFeatures),
-                    tf.tensor1d(testLabels)
-                ];
-            }
-            
             const startTime = performance.now();
+            const monitor = new TrainingMonitor(this.model, MONITOR_CONFIG);
             
-            // Train the model
-            const history = await this.model.fit(trainFeatureTensor, trainLabelTensor, {
-                epochs: 100,
-                batchSize: 32,
-                validationSplit: 0.2,
-                validationData: validationData,
+            // Train the model; early stopping watches a slice of the training rows
+            // so the test rows stay unseen until testModel
+            history = await this.model.fit(trainFeatureTensor, trainLabelTensor, {
+                epochs: EPOCHS,
+                batchSize: BATCH_SIZE,
+                validationSplit: VALIDATION_SPLIT,
                 callbacks: {
-                    onEpochEnd: (epoch, logs) => {
+                    onEpochEnd: this.monitorEpochEnd(this.model, monitor, (epoch, logs) => {
                         this.trainingHistory.push({
                             epoch: epoch + 1,
                             loss: logs.loss,
                             valLoss: logs.val_loss,
                             mae: logs.mae,
-                            valMae: logs.val_mae
+                            valMae: logs.val_mae,
+                            learningRate: monitor.learningRate
                         });
                         
                         this.updateTrainingProgress(epoch + 1, logs);
-                        
-                        // Dispose intermediate tensors to prevent memory leaks
-                        tf.dispose([trainFeatureTensor, trainLabelTensor]);
-                        if (validationData) {
-                            tf.dispose(validationData);
-                        }
-                    },
+                    }),
                     onTrainEnd: () => {
+                        const restored = monitor.restore(this.trainingHistory.length - 1);
+                        this.schedule = { ...monitor.summary(), epochsRun: this.trainingHistory.length, restored };
+                        
                         const endTime = performance.now();
                         const trainingTime = ((endTime - startTime) / 1000).toFixed(2);
                         this.ui.trainTime.textContent = trainingTime;
                         this.updateUIStatus('Training completed', 'success');
+                        this.displaySchedule();
                         this.isTraining = false;
-                        
-                        // Test the model immediately after training
-                        if (testFeatures && testLabels) {
-                            this.testModel(testFeatures, testLabels);
-                        }
                     }
                 }
             });
@@ -170,12 +329,6 @@ class VideoSuccessPredictor {
             // Cleanup tensors
             trainFeatureTensor.dispose();
             trainLabelTensor.dispose();
-            if (validationData) {
-                validationData[0].dispose();
-                validationData[1].dispose();
-            }
-            
-            return history;
             
         } catch (error) {
             console.error('Error training model:', error);
@@ -183,6 +336,45 @@ class VideoSuccessPredictor {
             this.isTraining = false;
             throw error;
         }
+        
+        // Test the model immediately after training
+        if (testFeatures && testLabels) {
+            await this.testModel(testFeatures, testLabels);
+        }
+        return history;
+    }
+
+    /**
+     * model.fit onEpochEnd callback that reports the validation loss to the
+     * monitor and stops training when it says so
+     * @param {tf.LayersModel} model - Model being fitted
+     * @param {TrainingMonitor} monitor - Monitor created for this fit
+     * @param {Function} [onEpochEnd] - (epoch, logs) callback run afterwards
+     */
+    monitorEpochEnd(model, monitor, onEpochEnd = null) {
+        return (epoch, logs) => {
+            const { stop } = monitor.update(epoch, logs.val_loss);
+            if (stop) {
+                model.stopTraining = true;
+            }
+            if (onEpochEnd) {
+                onEpochEnd(epoch, logs);
+            }
+        };
+    }
+
+    /**
+     * Show where training stopped and which epoch's weights are kept
+     */
+    displaySchedule() {
+        if (!this.schedule || !this.ui.trainingStatus) return;
+        
+        const { bestEpoch, epochsRun, stoppedEarly, restored, finalLearningRate } = this.schedule;
+        let text = stoppedEarly
+            ? `Stopped early after ${epochsRun}/${EPOCHS} epochs`
+            : `Trained ${epochsRun}/${EPOCHS} epochs`;
+        text += ` - best epoch ${bestEpoch}${restored ? ' (weights restored)' : ''}, LR ${finalLearningRate}`;
+        this.ui.trainingStatus.textContent = text;
     }
 
     /**
@@ -191,6 +383,10 @@ class VideoSuccessPredictor {
      * @param {Array} testLabels - Test labels
      */
     async testModel(testFeatures, testLabels) {
+        if (this.dataLoader.pipeline.isClassifier) {
+            return this.testClassifier(testFeatures, testLabels);
+        }
+        
         try {
             this.updateUIStatus('Testing model...', 'info');
             const startTime = performance.now();
@@ -215,14 +411,23 @@ class VideoSuccessPredictor {
             const ssTot = tf.sum(tf.square(tf.sub(testLabelTensor, meanLabel)));
             const r2 = 1 - (await ssRes.data())[0] / (await ssTot.data())[0];
             
+            // MC-dropout intervals, checked against the actual view counts
+            const intervals = await this.predictIntervals(testFeatures);
+            const interval = {
+                level: INTERVAL_QUANTILES.upper - INTERVAL_QUANTILES.lower,
+                ...intervalCoverage(this.dataLoader.inverseTransformLabels(testLabels), intervals)
+            };
+            
             const endTime = performance.now();
             const testTime = ((endTime - startTime) / 1000).toFixed(2);
             this.ui.testTime.textContent = testTime;
             
             this.testResults = {
+                task: 'regression',
                 mse: mseValue,
                 mae: maeValue,
                 r2: r2,
+                interval,
                 predictions: Array.from(predictions),
                 actual: testLabels,
                 testTime: testTime
@@ -241,6 +446,326 @@ class VideoSuccessPredictor {
         }
     }
 
+    /**
+     * Central prediction intervals of total views by MC-dropout
+     * @param {Array} features - Encoded feature rows
+     * @returns {Promise<Array<Object>>} - { lower, median, upper } views per row
+     */
+    async predictIntervals(features) {
+        const samples = await sampleDropoutPredictions(this.model, features);
+        return transformIntervals(predictionIntervals(samples), values => this.dataLoader.inverseTransformLabels(values));
+    }
+
+    /**
+     * Test the classifier on unseen data
+     * @param {Array} testFeatures - Test features
+     * @param {Array} testLabels - Test labels (0/1)
+     */
+    async testClassifier(testFeatures, testLabels) {
+        try {
+            this.updateUIStatus('Testing model...', 'info');
+            const startTime = performance.now();
+            
+            const testFeatureTensor = tf.tensor2d(testFeatures);
+            const predictionsTensor = this.model.predict(testFeatureTensor);
+            const predictions = Array.from(await predictionsTensor.data());
+            tf.dispose([testFeatureTensor, predictionsTensor]);
+            
+            const testTime = ((performance.now() - startTime) / 1000).toFixed(2);
+            this.ui.testTime.textContent = testTime;
+            
+            this.testResults = {
+                task: 'classification',
+                ...evaluateBinaryClassifier(testLabels, predictions),
+                positiveRate: testLabels.filter(label => label === 1).length / testLabels.length,
+                predictions,
+                actual: testLabels,
+                testTime: testTime
+            };
+            
+            this.displayMetrics();
+            this.updateUIStatus('Testing completed', 'success');
+            
+        } catch (error) {
+            console.error('Error testing model:', error);
+            this.updateUIStatus('Testing failed', 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Fit the baselines ticked in the UI on the training split and score them
+     * and the network on the test split with the cross-validation metrics
+     * @param {Array} trainFeatures - Training features
+     * @param {Array} trainLabels - Training labels
+     * @param {Array} testFeatures - Testing features
+     * @param {Array} testLabels - Testing labels
+     * @returns {Promise<Array<Object>>} - { name, description, metrics } rows, network first
+     */
+    async compareBaselines(trainFeatures, trainLabels, testFeatures, testLabels) {
+        const names = Array.from(this.ui.baselineOptions)
+            .filter(input => input.checked)
+            .map(input => input.value);
+        this.baselines = [];
+        if (names.length === 0) {
+            this.displayBaselines([]);
+            return [];
+        }
+        
+        const pipeline = this.dataLoader.pipeline;
+        const score = predictions => (pipeline.isClassifier
+            ? evaluateBinaryClassifier(testLabels, predictions)
+            : regressionMetrics(pipeline.inverseTransformLabels(testLabels), pipeline.inverseTransformLabels(predictions)));
+        
+        const testTensor = tf.tensor2d(testFeatures);
+        const predictionTensor = this.model.predict(testTensor);
+        const networkPredictions = Array.from(await predictionTensor.data());
+        tf.dispose([testTensor, predictionTensor]);
+        
+        this.baselines = names.map(name => {
+            const model = fitBaseline(name, trainFeatures, trainLabels, { task: pipeline.task.type });
+            return { name, description: describeBaseline(model), model, metrics: score(predictBaseline(model, testFeatures)) };
+        });
+        const rows = [
+            { name: 'network', description: 'Neural network', metrics: score(networkPredictions) },
+            ...this.baselines
+        ];
+        this.displayBaselines(rows);
+        return rows;
+    }
+
+    /**
+     * Permutation importance on the test split: the drop in R² of log views
+     * (regression) or ROC-AUC (classification) when one feature is shuffled.
+     * Encoded columns of the same feature, e.g. a one-hot block, move together.
+     * @param {Array} testFeatures - Encoded test features
+     * @param {Array} testLabels - Normalized test labels
+     * @returns {Promise<Object>} - { metric, baseline, repeats, features: [{ name, mean, std }] }
+     */
+    async computeFeatureImportance(testFeatures, testLabels) {
+        const pipeline = this.dataLoader.pipeline;
+        const predict = async rows => {
+            const input = tf.tensor2d(rows);
+            const output = this.model.predict(input);
+            const predictions = Array.from(await output.data());
+            tf.dispose([input, output]);
+            return predictions;
+        };
+        const groups = pipeline.inputLayout().map(({ name, start, size }) => ({
+            name,
+            columns: Array.from({ length: size }, (_, i) => start + i)
+        }));
+        
+        const { baseline, features } = await permutationImportance(predict, testFeatures, testLabels, {
+            score: pipeline.isClassifier ? rocAuc : (labels, predictions) => regressionMetrics(labels, predictions).r2,
+            groups,
+            repeats: DEFAULT_PERMUTATION_REPEATS
+        });
+        const importance = {
+            metric: pipeline.isClassifier ? 'ROC-AUC' : 'R² (log views)',
+            baseline,
+            repeats: DEFAULT_PERMUTATION_REPEATS,
+            features
+        };
+        this.displayFeatureImportance(importance);
+        return importance;
+    }
+
+    /**
+     * Signed bars of the score drop per feature, largest first
+     * @param {Object} importance - Result of computeFeatureImportance
+     */
+    displayFeatureImportance({ metric, baseline, repeats, features }) {
+        if (!this.ui.featureImportance) return;
+        
+        const ranked = [...features].sort((a, b) => b.mean - a.mean);
+        const scale = Math.max(...ranked.map(({ mean }) => Math.abs(mean))) || 1;
+        const rows = ranked.map(({ name, mean, std }) => `
+                <tr>
+                    <td>${name}</td>
+                    <td>${formatScore(mean)} ± ${formatScore(std)}</td>
+                    <td class="importance-cell"><div class="importance-bar${mean < 0 ? ' negative' : ''}" style="width: ${(Math.abs(mean) / scale * 100).toFixed(1)}%"></div></td>
+                </tr>`).join('');
+        
+        this.ui.featureImportance.innerHTML = `
+            <table class="table table-sm cv-table">
+                <thead>
+                    <tr><th>Feature (test split)</th><th>${metric} drop</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="small text-muted">Permutation importance: each feature shuffled ${repeats} times across test rows, from a test ${metric} of ${formatScore(baseline)}. Drops near zero or below mean the model does not rely on that feature.</p>
+        `;
+    }
+
+    /**
+     * Repeated k-fold cross-validation of the configured task
+     * Each fold fits its own preprocessing pipeline on its training rows; regression
+     * metrics are computed on view counts, classification metrics on the fold's
+     * own above-percentile labels. With `ensemble` the fold models are merged into
+     * one averaging model over a pipeline fitted on all rows, which replaces the
+     * app model.
+     * @param {Object} options - { k, repeats, seed, ensemble }
+     * @returns {Promise<Object>} - { task, k, repeats, seed, folds, summary, ensembleSize }
+     */
+    async crossValidate({ k = 5, repeats = 1, seed = 42, ensemble = false } = {}) {
+        if (!this.dataLoader.data) {
+            await this.dataLoader.loadCSV('data.csv');
+        }
+        
+        if (ensemble && !this.dataLoader.createPipeline().supportsEnsemble) {
+            throw new Error('Fold ensembles need min-max, one-hot or cyclical encodings');
+        }
+        
+        const task = this.dataLoader.task.type;
+        const splits = kFoldSplits(this.dataLoader.data.length, { k, repeats, seed });
+        const folds = [];
+        const members = [];
+        const startTime = performance.now();
+        
+        try {
+            for (let i = 0; i < splits.length; i++) {
+                const split = splits[i];
+                const fold = this.dataLoader.prepareFold(split);
+                const model = this.createModel(fold.pipeline);
+                
+                const trainX = tf.tensor2d(fold.trainFeatures);
+                const trainY = tf.tensor1d(fold.trainLabels);
+                const monitor = new TrainingMonitor(model, MONITOR_CONFIG);
+                let epochsRun = 0;
+                await model.fit(trainX, trainY, {
+                    epochs: EPOCHS,
+                    batchSize: BATCH_SIZE,
+                    validationSplit: VALIDATION_SPLIT,
+                    callbacks: {
+                        onEpochEnd: this.monitorEpochEnd(model, monitor, (epoch, logs) => {
+                            epochsRun = epoch + 1;
+                            const progress = ((i + epochsRun / EPOCHS) / splits.length) * 100;
+                            this.ui.trainingProgress.style.width = `${progress}%`;
+                            this.ui.trainingStatus.textContent =
+                                `Fold ${i + 1}/${splits.length} - Epoch ${epochsRun}/${EPOCHS} - Loss: ${logs.loss?.toFixed(4)}`;
+                        })
+                    }
+                });
+                monitor.restore(epochsRun - 1);
+                tf.dispose([trainX, trainY]);
+                
+                const valX = tf.tensor2d(fold.valFeatures);
+                const predictionTensor = model.predict(valX);
+                const predictions = Array.from(await predictionTensor.data());
+                tf.dispose([valX, predictionTensor]);
+                
+                const metrics = fold.pipeline.isClassifier
+                    ? evaluateBinaryClassifier(fold.valLabels, predictions)
+                    : regressionMetrics(fold.valViews, fold.pipeline.inverseTransformLabels(predictions));
+                folds.push({
+                    repeat: split.repeat,
+                    fold: split.fold,
+                    trainSamples: split.train.length,
+                    valSamples: split.validation.length,
+                    bestEpoch: monitor.summary().bestEpoch,
+                    ...Object.fromEntries(CV_METRICS[task].map(key => [key, metrics[key]]))
+                });
+                this.displayCrossValidation({ task, k, repeats, folds, summary: summarizeFolds(folds, CV_METRICS[task]) });
+                
+                if (ensemble) {
+                    members.push({ model, pipeline: fold.pipeline });
+                } else {
+                    model.dispose();
+                }
+            }
+            
+            this.crossValidation = { task, k, repeats, seed, folds, summary: summarizeFolds(folds, CV_METRICS[task]) };
+            this.ui.trainTime.textContent = ((performance.now() - startTime) / 1000).toFixed(2);
+            
+            if (ensemble) {
+                this.useEnsemble(members);
+                this.crossValidation.ensembleSize = members.length;
+            }
+            return this.crossValidation;
+            
+        } finally {
+            members.forEach(member => member.model.dispose());
+        }
+    }
+
+    /**
+     * Replace the app model with the average of the fold models
+     * Each member's feature scaling and log-label scaling are folded into its
+     * first and last dense layers, so the merged model reads inputs and writes
+     * outputs through one pipeline fitted on all rows. Classifier members output
+     * probabilities, which are averaged as they are.
+     * @param {Array<Object>} members - { model, pipeline } per fold
+     */
+    useEnsemble(members) {
+        this.dataLoader.preprocessData();
+        const shared = this.dataLoader.pipeline;
+        const sharedLabels = shared.labelNormalizer;
+        const sharedRange = (sharedLabels.max - sharedLabels.min) || 1;
+        
+        const ensemble = buildAveragingEnsemble(
+            members.map(({ model, pipeline }) => {
+                const { min, max } = pipeline.labelNormalizer;
+                return {
+                    model,
+                    inputAffine: relativeAffine(shared.featureAffine(), pipeline.featureAffine()),
+                    outputAffine: shared.isClassifier ? null : {
+                        scale: (max - min) / sharedRange,
+                        shift: (min - sharedLabels.min) / sharedRange
+                    }
+                };
+            }),
+            () => this.createLayers(shared.inputSize, shared.task),
+            shared.inputSize
+        );
+        
+        if (this.model) {
+            this.model.dispose();
+        }
+        this.model = ensemble;
+    }
+
+    /**
+     * Train and evaluate with the cross-validation settings from the UI
+     */
+    async runCrossValidation() {
+        if (this.isTraining) return;
+        
+        const options = {
+            k: parseInt(this.ui.cvFolds.value, 10),
+            repeats: parseInt(this.ui.cvRepeats.value, 10) || 1,
+            seed: parseInt(this.ui.cvSeed.value, 10) || 0,
+            ensemble: this.ui.cvEnsemble.checked
+        };
+        
+        try {
+            this.isTraining = true;
+            this.ui.cvButton.disabled = true;
+            this.ui.retrainButton.disabled = true;
+            this.updateUIStatus(`Cross-validating (${options.k}-fold x ${options.repeats})...`, 'info');
+            this.applyEncodingSettings();
+            this.applyTargetSettings();
+            
+            const result = await this.crossValidate(options);
+            if (result.ensembleSize) {
+                await this.saveModel();
+                this.enablePrediction();
+                this.updatePrediction();
+                this.updateUIStatus(`Cross-validation completed, ${result.ensembleSize}-model ensemble saved`, 'success');
+            } else {
+                this.updateUIStatus('Cross-validation completed', 'success');
+            }
+            
+        } catch (error) {
+            console.error('Cross-validation failed:', error);
+            this.updateUIStatus(`Cross-validation failed: ${error.message}`, 'error');
+        } finally {
+            this.isTraining = false;
+            this.ui.cvButton.disabled = false;
+            this.ui.retrainButton.disabled = false;
+        }
+    }
+
     /**
      * Make prediction from UI inputs
      */
@@ -251,42 +776,30 @@ class VideoSuccessPredictor {
         }
         
         try {
-            // Collect input values
-            const inputs = [];
-            this.ui.sampleInputs.forEach(input => {
-                let value = parseFloat(input.value);
-                if (isNaN(value)) {
-                    value = 0;
-                }
-                inputs.push(value);
-            });
+            const inputs = this.readSampleInputs();
             
-            // Normalize inputs (simplified - in real app, use same normalizers as training)
-            const normalizedInputs = inputs.map((val, idx) => {
-                // Simple normalization - in production, use the same normalizers as training data
-                return Math.min(Math.max(val / 100, 0), 1);
-            });
-            
-            // Make prediction
-            const inputTensor = tf.tensor2d([normalizedInputs]);
-            const predictionTensor = this.model.predict(inputTensor);
-            const prediction = (await predictionTensor.data())[0];
-            
-            // Inverse transform prediction
-            const viewsPredicted = this.dataLoader.inverseTransformLabels([prediction])[0];
+            // Normalize inputs with the same fitted pipeline used for training
+            const normalizedInputs = this.dataLoader.pipeline.transformFeatures([inputs])[0];
             
             // Display result
-            this.ui.predictionResult.innerHTML = `
-                <div class="alert alert-success">
-                    <h4>Predicted Total Views:</h4>
-                    <p class="display-4">${Math.round(viewsPredicted).toLocaleString()}</p>
-                    <small>Based on provided video characteristics</small>
-                </div>
-            `;
-            
-            // Cleanup
-            inputTensor.dispose();
-            predictionTensor.dispose();
+            if (this.dataLoader.pipeline.isClassifier) {
+                const inputTensor = tf.tensor2d([normalizedInputs]);
+                const predictionTensor = this.model.predict(inputTensor);
+                this.displayClassPrediction((await predictionTensor.data())[0]);
+                tf.dispose([inputTensor, predictionTensor]);
+            } else {
+                // Median and range of MC-dropout samples, in views
+                const [{ lower, median, upper }] = await this.predictIntervals([normalizedInputs]);
+                const level = Math.round((INTERVAL_QUANTILES.upper - INTERVAL_QUANTILES.lower) * 100);
+                this.ui.predictionResult.innerHTML = `
+                    <div class="alert alert-success">
+                        <h4>Predicted Total Views:</h4>
+                        <p class="display-4">${Math.round(median).toLocaleString()}</p>
+                        <p class="mb-1">${level}% range: ${Math.round(lower).toLocaleString()} – ${Math.round(upper).toLocaleString()}</p>
+                        <small>Median of MC-dropout samples, based on provided video characteristics</small>
+                    </div>
+                `;
+            }
             
         } catch (error) {
             console.error('Error making prediction:', error);
@@ -298,6 +811,242 @@ class VideoSuccessPredictor {
         }
     }
 
+    /**
+     * Show a classifier output as the chance of reaching the top views percentile
+     * @param {number} probability - Model output
+     */
+    displayClassPrediction(probability) {
+        const { threshold } = this.dataLoader.labelNormalizer;
+        const likely = probability >= 0.5;
+        this.ui.predictionResult.innerHTML = `
+            <div class="alert ${likely ? 'alert-success' : 'alert-secondary'}">
+                <h4>Chance of reaching the ${this.describeTarget()} of videos:</h4>
+                <p class="display-4">${(probability * 100).toFixed(1)}%</p>
+                <small>${likely ? 'Likely' : 'Unlikely'} to exceed ${Math.round(threshold).toLocaleString()} total views</small>
+            </div>
+        `;
+    }
+
+    /**
+     * Name of the classifier's positive class, e.g. "top 20%"
+     */
+    describeTarget() {
+        const { quantile } = this.dataLoader.pipeline.task;
+        return `top ${Math.round((1 - quantile) * 100)}%`;
+    }
+
+    /**
+     * Save the model to browser storage with the fitted preprocessing pipeline embedded
+     */
+    async saveModel() {
+        this.model.setUserDefinedMetadata({
+            preprocessing: this.dataLoader.pipeline.toJSON()
+        });
+        await this.model.save(MODEL_STORAGE_URL);
+        console.log('Model and preprocessing pipeline saved');
+    }
+
+    /**
+     * Load a previously saved model and its preprocessing pipeline
+     * @returns {Promise<boolean>} - True if a usable model was restored
+     */
+    async loadSavedModel() {
+        const savedModels = await tf.io.listModels();
+        if (!savedModels[MODEL_STORAGE_URL]) {
+            return false;
+        }
+        
+        try {
+            const model = await tf.loadLayersModel(MODEL_STORAGE_URL);
+            const metadata = model.getUserDefinedMetadata();
+            if (!metadata || !metadata.preprocessing) {
+                throw new Error('Saved model has no preprocessing pipeline');
+            }
+            
+            this.dataLoader.setPipeline(PreprocessingPipeline.fromJSON(metadata.preprocessing));
+            this.model = model;
+            console.log('Restored saved model and preprocessing pipeline');
+            return true;
+            
+        } catch (error) {
+            // A stale or incompatible artifact is discarded and the model is retrained
+            console.warn('Discarding saved model:', error);
+            await tf.io.removeModel(MODEL_STORAGE_URL);
+            return false;
+        }
+    }
+
+    /**
+     * Drop the saved model and train a fresh one
+     */
+    async retrain() {
+        if (this.isTraining) return;
+        
+        if (this.model) {
+            this.model.dispose();
+            this.model = null;
+        }
+        const savedModels = await tf.io.listModels();
+        if (savedModels[MODEL_STORAGE_URL]) {
+            await tf.io.removeModel(MODEL_STORAGE_URL);
+        }
+        
+        await this.initialize();
+    }
+
+    /**
+     * Raw feature values of the prediction form, in pipeline feature order
+     * @returns {Array<number>}
+     */
+    readSampleInputs() {
+        return Array.from(this.ui.sampleInputs, input => {
+            const value = parseFloat(input.value);
+            return isNaN(value) ? 0 : value;
+        });
+    }
+
+    /**
+     * Model outputs for raw feature rows: predicted views, or the probability
+     * of reaching the target percentile for classifiers
+     * @param {Array<Array<number>>} rows - Raw feature rows
+     * @returns {Promise<Array<number>>}
+     */
+    async predictRaw(rows) {
+        const pipeline = this.dataLoader.pipeline;
+        const input = tf.tensor2d(pipeline.transformFeatures(rows));
+        const output = this.model.predict(input);
+        const predictions = Array.from(await output.data());
+        tf.dispose([input, output]);
+        return pipeline.isClassifier ? predictions : pipeline.inverseTransformLabels(predictions);
+    }
+
+    /**
+     * Values a what-if sweep takes for one form field: every category of a
+     * dropdown, otherwise the field's min/max (or the training range) split into steps
+     * @param {number} index - Feature index
+     * @param {Object} [range] - { min, max } overriding the default range
+     * @param {number} [steps] - Steps for numeric fields
+     * @returns {{values: Array<number>, format: Function}}
+     */
+    whatIfValues(index, range = null, steps = undefined) {
+        const input = this.ui.sampleInputs[index];
+        if (input.tagName === 'SELECT') {
+            const names = new Map(Array.from(input.options, option => [Number(option.value), option.text]));
+            return { values: [...names.keys()], format: value => names.get(value) ?? String(value) };
+        }
+        
+        const { min, max } = range || this.whatIfDefaultRange(index);
+        const integer = input.step === '1';
+        return {
+            values: sweepValues(min, max, steps, { integer }),
+            format: value => (integer ? String(value) : String(+value.toFixed(2)))
+        };
+    }
+
+    /**
+     * Field min/max attributes, falling back to the range the pipeline was fitted on
+     * @param {number} index - Feature index
+     * @returns {{min: number, max: number}}
+     */
+    whatIfDefaultRange(index) {
+        const input = this.ui.sampleInputs[index];
+        const fitted = this.dataLoader.pipeline.normalizers[index];
+        return {
+            min: input.min !== '' ? Number(input.min) : fitted.min,
+            max: input.max !== '' ? Number(input.max) : fitted.max
+        };
+    }
+
+    /**
+     * Fill the what-if feature dropdowns from the form labels
+     */
+    populateWhatIfInputs() {
+        if (!this.ui.whatIfFeature) return;
+        
+        const options = () => Array.from(this.ui.sampleInputs, (input, i) =>
+            new Option(input.labels?.[0]?.textContent.trim() || this.dataLoader.pipeline.featureNames[i], i));
+        const selectedX = this.ui.whatIfFeature.value;
+        const selectedY = this.ui.whatIfFeatureY.value;
+        this.ui.whatIfFeature.replaceChildren(...options());
+        this.ui.whatIfFeatureY.replaceChildren(new Option('None (curve only)', ''), ...options());
+        this.ui.whatIfFeature.value = selectedX || '1';
+        this.ui.whatIfFeatureY.value = selectedY;
+        this.ui.whatIfButton.disabled = false;
+        this.syncWhatIfRange();
+    }
+
+    /**
+     * Reset the from/to fields to the selected feature's default range
+     */
+    syncWhatIfRange() {
+        const index = Number(this.ui.whatIfFeature.value);
+        const isCategory = this.ui.sampleInputs[index].tagName === 'SELECT';
+        const { min, max } = isCategory ? { min: '', max: '' } : this.whatIfDefaultRange(index);
+        this.ui.whatIfMin.value = min;
+        this.ui.whatIfMax.value = max;
+        this.ui.whatIfMin.disabled = isCategory;
+        this.ui.whatIfMax.disabled = isCategory;
+    }
+
+    /**
+     * Sweep the selected feature around the form inputs and plot the outputs;
+     * with a second feature, a heatmap over both
+     */
+    async runWhatIf() {
+        if (!this.model) return;
+        
+        try {
+            const inputs = this.readSampleInputs();
+            const xIndex = Number(this.ui.whatIfFeature.value);
+            const yIndex = this.ui.whatIfFeatureY.value === '' ? null : Number(this.ui.whatIfFeatureY.value);
+            const min = parseFloat(this.ui.whatIfMin.value);
+            const max = parseFloat(this.ui.whatIfMax.value);
+            const range = Number.isFinite(min) && Number.isFinite(max) ? { min, max } : null;
+            const names = Array.from(this.ui.whatIfFeature.options, option => option.text);
+            
+            const isClassifier = this.dataLoader.pipeline.isClassifier;
+            const formatOutput = isClassifier
+                ? value => `${(value * 100).toFixed(1)}%`
+                : value => Math.round(value).toLocaleString();
+            const outputName = isClassifier ? `chance of ${this.describeTarget()}` : 'predicted views';
+            const predict = rows => this.predictRaw(rows);
+            const x = this.whatIfValues(xIndex, range);
+            
+            let outputs;
+            if (yIndex === null || yIndex === xIndex) {
+                const sweep = await featureSweep(predict, inputs, xIndex, x.values);
+                drawSweepChart(this.ui.whatIfChart, sweep, {
+                    xLabel: names[xIndex],
+                    formatX: x.format,
+                    formatY: formatOutput,
+                    current: inputs[xIndex]
+                });
+                outputs = sweep.outputs;
+            } else {
+                const xGrid = this.whatIfValues(xIndex, range, GRID_STEPS);
+                const y = this.whatIfValues(yIndex, null, GRID_STEPS);
+                const grid = await featureGrid(predict, inputs, [xIndex, yIndex], [xGrid.values, y.values]);
+                drawHeatmap(this.ui.whatIfChart, grid, {
+                    xLabel: names[xIndex],
+                    yLabel: names[yIndex],
+                    formatX: xGrid.format,
+                    formatY: y.format,
+                    formatValue: formatOutput,
+                    current: [inputs[xIndex], inputs[yIndex]]
+                });
+                outputs = grid.outputs.flat();
+            }
+            
+            this.whatIfActive = true;
+            this.ui.whatIfResult.textContent =
+                `${outputName[0].toUpperCase()}${outputName.slice(1)} ranges from ${formatOutput(Math.min(...outputs))} ` +
+                `to ${formatOutput(Math.max(...outputs))}; other inputs fixed at the form values.`;
+        } catch (error) {
+            console.error('What-if analysis failed:', error);
+            this.ui.whatIfResult.textContent = `What-if failed: ${error.message}`;
+        }
+    }
+
     /**
      * Update prediction when inputs change (debounced)
      */
@@ -309,6 +1058,9 @@ class VideoSuccessPredictor {
         this.predictDebounceTimer = setTimeout(() => {
             if (this.model) {
                 this.predictFromUI();
+                if (this.whatIfActive) {
+                    this.runWhatIf();
+                }
             }
         }, 500);
     }
@@ -322,7 +1074,7 @@ class VideoSuccessPredictor {
         if (!this.ui.trainingProgress || !this.ui.trainingStatus) return;
         
         this.ui.trainingProgress.value = epoch;
-        this.ui.trainingStatus.textContent = `Epoch ${epoch}/100 - Loss: ${logs.loss?.toFixed(4)}`;
+        this.ui.trainingStatus.textContent = `Epoch ${epoch}/${EPOCHS} - Loss: ${logs.loss?.toFixed(4)}`;
         
         // Add to log
         const logEntry = document.createElement('div');
@@ -342,7 +1094,12 @@ class VideoSuccessPredictor {
     displayMetrics() {
         if (!this.testResults || !this.ui.metricsDisplay) return;
         
-        const { mse, mae, r2 } = this.testResults;
+        if (this.testResults.task === 'classification') {
+            this.displayClassificationMetrics();
+            return;
+        }
+        
+        const { mse, mae, r2, interval } = this.testResults;
         
         this.ui.metricsDisplay.innerHTML = `
             <div class="metrics-grid">
@@ -361,6 +1118,11 @@ class VideoSuccessPredictor {
                     <p class="metric-value">${r2.toFixed(4)}</p>
                     <small>Higher is better (0-1)</small>
                 </div>
+                <div class="metric-card">
+                    <h5>${Math.round(interval.level * 100)}% Interval Coverage</h5>
+                    <p class="metric-value">${(interval.coverage * 100).toFixed(1)}%</p>
+                    <small>Closer to ${Math.round(interval.level * 100)}% is better; median width ${Math.round(interval.medianWidth).toLocaleString()} views</small>
+                </div>
                 <div class="metric-card">
                     <h5>Test Time</h5>
                     <p class="metric-value">${this.testResults.testTime}s</p>
@@ -370,6 +1132,136 @@ class VideoSuccessPredictor {
         `;
     }
 
+    /**
+     * Display classifier test metrics at the 0.5 decision threshold
+     */
+    displayClassificationMetrics() {
+        const { accuracy, precision, recall, f1, rocAuc, logLoss, positiveRate, confusion } = this.testResults;
+        
+        this.ui.metricsDisplay.innerHTML = `
+            <p class="small text-muted">Positive class: ${this.describeTarget()} of videos by total views (${(positiveRate * 100).toFixed(1)}% of test rows)</p>
+            <div class="metrics-grid">
+                <div class="metric-card">
+                    <h5>Accuracy</h5>
+                    <p class="metric-value">${accuracy.toFixed(4)}</p>
+                    <small>Higher is better (0-1)</small>
+                </div>
+                <div class="metric-card">
+                    <h5>ROC-AUC</h5>
+                    <p class="metric-value">${formatScore(rocAuc)}</p>
+                    <small>0.5 = chance, 1 = perfect ranking</small>
+                </div>
+                <div class="metric-card">
+                    <h5>F1 Score</h5>
+                    <p class="metric-value">${f1.toFixed(4)}</p>
+                    <small>Precision ${precision.toFixed(3)} / recall ${recall.toFixed(3)}</small>
+                </div>
+                <div class="metric-card">
+                    <h5>Log Loss</h5>
+                    <p class="metric-value">${logLoss.toFixed(4)}</p>
+                    <small>Lower is better</small>
+                </div>
+                <div class="metric-card">
+                    <h5>Confusion Matrix</h5>
+                    <p class="metric-value">${confusion.tp} / ${confusion.fp}</p>
+                    <small>TP / FP, with ${confusion.fn} FN and ${confusion.tn} TN</small>
+                </div>
+                <div class="metric-card">
+                    <h5>Test Time</h5>
+                    <p class="metric-value">${this.testResults.testTime}s</p>
+                    <small>Seconds to test</small>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Test metrics of the network and the baselines, with a JSON export per baseline
+     * @param {Array<Object>} rows - Result of compareBaselines
+     */
+    displayBaselines(rows) {
+        if (!this.ui.baselineComparison) return;
+        
+        if (rows.length === 0) {
+            this.ui.baselineComparison.innerHTML = '';
+            return;
+        }
+        
+        const columns = CV_COLUMNS[this.dataLoader.pipeline.task.type];
+        const body = rows.map(({ name, description, metrics }) => `
+                <tr>
+                    <td>${description}</td>
+                    ${columns.map(({ key, format }) => `<td>${format(metrics[key])}</td>`).join('')}
+                    <td>${name === 'network' ? '' : `<button class="btn btn-sm btn-outline-secondary" data-baseline="${name}">JSON</button>`}</td>
+                </tr>`).join('');
+        
+        this.ui.baselineComparison.innerHTML = `
+            <table class="table table-sm cv-table">
+                <thead>
+                    <tr><th>Model (test split)</th>${columns.map(({ label }) => `<th>${label}</th>`).join('')}<th></th></tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+        this.ui.baselineComparison.querySelectorAll('[data-baseline]').forEach(button => {
+            button.addEventListener('click', () => this.exportBaseline(button.dataset.baseline));
+        });
+    }
+
+    /**
+     * Download a baseline with the preprocessing pipeline its inputs need
+     * The file is for offline use (readBaselineFile, PreprocessingPipeline.fromJSON
+     * and predictBaseline); no page loads views models from a file.
+     * @param {string} name - Baseline name
+     */
+    exportBaseline(name) {
+        const baseline = this.baselines.find(b => b.name === name);
+        if (!baseline) return;
+        
+        const file = buildBaselineFile(baseline.model, { preprocessing: this.dataLoader.pipeline.toJSON() });
+        const url = URL.createObjectURL(new Blob([JSON.stringify(file)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `baseline_${name}.json`;
+        link.click();
+        // Revoking right away can cancel the download before it starts
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Display per-fold and mean ± std cross-validation metrics
+     * @param {Object} result - { task, k, repeats, folds, summary }
+     */
+    displayCrossValidation({ task = 'regression', k, repeats, folds, summary }) {
+        if (!this.ui.cvResults) return;
+        
+        const columns = CV_COLUMNS[task];
+        const rows = folds.map(fold => `
+                <tr>
+                    <td>${repeats > 1 ? `${fold.repeat + 1}.${fold.fold + 1}` : fold.fold + 1}</td>
+                    <td>${fold.trainSamples}/${fold.valSamples}</td>
+                    <td>${fold.bestEpoch ?? 'n/a'}</td>
+                    ${columns.map(({ key, format }) => `<td>${format(fold[key])}</td>`).join('')}
+                </tr>`).join('');
+        
+        this.ui.cvResults.innerHTML = `
+            <table class="table table-sm cv-table">
+                <thead>
+                    <tr><th>Fold</th><th>Rows</th><th>Best epoch</th>${columns.map(({ label }) => `<th>${label}</th>`).join('')}</tr>
+                </thead>
+                <tbody>${rows}</tbody>
+                <tfoot>
+                    <tr>
+                        <th>Mean ± std</th>
+                        <th>${folds.length}/${k * repeats}</th>
+                        <th></th>
+                        ${columns.map(({ key, format }) => `<th>${format(summary[key].mean)} ± ${format(summary[key].std)}</th>`).join('')}
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+    }
+
     /**
      * Update UI status
      * @param {string} message - Status message
@@ -397,28 +1289,39 @@ class VideoSuccessPredictor {
      */
     async initialize() {
         try {
+            if (this.ui.predictButton) {
+                this.ui.predictButton.disabled = true;
+            }
+            
+            // Reuse a previously trained model when one is saved in this browser
+            if (await this.loadSavedModel()) {
+                this.updateUIStatus('Loaded saved model', 'success');
+                this.enablePrediction();
+                return;
+            }
+            
             this.updateUIStatus('Loading data...', 'info');
             
-            // Load and preprocess data
+            // Load and preprocess data with the encodings chosen in the UI
             await this.dataLoader.loadCSV('data.csv');
-            const { features, labels } = this.dataLoader.preprocessData();
+            this.applyEncodingSettings();
+            this.applyTargetSettings();
             
-            // Split data
+            // Split first so the pipeline (and classification threshold) is fitted on training rows only
             const { trainFeatures, trainLabels, testFeatures, testLabels } = 
                 this.dataLoader.trainTestSplit(0.2);
             
             // Build model
-            this.buildModel(trainFeatures[0].length);
+            this.buildModel(this.dataLoader.pipeline);
             
             // Train model
             this.updateUIStatus('Starting training...', 'info');
             await this.trainModel(trainFeatures, trainLabels, testFeatures, testLabels);
+            await this.compareBaselines(trainFeatures, trainLabels, testFeatures, testLabels);
+            await this.computeFeatureImportance(testFeatures, testLabels);
+            await this.saveModel();
             
-            // Enable prediction button
-            if (this.ui.predictButton) {
-                this.ui.predictButton.disabled = false;
-                this.ui.predictButton.textContent = 'Predict Views';
-            }
+            this.enablePrediction();
             
         } catch (error) {
             console.error('Application initialization failed:', error);
@@ -426,6 +1329,90 @@ class VideoSuccessPredictor {
         }
     }
 
+    /**
+     * Enable the prediction button once a model is available
+     */
+    enablePrediction() {
+        this.populateCategoryInputs();
+        this.populateWhatIfInputs();
+        this.syncEncodingInputs();
+        this.syncTargetInputs();
+        if (this.ui.predictButton) {
+            this.ui.predictButton.disabled = false;
+            this.ui.predictButton.textContent = this.dataLoader.pipeline.isClassifier
+                ? `Predict Chance of ${this.describeTarget()}`
+                : 'Predict Views';
+        }
+    }
+
+    /**
+     * Apply the encoding dropdowns to the data loader before a training run
+     */
+    applyEncodingSettings() {
+        const encodings = { ...this.dataLoader.encodings };
+        this.ui.encodingInputs.forEach(input => {
+            encodings[input.dataset.column] = input.value;
+        });
+        this.dataLoader.setEncodings(encodings);
+    }
+
+    /**
+     * Show the encodings of the current (possibly restored) pipeline
+     */
+    syncEncodingInputs() {
+        const { encodings } = this.dataLoader.pipeline;
+        this.ui.encodingInputs.forEach(input => {
+            const spec = encodings[input.dataset.column];
+            if (spec) {
+                input.value = spec.type;
+            }
+        });
+    }
+
+    /**
+     * Apply the target selector to the data loader before a training run
+     */
+    applyTargetSettings() {
+        if (!this.ui.targetTask) return;
+        
+        if (this.ui.targetTask.value === 'classification') {
+            const percentile = parseFloat(this.ui.targetPercentile.value);
+            this.dataLoader.setTask({ type: 'classification', quantile: percentile / 100 });
+        } else {
+            this.dataLoader.setTask('regression');
+        }
+    }
+
+    /**
+     * Show the task of the current (possibly restored) pipeline
+     */
+    syncTargetInputs() {
+        if (!this.ui.targetTask) return;
+        
+        const { task } = this.dataLoader.pipeline;
+        this.ui.targetTask.value = task.type;
+        if (task.type === 'classification') {
+            this.ui.targetPercentile.value = Math.round(task.quantile * 100);
+        }
+        this.ui.targetPercentile.disabled = task.type !== 'classification';
+    }
+
+    /**
+     * Fill the category dropdowns with the names behind the model's codes,
+     * keeping the current selection
+     */
+    populateCategoryInputs() {
+        const categories = this.dataLoader.pipeline.categories || this.dataLoader.categories;
+        this.ui.sampleInputs.forEach(input => {
+            const names = input.dataset.category && categories[input.dataset.category];
+            if (!names) return;
+            
+            const selected = Number(input.value);
+            input.replaceChildren(...names.map((name, code) => new Option(name, code)));
+            input.value = selected < names.length ? selected : 0;
+        });
+    }
+
     /**
      * Clean up resources
      */
@@ -441,6 +1428,8 @@ class VideoSuccessPredictor {
         
         this.trainingHistory = [];
         this.testResults = null;
+        this.crossValidation = null;
+        this.baselines = [];
         this.isTraining = false;
         
         console.log('VideoSuccessPredictor disposed');
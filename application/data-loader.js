@@ -2,20 +2,128 @@
  * DataLoader class - handles loading and preprocessing of video data from CSV
  * Uses ES6 module syntax with client-side TensorFlow.js
  */
+import { PreprocessingPipeline, normalizeTask } from './preprocessing-pipeline.js';
+import { DEFAULT_ENCODINGS } from './feature-encoding.js';
+import { parseTypedCSV, readCSVHeader, summarizeRowErrors } from '../shared/csv.js';
+import {
+    CATEGORY_COLUMNS,
+    NOTEBOOK_CATEGORIES,
+    RAW_DATE_COLUMN,
+    isRawDataset,
+    preprocessRawRows
+} from './eda-preprocessing.js';
+
 export class DataLoader {
     constructor() {
         this.data = null;
         this.features = null;
         this.labels = null;
+        this.loadReport = null;
+        // Category code -> name per label-encoded column
+        this.categories = NOTEBOOK_CATEGORIES;
+        // Column -> feature encoding used by the next fitted pipeline
+        this.encodings = { ...DEFAULT_ENCODINGS };
+        // Regression on views, or classification of views above a percentile
+        this.task = normalizeTask('regression');
         this.featureNames = ['duration_sec', 'hook_strength_score', 'niche', 'views_first_hour', 
                             'retention_rate', 'first_3_sec_engagement', 'music_type', 'upload_month'];
         this.labelName = 'views_total';
-        this.normalizers = {};
-        this.labelNormalizer = {};
+        this.pipeline = this.createPipeline();
+    }
+
+    /**
+     * Create an unfitted preprocessing pipeline for the configured columns
+     * @returns {PreprocessingPipeline}
+     */
+    createPipeline() {
+        return new PreprocessingPipeline({
+            featureNames: this.featureNames,
+            labelName: this.labelName,
+            categories: this.categories,
+            encodings: this.encodings,
+            task: this.task
+        });
+    }
+
+    /**
+     * Per-feature min/max of the current pipeline
+     */
+    get normalizers() {
+        return this.pipeline.normalizers;
+    }
+
+    /**
+     * Log10 + min/max label normalizer of the current pipeline
+     */
+    get labelNormalizer() {
+        return this.pipeline.labelNormalizer;
+    }
+
+    /**
+     * Replace the pipeline, e.g. with one restored alongside a saved model
+     * @param {PreprocessingPipeline} pipeline - Fitted pipeline
+     */
+    setPipeline(pipeline) {
+        if (pipeline.featureNames.join(',') !== this.featureNames.join(',')) {
+            throw new Error('Pipeline feature order does not match DataLoader features');
+        }
+        this.pipeline = pipeline;
+        if (pipeline.categories) {
+            this.categories = pipeline.categories;
+        }
+        this.encodings = { ...pipeline.encodings };
+        this.task = { ...pipeline.task };
+    }
+
+    /**
+     * Choose what the next trainTestSplit / prepareFold trains the model on
+     * @param {string|Object} task - 'regression', or { type: 'classification', quantile }
+     */
+    setTask(task) {
+        this.task = normalizeTask(task);
+    }
+
+    /**
+     * Choose feature encodings for the next trainTestSplit / prepareFold
+     * @param {Object} encodings - Column -> encoding type or spec; omitted columns are min-max scaled
+     */
+    setEncodings(encodings) {
+        // Validates the specs before anything is trained with them
+        const pipeline = new PreprocessingPipeline({
+            featureNames: this.featureNames,
+            labelName: this.labelName,
+            encodings
+        });
+        this.encodings = pipeline.encodings;
+    }
+
+    /**
+     * Columns the raw Kaggle CSV must provide for the configured features
+     * @returns {Array<string>}
+     */
+    rawColumns() {
+        return [
+            ...this.featureNames.filter(name => name !== 'upload_month'),
+            RAW_DATE_COLUMN,
+            this.labelName
+        ];
+    }
+
+    /**
+     * Parse type of a required column: text categories and the upload date
+     * in the raw export, numbers everywhere else
+     */
+    rawColumnType(column, raw) {
+        if (raw && CATEGORY_COLUMNS.includes(column)) return 'category';
+        if (raw && column === RAW_DATE_COLUMN) return 'date';
+        return 'number';
     }
 
     /**
      * Load data from CSV file
+     * Accepts application/data.csv or the raw Kaggle export, which is
+     * label-encoded and gets upload_month and above_q80 like in the notebook.
+     * Dropped rows and the inferred column types are kept in this.loadReport.
      * @param {string} filePath - Path to CSV file
      * @returns {Promise<Array>} - Promise resolving to parsed data
      */
@@ -27,32 +135,35 @@ export class DataLoader {
             }
             
             const csvText = await response.text();
-            const rows = csvText.trim().split('\n');
-            const headers = rows[0].split(',');
             
-            // Validate required columns
-            const requiredColumns = [...this.featureNames, this.labelName];
-            for (const col of requiredColumns) {
-                if (!headers.includes(col)) {
-                    throw new Error(`Missing required column: ${col}`);
-                }
+            // The raw Kaggle export goes through the notebook's preprocessing first
+            const raw = isRawDataset(readCSVHeader(csvText));
+            const requiredColumns = raw ? this.rawColumns() : [...this.featureNames, this.labelName];
+            const parsed = parseTypedCSV(csvText, {
+                required: requiredColumns,
+                types: Object.fromEntries(requiredColumns.map(col => [col, this.rawColumnType(col, raw)]))
+            });
+            
+            if (raw) {
+                const prepared = preprocessRawRows(parsed.rows, { labelName: this.labelName });
+                this.data = prepared.rows;
+                this.categories = prepared.categories;
+                console.log(`Preprocessed raw dataset (q80 of ${this.labelName}: ${prepared.threshold})`);
+            } else {
+                // data.csv holds the codes of the notebook run that exported it
+                this.data = parsed.rows;
+                this.categories = NOTEBOOK_CATEGORIES;
             }
+            this.loadReport = {
+                raw,
+                totalRows: parsed.totalRows,
+                types: parsed.types,
+                errors: parsed.errors
+            };
             
-            // Parse data
-            this.data = [];
-            for (let i = 1; i < rows.length; i++) {
-                const values = rows[i].split(',');
-                const row = {};
-                
-                for (let j = 0; j < headers.length; j++) {
-                    const header = headers[j].trim();
-                    row[header] = parseFloat(values[j].trim());
-                }
-                
-                // Validate row has all required fields
-                if (Object.keys(row).length === headers.length) {
-                    this.data.push(row);
-                }
+            if (parsed.errors.length > 0) {
+                console.warn(summarizeRowErrors(parsed.errors));
+                console.table(parsed.errors);
             }
             
             if (this.data.length === 0) {
@@ -78,16 +189,10 @@ export class DataLoader {
         }
         
         // Extract features and labels
-        const rawFeatures = [];
-        const rawLabels = [];
+        const { rawFeatures, rawLabels } = this.getRawData();
         
-        for (const row of this.data) {
-            const featureRow = this.featureNames.map(name => row[name]);
-            rawFeatures.push(featureRow);
-            rawLabels.push(row[this.labelName]);
-        }
-        
-        // Normalize features
+        // Fit normalizers once, then transform through the same pipeline used at prediction time
+        this.pipeline = this.createPipeline().fit(rawFeatures, rawLabels);
         this.features = this.normalizeFeatures(rawFeatures);
         
         // Log-transform and normalize labels (views are highly skewed)
@@ -101,66 +206,65 @@ export class DataLoader {
             features: this.features,
             labels: this.labels,
             normalizers: this.normalizers,
-            labelNormalizer: this.labelNormalizer
+            labelNormalizer: this.labelNormalizer,
+            pipeline: this.pipeline
         };
     }
 
     /**
-     * Normalize features to [0, 1] range
-     * @param {Array} rawFeatures - Raw feature data
-     * @returns {Array} - Normalized features
+     * Raw feature rows and labels of the loaded data
+     * @returns {Object} - { rawFeatures, rawLabels }
      */
-    normalizeFeatures(rawFeatures) {
-        const numFeatures = rawFeatures[0].length;
-        const normalized = [];
-        
-        // Calculate min and max for each feature
-        for (let i = 0; i < numFeatures; i++) {
-            const values = rawFeatures.map(row => row[i]);
-            this.normalizers[i] = {
-                min: Math.min(...values),
-                max: Math.max(...values)
-            };
+    getRawData() {
+        if (!this.data || this.data.length === 0) {
+            throw new Error('No data loaded. Call loadCSV first.');
         }
         
-        // Apply normalization
-        for (const row of rawFeatures) {
-            const normalizedRow = [];
-            for (let i = 0; i < numFeatures; i++) {
-                const { min, max } = this.normalizers[i];
-                if (max === min) {
-                    normalizedRow.push(0); // Avoid division by zero
-                } else {
-                    normalizedRow.push((row[i] - min) / (max - min));
-                }
-            }
-            normalized.push(normalizedRow);
-        }
+        return {
+            rawFeatures: this.data.map(row => this.featureNames.map(name => row[name])),
+            rawLabels: this.data.map(row => row[this.labelName])
+        };
+    }
+
+    /**
+     * Prepare one cross-validation fold with a pipeline fitted on its training rows only
+     * Does not touch this.pipeline, which stays the one used for predictions.
+     * @param {Object} split - { train, validation } row indices
+     * @returns {Object} - { pipeline, trainFeatures, trainLabels, valFeatures, valLabels, valViews }
+     */
+    prepareFold({ train, validation }) {
+        const { rawFeatures, rawLabels } = this.getRawData();
+        const pick = (values, indices) => indices.map(i => values[i]);
         
-        return normalized;
+        const pipeline = this.createPipeline().fit(pick(rawFeatures, train), pick(rawLabels, train));
+        const valViews = pick(rawLabels, validation);
+        
+        return {
+            pipeline,
+            trainFeatures: pipeline.transformFeatures(pick(rawFeatures, train)),
+            trainLabels: pipeline.transformLabels(pick(rawLabels, train)),
+            valFeatures: pipeline.transformFeatures(pick(rawFeatures, validation)),
+            valLabels: pipeline.transformLabels(valViews),
+            valViews
+        };
+    }
+
+    /**
+     * Normalize features to [0, 1] range using the fitted pipeline
+     * @param {Array} rawFeatures - Raw feature data
+     * @returns {Array} - Normalized features
+     */
+    normalizeFeatures(rawFeatures) {
+        return this.pipeline.transformFeatures(rawFeatures);
     }
 
     /**
-     * Log-transform and normalize labels
+     * Log-transform and normalize labels using the fitted pipeline
      * @param {Array} rawLabels - Raw label data
      * @returns {Array} - Normalized labels
      */
     normalizeLabels(rawLabels) {
-        // Apply log transformation to handle skewed distribution
-        const logLabels = rawLabels.map(val => Math.log10(val + 1)); // +1 to avoid log(0)
-        
-        // Normalize to [0, 1]
-        const min = Math.min(...logLabels);
-        const max = Math.max(...logLabels);
-        
-        this.labelNormalizer = {
-            min,
-            max,
-            originalMin: Math.min(...rawLabels),
-            originalMax: Math.max(...rawLabels)
-        };
-        
-        return logLabels.map(val => (val - min) / (max - min));
+        return this.pipeline.transformLabels(rawLabels);
     }
 
     /**
@@ -169,58 +273,49 @@ export class DataLoader {
      * @returns {Array} - Predictions in original scale
      */
     inverseTransformLabels(predictions) {
-        if (!this.labelNormalizer.min && this.labelNormalizer.min !== 0) {
+        if (!this.pipeline.isFitted) {
             throw new Error('Label normalizer not initialized');
         }
         
-        const { min, max } = this.labelNormalizer;
-        const logPredictions = predictions.map(p => p * (max - min) + min);
-        
-        // Reverse log transformation: 10^x - 1
-        return logPredictions.map(p => Math.pow(10, p) - 1);
+        return this.pipeline.inverseTransformLabels(predictions);
     }
 
     /**
-     * Split data into training and testing sets
+     * Split the loaded rows into training and testing sets, then fit this.pipeline
+     * on the training rows only
+     * Feature ranges, target encodings and the classification threshold therefore
+     * never see the test labels; the test rows go through the same fitted pipeline.
      * @param {number} testSize - Proportion of data for testing (default: 0.2)
      * @returns {Object} - Split datasets
      */
     trainTestSplit(testSize = 0.2) {
-        if (!this.features || !this.labels) {
-            throw new Error('Data not preprocessed. Call preprocessData first.');
+        if (!this.data || this.data.length === 0) {
+            throw new Error('No data loaded. Call loadCSV first.');
         }
         
-        const shuffledIndices = Array.from({length: this.features.length}, (_, i) => i);
+        const shuffledIndices = Array.from({length: this.data.length}, (_, i) => i);
         for (let i = shuffledIndices.length - 1; i > 0; i--) {
             const j = Math.floor(Math.random() * (i + 1));
             [shuffledIndices[i], shuffledIndices[j]] = [shuffledIndices[j], shuffledIndices[i]];
         }
         
-        const splitIdx = Math.floor(this.features.length * (1 - testSize));
+        const splitIdx = Math.floor(this.data.length * (1 - testSize));
+        const fold = this.prepareFold({
+            train: shuffledIndices.slice(0, splitIdx),
+            validation: shuffledIndices.slice(splitIdx)
+        });
         
-        const trainFeatures = [];
-        const trainLabels = [];
-        const testFeatures = [];
-        const testLabels = [];
-        
-        for (let i = 0; i < shuffledIndices.length; i++) {
-            const idx = shuffledIndices[i];
-            if (i < splitIdx) {
-                trainFeatures.push(this.features[idx]);
-                trainLabels.push(this.labels[idx]);
-            } else {
-                testFeatures.push(this.features[idx]);
-                testLabels.push(this.labels[idx]);
-            }
-        }
+        this.pipeline = fold.pipeline;
+        this.features = fold.trainFeatures;
+        this.labels = fold.trainLabels;
         
-        console.log(`Split data: ${trainFeatures.length} training, ${testFeatures.length} testing`);
+        console.log(`Split data: ${fold.trainFeatures.length} training, ${fold.valFeatures.length} testing`);
         
         return {
-            trainFeatures,
-            trainLabels,
-            testFeatures,
-            testLabels
+            trainFeatures: fold.trainFeatures,
+            trainLabels: fold.trainLabels,
+            testFeatures: fold.valFeatures,
+            testLabels: fold.valLabels
         };
     }
 
@@ -231,7 +326,6 @@ export class DataLoader {
         this.data = null;
         this.features = null;
         this.labels = null;
-        this.normalizers = {};
-        this.labelNormalizer = {};
+        this.pipeline = this.createPipeline();
     }
 }
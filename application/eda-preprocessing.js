@@ -0,0 +1,92 @@
+/**
+ * EDA preprocessing - JS port of the transformations in Viral_Videos_EDA.ipynb
+ * that turn the raw Kaggle CSV into application/data.csv:
+ * drop video_id, label-encode niche and music_type (pandas.factorize order),
+ * derive upload_month from upload_time and flag views_total above the 80th percentile.
+ */
+
+// Raw text columns the notebook label-encodes
+export const CATEGORY_COLUMNS = ['niche', 'music_type'];
+
+// Code -> name mappings of the notebook run that produced application/data.csv
+export const NOTEBOOK_CATEGORIES = {
+    niche: ['Motivation', 'Tech', 'Travel', 'Gaming', 'Music', 'Education', 'Fitness', 'Comedy', 'Food', 'Beauty'],
+    music_type: ['Viral Track', 'Trending', 'Remix', 'Original', 'No Music']
+};
+
+export const RAW_DATE_COLUMN = 'upload_time';
+
+export const TARGET_QUANTILE = 0.8;
+
+/**
+ * Whether CSV headers describe the raw Kaggle export rather than data.csv
+ * @param {Array<string>} headers - CSV header names
+ * @returns {boolean}
+ */
+export function isRawDataset(headers) {
+    return headers.includes(RAW_DATE_COLUMN) && !headers.includes('upload_month');
+}
+
+/**
+ * Codes in order of first appearance, like pandas.factorize
+ * @param {Array<string>} values - Category names
+ * @returns {Object} - { codes, levels } where levels[codes[i]] === values[i]
+ */
+export function factorize(values) {
+    const index = new Map();
+    const codes = values.map(value => {
+        if (!index.has(value)) {
+            index.set(value, index.size);
+        }
+        return index.get(value);
+    });
+    return { codes, levels: [...index.keys()] };
+}
+
+/**
+ * Quantile with linear interpolation between order statistics (pandas default)
+ * @param {Array<number>} values - Sample
+ * @param {number} q - Quantile in [0, 1]
+ * @returns {number}
+ */
+export function quantile(values, q) {
+    if (values.length === 0) {
+        throw new Error('Cannot take the quantile of an empty sample');
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = q * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Apply the notebook transformations to typed raw rows
+ * @param {Array<Object>} rows - Rows from parseTypedCSV (upload_time as Date)
+ * @param {Object} options
+ * @param {string} options.labelName - Column the above-quantile flag is computed on
+ * @returns {Object} - { rows, categories: { column: [names by code] }, threshold }
+ */
+export function preprocessRawRows(rows, { labelName }) {
+    const categories = {};
+    const encoded = rows.map(row => {
+        const { video_id, [RAW_DATE_COLUMN]: uploadTime, ...rest } = row;
+        // Dates are parsed as UTC midnight, so the UTC month matches pandas' .dt.month
+        return { ...rest, upload_month: uploadTime.getUTCMonth() + 1 };
+    });
+
+    for (const column of CATEGORY_COLUMNS) {
+        const { codes, levels } = factorize(encoded.map(row => row[column]));
+        encoded.forEach((row, i) => {
+            row[column] = codes[i];
+        });
+        categories[column] = levels;
+    }
+
+    const threshold = quantile(encoded.map(row => row[labelName]), TARGET_QUANTILE);
+    encoded.forEach(row => {
+        row.above_q80 = row[labelName] > threshold ? 1 : 0;
+    });
+
+    return { rows: encoded, categories, threshold };
+}
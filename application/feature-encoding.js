@@ -0,0 +1,143 @@
+/**
+ * Feature encodings for the views regressor
+ * Each feature column is min-max scaled unless configured otherwise:
+ *   onehot    - one 0/1 column per category code
+ *   embedding - one-hot columns the model projects through a learned embedding
+ *   target    - smoothed mean of the normalized label per category code
+ *   cyclical  - sin/cos of the value on a circle (months, weekdays)
+ * Fitted encoders are plain objects so they serialize with the pipeline.
+ */
+
+export const ENCODING_TYPES = ['minmax', 'onehot', 'embedding', 'target', 'cyclical'];
+
+// Label-encoded categories get one-hot columns and the month wraps from December to January
+export const DEFAULT_ENCODINGS = {
+    niche: { type: 'onehot' },
+    music_type: { type: 'onehot' },
+    upload_month: { type: 'cyclical', period: 12, offset: 1 }
+};
+
+const SPEC_DEFAULTS = {
+    minmax: {},
+    onehot: {},
+    embedding: { dim: 3 },
+    // Pseudo-count pulling rare categories toward the overall label mean
+    target: { smoothing: 10 },
+    cyclical: { period: 12, offset: 1 }
+};
+
+/**
+ * Fill in defaults for an encoding given as a type name or a spec object
+ * @param {string|Object} spec - e.g. 'onehot' or { type: 'embedding', dim: 4 }
+ * @returns {Object} - Complete spec
+ */
+export function normalizeEncoding(spec = 'minmax') {
+    const options = typeof spec === 'string' ? { type: spec } : { ...spec };
+    if (!ENCODING_TYPES.includes(options.type)) {
+        throw new Error(`Unknown feature encoding: ${options.type}`);
+    }
+    const normalized = { ...SPEC_DEFAULTS[options.type], ...options };
+    if (normalized.type === 'embedding' && !(Number.isInteger(normalized.dim) && normalized.dim > 0)) {
+        throw new Error(`Embedding dimension must be a positive integer: ${normalized.dim}`);
+    }
+    if (normalized.type === 'cyclical' && !(normalized.period > 0)) {
+        throw new Error(`Cyclical period must be positive: ${normalized.period}`);
+    }
+    return normalized;
+}
+
+/**
+ * Whether a category code is usable as an index into `levels` columns
+ */
+function isCode(value, levels) {
+    return Number.isInteger(value) && value >= 0 && value < levels;
+}
+
+/**
+ * Fit an encoder on one training column
+ * @param {Object} spec - Result of normalizeEncoding
+ * @param {Array<number>} values - Raw column values (category codes for categorical encodings)
+ * @param {Object} context
+ * @param {number} [context.levels] - Known number of categories (codes 0..levels-1)
+ * @param {Array<number>} [context.targets] - Normalized labels aligned with values (target encoding)
+ * @returns {Object} - Fitted encoder
+ */
+export function fitEncoder(spec, values, { levels, targets } = {}) {
+    const { type } = spec;
+    if (type === 'minmax') {
+        return { type, min: Math.min(...values), max: Math.max(...values) };
+    }
+    if (type === 'cyclical') {
+        return { type, period: spec.period, offset: spec.offset };
+    }
+
+    if (values.some(v => !Number.isInteger(v) || v < 0)) {
+        throw new Error(`${type} encoding needs non-negative integer category codes`);
+    }
+    const count = levels ?? Math.max(...values) + 1;
+
+    if (type === 'onehot') {
+        return { type, levels: count };
+    }
+    if (type === 'embedding') {
+        return { type, levels: count, dim: spec.dim };
+    }
+
+    // Target encoding
+    const prior = targets.reduce((sum, t) => sum + t, 0) / targets.length;
+    const sums = new Array(count).fill(0);
+    const counts = new Array(count).fill(0);
+    values.forEach((code, i) => {
+        if (isCode(code, count)) {
+            sums[code] += targets[i];
+            counts[code]++;
+        }
+    });
+    const means = sums.map((sum, code) => (sum + spec.smoothing * prior) / (counts[code] + spec.smoothing));
+    return { type, smoothing: spec.smoothing, prior, means };
+}
+
+/**
+ * Number of model input columns an encoder produces
+ */
+export function encoderWidth(encoder) {
+    if (encoder.type === 'onehot' || encoder.type === 'embedding') return encoder.levels;
+    if (encoder.type === 'cyclical') return 2;
+    return 1;
+}
+
+/**
+ * Encode one raw value
+ * Unknown category codes become all-zero one-hot columns or the target prior.
+ * @param {Object} encoder - Result of fitEncoder
+ * @param {number} value - Raw value
+ * @returns {Array<number>} - encoderWidth(encoder) model inputs
+ */
+export function encodeValue(encoder, value) {
+    switch (encoder.type) {
+        case 'minmax': {
+            const { min, max } = encoder;
+            return [max === min ? 0 : (value - min) / (max - min)];
+        }
+        case 'onehot':
+        case 'embedding':
+            return Array.from({ length: encoder.levels }, (_, code) => (code === value ? 1 : 0));
+        case 'target':
+            return [isCode(value, encoder.means.length) ? encoder.means[value] : encoder.prior];
+        case 'cyclical': {
+            const angle = (2 * Math.PI * (value - encoder.offset)) / encoder.period;
+            return [Math.sin(angle), Math.cos(angle)];
+        }
+        default:
+            throw new Error(`Unknown feature encoding: ${encoder.type}`);
+    }
+}
+
+/**
+ * Fold ensembles fold each member's input scaling into its first dense layer,
+ * which needs encodings that differ between folds by at most an affine map
+ * and a plain layer stack (no embedding branch)
+ */
+export function isAffineEncoding(type) {
+    return type !== 'target' && type !== 'embedding';
+}
@@ -0,0 +1,75 @@
+/**
+ * Prediction intervals for the views regressor by Monte Carlo dropout:
+ * the model is run repeatedly with its dropout layer active and the spread
+ * of the sampled outputs gives a central interval around their median.
+ * Quantiles are taken on the normalized log-views output; the label transform
+ * is monotonic, so they map to view-count quantiles unchanged.
+ */
+import { quantile } from './eda-preprocessing.js';
+
+// Forward passes per prediction
+export const MC_SAMPLES = 100;
+
+// Central 80% interval
+export const INTERVAL_QUANTILES = { lower: 0.1, median: 0.5, upper: 0.9 };
+
+/**
+ * Sample model outputs with dropout active
+ * @param {tf.LayersModel} model - Model with at least one dropout layer
+ * @param {Array} features - Encoded feature rows
+ * @param {number} [samples] - Forward passes
+ * @returns {Promise<Array<Array<number>>>} - Sampled outputs per row
+ */
+export async function sampleDropoutPredictions(model, features, samples = MC_SAMPLES) {
+    const stacked = tf.tidy(() => {
+        const input = tf.tensor2d(features);
+        const passes = Array.from({ length: samples }, () => model.apply(input, { training: true }).reshape([-1]));
+        return tf.stack(passes, 1);
+    });
+    const perRow = await stacked.array();
+    stacked.dispose();
+    return perRow;
+}
+
+/**
+ * Lower, median and upper quantiles of each row's samples
+ * @param {Array<Array<number>>} samplesPerRow - Result of sampleDropoutPredictions
+ * @param {Object} [quantiles] - { lower, median, upper } probabilities
+ * @returns {Array<{lower: number, median: number, upper: number}>}
+ */
+export function predictionIntervals(samplesPerRow, quantiles = INTERVAL_QUANTILES) {
+    return samplesPerRow.map(samples => ({
+        lower: quantile(samples, quantiles.lower),
+        median: quantile(samples, quantiles.median),
+        upper: quantile(samples, quantiles.upper)
+    }));
+}
+
+/**
+ * Map interval bounds through a label transform, e.g. back to view counts
+ * @param {Array<Object>} intervals - { lower, median, upper } per row
+ * @param {Function} inverse - Array -> Array transform
+ * @returns {Array<Object>}
+ */
+export function transformIntervals(intervals, inverse) {
+    const [lower, median, upper] = ['lower', 'median', 'upper'].map(key => inverse(intervals.map(i => i[key])));
+    return intervals.map((_, i) => ({ lower: lower[i], median: median[i], upper: upper[i] }));
+}
+
+/**
+ * Share of actual values inside their interval and the typical interval width
+ * @param {Array<number>} actual - True values
+ * @param {Array<Object>} intervals - { lower, upper } per value, same scale
+ * @returns {{coverage: number, medianWidth: number}}
+ */
+export function intervalCoverage(actual, intervals) {
+    if (!actual.length || actual.length !== intervals.length) {
+        throw new Error('Actual values and intervals must be non-empty and aligned');
+    }
+
+    const covered = actual.filter((y, i) => y >= intervals[i].lower && y <= intervals[i].upper).length;
+    return {
+        coverage: covered / actual.length,
+        medianWidth: quantile(intervals.map(({ lower, upper }) => upper - lower), 0.5)
+    };
+}
@@ -0,0 +1,324 @@
+/**
+ * PreprocessingPipeline - fitted feature/label transforms for the views regressor
+ * The same instance is used to prepare training data and to encode prediction
+ * inputs, and it is serialized next to the model so both stay in sync
+ */
+import { normalizeEncoding, fitEncoder, encoderWidth, encodeValue, isAffineEncoding } from './feature-encoding.js';
+import { TARGET_QUANTILE, quantile } from './eda-preprocessing.js';
+
+// Regress the label, or classify whether it lies above one of its quantiles
+export const TASK_TYPES = ['regression', 'classification'];
+
+/**
+ * Fill in defaults for a task given as a type name or a spec object
+ * The default classification quantile reproduces the notebook's above_q80 flag.
+ * @param {string|Object} task - e.g. 'regression' or { type: 'classification', quantile: 0.9 }
+ * @returns {Object} - Complete spec
+ */
+export function normalizeTask(task = 'regression') {
+    const options = typeof task === 'string' ? { type: task } : { ...task };
+    if (!TASK_TYPES.includes(options.type)) {
+        throw new Error(`Unknown task: ${options.type}`);
+    }
+    if (options.type === 'regression') {
+        return { type: 'regression' };
+    }
+    const q = options.quantile ?? TARGET_QUANTILE;
+    if (!(q > 0 && q < 1)) {
+        throw new Error(`Classification quantile must be between 0 and 1: ${q}`);
+    }
+    return { type: 'classification', quantile: q };
+}
+
+export class PreprocessingPipeline {
+    static VERSION = 1;
+
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.featureNames - Ordered feature columns
+     * @param {string} options.labelName - Target column
+     * @param {Object} [options.categories] - Column -> category names by code, for label-encoded features
+     * @param {Object} [options.encodings] - Column -> encoding (see feature-encoding.js); min-max when omitted
+     * @param {string|Object} [options.task] - Regression or above-quantile classification (see normalizeTask)
+     */
+    constructor({ featureNames, labelName, categories = null, encodings = {}, task = 'regression' }) {
+        this.featureNames = [...featureNames];
+        this.labelName = labelName;
+        this.task = normalizeTask(task);
+        this.categories = categories
+            ? Object.fromEntries(Object.entries(categories).map(([column, names]) => [column, [...names]]))
+            : null;
+        this.encodings = Object.fromEntries(
+            this.featureNames.map(name => [name, normalizeEncoding(encodings[name])])
+        );
+        this.normalizers = {};
+        // Fitted encoders of the columns that are not min-max scaled, by feature index
+        this.encoders = {};
+        this.labelNormalizer = {};
+    }
+
+    /**
+     * Whether the model predicts the probability of an above-quantile label
+     */
+    get isClassifier() {
+        return this.task.type === 'classification';
+    }
+
+    /**
+     * Whether min/max statistics have been fitted (or restored)
+     */
+    get isFitted() {
+        return Object.keys(this.normalizers).length === this.featureNames.length &&
+            Number.isFinite(this.labelNormalizer.min) &&
+            (!this.isClassifier || Number.isFinite(this.labelNormalizer.threshold)) &&
+            this.featureNames.every((name, i) => this.encodings[name].type === 'minmax' || this.encoders[i]);
+    }
+
+    /**
+     * Encoder of feature i: its fitted encoder, or min-max scaling
+     */
+    encoder(i) {
+        return this.encoders[i] || { type: 'minmax', ...this.normalizers[i] };
+    }
+
+    /**
+     * Model input columns per feature, in order
+     * @returns {Array<Object>} - { name, type, start, size, dim? } per feature
+     */
+    inputLayout() {
+        this.assertFitted();
+
+        let start = 0;
+        return this.featureNames.map((name, i) => {
+            const encoder = this.encoder(i);
+            const block = { name, type: encoder.type, start, size: encoderWidth(encoder) };
+            if (encoder.type === 'embedding') {
+                block.dim = encoder.dim;
+            }
+            start += block.size;
+            return block;
+        });
+    }
+
+    /**
+     * Number of model inputs after encoding
+     */
+    get inputSize() {
+        return this.inputLayout().reduce((size, block) => size + block.size, 0);
+    }
+
+    /**
+     * Whether fold models on this encoding can be merged by buildAveragingEnsemble
+     */
+    get supportsEnsemble() {
+        return Object.values(this.encodings).every(spec => isAffineEncoding(spec.type));
+    }
+
+    /**
+     * Fit per-feature min/max, the log10 label range and the configured encoders
+     * Classifiers also fit the label threshold (the task quantile of these rows).
+     * Target encodings are fitted on the model targets of these rows: normalized
+     * labels, or 0/1 classes.
+     * @param {Array} rawFeatures - Raw feature rows in featureNames order
+     * @param {Array} rawLabels - Raw label values
+     * @returns {PreprocessingPipeline} - this, for chaining
+     */
+    fit(rawFeatures, rawLabels) {
+        if (!rawFeatures.length || rawFeatures.length !== rawLabels.length) {
+            throw new Error('Cannot fit pipeline: features and labels must be non-empty and aligned');
+        }
+
+        // Views are highly skewed, so the range is fitted in log10 space
+        const logLabels = rawLabels.map(val => Math.log10(val + 1));
+        this.labelNormalizer = {
+            transform: 'log10p',
+            min: Math.min(...logLabels),
+            max: Math.max(...logLabels),
+            originalMin: Math.min(...rawLabels),
+            originalMax: Math.max(...rawLabels)
+        };
+        if (this.isClassifier) {
+            this.labelNormalizer.transform = 'above-quantile';
+            this.labelNormalizer.quantile = this.task.quantile;
+            this.labelNormalizer.threshold = quantile(rawLabels, this.task.quantile);
+        }
+
+        // Labels as transformLabels returns them, for target encodings
+        const { min, max, threshold } = this.labelNormalizer;
+        const targets = this.isClassifier
+            ? rawLabels.map(val => (val > threshold ? 1 : 0))
+            : logLabels.map(val => (max === min ? 0 : (val - min) / (max - min)));
+        this.normalizers = {};
+        this.encoders = {};
+        for (let i = 0; i < this.featureNames.length; i++) {
+            const name = this.featureNames[i];
+            const values = rawFeatures.map(row => row[i]);
+            this.normalizers[i] = {
+                name,
+                min: Math.min(...values),
+                max: Math.max(...values)
+            };
+
+            const spec = this.encodings[name];
+            if (spec.type !== 'minmax') {
+                this.encoders[i] = fitEncoder(spec, values, {
+                    levels: this.categories?.[name]?.length,
+                    targets
+                });
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Encode raw feature rows into model inputs
+     * Min-max values outside the training range are not clipped so the model sees them as-is
+     * @param {Array} rawFeatures - Raw feature rows in featureNames order
+     * @returns {Array} - Encoded rows of inputSize values
+     */
+    transformFeatures(rawFeatures) {
+        this.assertFitted();
+
+        const encoders = this.featureNames.map((name, i) => this.encoder(i));
+        return rawFeatures.map(row => {
+            if (row.length !== this.featureNames.length) {
+                throw new Error(`Expected ${this.featureNames.length} features, got ${row.length}`);
+            }
+            return row.flatMap((value, i) => encodeValue(encoders[i], value));
+        });
+    }
+
+    /**
+     * Log-transform and scale raw labels to [0, 1], or map them to 1 above the
+     * fitted threshold and 0 otherwise for classifiers
+     * @param {Array} rawLabels - Raw label values
+     * @returns {Array} - Normalized labels
+     */
+    transformLabels(rawLabels) {
+        this.assertFitted();
+
+        if (this.isClassifier) {
+            const { threshold } = this.labelNormalizer;
+            return rawLabels.map(val => (val > threshold ? 1 : 0));
+        }
+        const { min, max } = this.labelNormalizer;
+        return rawLabels.map(val => {
+            const logVal = Math.log10(val + 1);
+            return max === min ? 0 : (logVal - min) / (max - min);
+        });
+    }
+
+    /**
+     * Map normalized predictions back to view counts
+     * Classifier outputs are already probabilities and are returned unchanged.
+     * @param {Array} predictions - Normalized predictions
+     * @returns {Array} - Predictions in original scale
+     */
+    inverseTransformLabels(predictions) {
+        this.assertFitted();
+
+        if (this.isClassifier) {
+            return [...predictions];
+        }
+
+        const { min, max } = this.labelNormalizer;
+        return predictions.map(p => Math.pow(10, p * (max - min) + min) - 1);
+    }
+
+    /**
+     * Encoding as an affine map z = scale * x + shift per model input
+     * One-hot and cyclical columns do not depend on the fitted data and are
+     * the identity on their own encoded values.
+     * @returns {Object} - { scale, shift }
+     * @throws {Error} - For target and embedding encodings
+     */
+    featureAffine() {
+        this.assertFitted();
+
+        const scale = [];
+        const shift = [];
+        this.featureNames.forEach((name, i) => {
+            const encoder = this.encoder(i);
+            if (!isAffineEncoding(encoder.type)) {
+                throw new Error(`${name} uses ${encoder.type} encoding, which fold ensembles do not support`);
+            }
+            if (encoder.type === 'minmax') {
+                const { min, max } = encoder;
+                scale.push(max === min ? 0 : 1 / (max - min));
+                shift.push(max === min ? 0 : -min / (max - min));
+            } else {
+                for (let j = 0; j < encoderWidth(encoder); j++) {
+                    scale.push(1);
+                    shift.push(0);
+                }
+            }
+        });
+        return { scale, shift };
+    }
+
+    assertFitted() {
+        if (!this.isFitted) {
+            throw new Error('Preprocessing pipeline not fitted');
+        }
+    }
+
+    /**
+     * Serialize to a plain object suitable for model metadata
+     * @returns {Object}
+     */
+    toJSON() {
+        this.assertFitted();
+
+        return {
+            version: PreprocessingPipeline.VERSION,
+            featureNames: this.featureNames,
+            labelName: this.labelName,
+            task: this.task,
+            normalizers: this.featureNames.map((name, i) => ({
+                name,
+                min: this.normalizers[i].min,
+                max: this.normalizers[i].max
+            })),
+            labelNormalizer: { ...this.labelNormalizer },
+            categories: this.categories,
+            encodings: this.encodings,
+            encoders: this.featureNames.map((name, i) => this.encoders[i] || null)
+        };
+    }
+
+    /**
+     * Restore a pipeline saved with toJSON
+     * @param {Object} json - Serialized pipeline
+     * @returns {PreprocessingPipeline}
+     */
+    static fromJSON(json) {
+        if (!json || json.version !== PreprocessingPipeline.VERSION) {
+            throw new Error(`Unsupported preprocessing pipeline version: ${json?.version}`);
+        }
+
+        const pipeline = new PreprocessingPipeline({
+            featureNames: json.featureNames,
+            labelName: json.labelName,
+            // Absent from pipelines saved before categories, encodings and tasks were tracked
+            categories: json.categories || null,
+            encodings: json.encodings || {},
+            task: json.task || 'regression'
+        });
+        json.normalizers.forEach((normalizer, i) => {
+            if (normalizer.name !== json.featureNames[i]) {
+                throw new Error(`Normalizer order mismatch at ${i}: ${normalizer.name}`);
+            }
+            pipeline.normalizers[i] = { ...normalizer };
+        });
+        pipeline.labelNormalizer = { ...json.labelNormalizer };
+        (json.encoders || []).forEach((encoder, i) => {
+            if (encoder) {
+                pipeline.encoders[i] = { ...encoder };
+            }
+        });
+
+        pipeline.assertFitted();
+        return pipeline;
+    }
+}
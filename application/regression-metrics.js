@@ -0,0 +1,35 @@
+/**
+ * Regression metrics - error measures for the views regressor, computed on
+ * view counts after the label transform has been inverted
+ */
+
+/**
+ * MAE, RMSE and R-squared of predictions against actual values
+ * @param {Array<number>} actual - True values
+ * @param {Array<number>} predicted - Predicted values, same order
+ * @returns {{mae: number, rmse: number, r2: number}}
+ */
+export function regressionMetrics(actual, predicted) {
+    if (!actual.length || actual.length !== predicted.length) {
+        throw new Error('Actual and predicted values must be non-empty and aligned');
+    }
+
+    const n = actual.length;
+    const mean = actual.reduce((sum, y) => sum + y, 0) / n;
+    let absError = 0;
+    let ssRes = 0;
+    let ssTot = 0;
+    for (let i = 0; i < n; i++) {
+        const error = actual[i] - predicted[i];
+        absError += Math.abs(error);
+        ssRes += error * error;
+        ssTot += (actual[i] - mean) ** 2;
+    }
+
+    return {
+        mae: absError / n,
+        rmse: Math.sqrt(ssRes / n),
+        // Undefined when every actual value is the same
+        r2: ssTot === 0 ? NaN : 1 - ssRes / ssTot
+    };
+}
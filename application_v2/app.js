@@ -401,7 +401,7 @@ class VideoSuccessPredictor {
             
             // Load and preprocess data
             await this.dataLoader.loadCSV('data.csv');
-            const { features, labels } = this.dataLoader.preprocessData();
+            this.dataLoader.preprocessData();
             
             // Split data
             const { trainFeatures, trainLabels, testFeatures, testLabels } = 
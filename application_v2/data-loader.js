@@ -2,11 +2,14 @@
  * DataLoader class - handles loading and preprocessing of video data from CSV
  * Uses ES6 module syntax with client-side TensorFlow.js
  */
+import { parseTypedCSV, summarizeRowErrors } from '../shared/csv.js';
+
 export class DataLoader {
     constructor() {
         this.data = null;
         this.features = null;
         this.labels = null;
+        this.loadReport = null;
         this.featureNames = ['duration_sec', 'hook_strength_score', 'niche', 'views_first_hour', 
                             'retention_rate', 'first_3_sec_engagement', 'music_type', 'upload_month'];
         this.labelName = 'views_total';
@@ -16,6 +19,7 @@ export class DataLoader {
 
     /**
      * Load data from CSV file
+     * Dropped rows and the inferred column types are kept in this.loadReport.
      * @param {string} filePath - Path to CSV file
      * @returns {Promise<Array>} - Promise resolving to parsed data
      */
@@ -27,32 +31,23 @@ export class DataLoader {
             }
             
             const csvText = await response.text();
-            const rows = csvText.trim().split('\n');
-            const headers = rows[0].split(',');
             
-            // Validate required columns
+            // Required columns must be numeric; rows where they are empty or invalid are dropped
             const requiredColumns = [...this.featureNames, this.labelName];
-            for (const col of requiredColumns) {
-                if (!headers.includes(col)) {
-                    throw new Error(`Missing required column: ${col}`);
-                }
-            }
+            const parsed = parseTypedCSV(csvText, {
+                required: requiredColumns,
+                types: Object.fromEntries(requiredColumns.map(col => [col, 'number']))
+            });
+            this.data = parsed.rows;
+            this.loadReport = {
+                totalRows: parsed.totalRows,
+                types: parsed.types,
+                errors: parsed.errors
+            };
             
-            // Parse data
-            this.data = [];
-            for (let i = 1; i < rows.length; i++) {
-                const values = rows[i].split(',');
-                const row = {};
-                
-                for (let j = 0; j < headers.length; j++) {
-                    const header = headers[j].trim();
-                    row[header] = parseFloat(values[j].trim());
-                }
-                
-                // Validate row has all required fields
-                if (Object.keys(row).length === headers.length) {
-                    this.data.push(row);
-                }
+            if (parsed.errors.length > 0) {
+                console.warn(summarizeRowErrors(parsed.errors));
+                console.table(parsed.errors);
             }
             
             if (this.data.length === 0) {
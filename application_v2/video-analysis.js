@@ -0,0 +1,147 @@
+// ============================================================
+// Video analysis - feature extraction and model-backed scoring
+// ============================================================
+
+import {
+  readModelMetadata,
+  validateModelMetadata,
+  resolveDecision,
+  classifyProbability,
+  modelProbability,
+} from "../shared/model-metadata.js";
+import { isBaselineFile, readBaselineFile, predictBaseline, isClassifierBaseline } from "../shared/baseline-models.js";
+import { fetchModelJSON, jsonLoadHandler } from "../shared/model-loading.js";
+import { extractVideoFeatures } from "../shared/feature-extraction.js";
+
+export const MODEL_URL = "../virality_predictor/virality_model/model.json";
+
+// Feature order of models exported before metadata was embedded
+export const DEFAULT_FEATURES = [
+  "title_length",
+  "description_length",
+  "edge_intensity",
+  "color_histogram",
+  "spectral_entropy",
+  "audio_intensity",
+];
+
+// ============================================================
+// Model
+// ============================================================
+
+/**
+ * Load the virality model with its embedded scaler and feature schema
+ * The URL may also point at a baseline_<name>.json exported by the trainer;
+ * the bundle then has a baseline instead of a model.
+ * @param {string} url - model.json or baseline file URL
+ * @returns {Promise<Object>} - { model, baseline, metadata, features, scaler, decision }
+ */
+export async function loadViralityModel(url = MODEL_URL) {
+  const json = await fetchModelJSON(url);
+
+  let model = null;
+  let baseline = null;
+  let metadata;
+  if (isBaselineFile(json)) {
+    ({ model: baseline, metadata } = readBaselineFile(json, DEFAULT_FEATURES.length));
+    if (!isClassifierBaseline(baseline)) {
+      throw new Error("Baseline file is a regression model, not a virality classifier");
+    }
+    metadata = validateModelMetadata(metadata, DEFAULT_FEATURES);
+  } else {
+    model = await tf.loadLayersModel(jsonLoadHandler(url, json));
+    metadata = readModelMetadata(model, DEFAULT_FEATURES);
+  }
+  const features = metadata ? metadata.features : DEFAULT_FEATURES;
+  const scaler = metadata
+    ? metadata.scaler
+    : { mean: features.map(() => 0), std: features.map(() => 1) };
+  const decision = resolveDecision(metadata);
+
+  return { model, baseline, metadata, features, scaler, decision };
+}
+
+/**
+ * Viral potential tier for a probability using the model's stored decision rule
+ * Models without tiers fall back to high/low around their threshold.
+ * @param {Object} bundle - Result of loadViralityModel
+ * @param {number} probability - Model output in [0, 1]
+ * @returns {string} - "low", "medium" or "high"
+ */
+export function potentialTier(bundle, probability) {
+  const { viral, tier } = classifyProbability(probability, bundle.decision);
+  return tier || (viral ? "high" : "low");
+}
+
+/**
+ * Run the model on a named feature map
+ * @param {Object} bundle - Result of loadViralityModel
+ * @param {Object} featureMap - Feature name -> raw value
+ * @returns {Promise<number>} - Calibrated probability in [0, 1]
+ */
+export async function predictProbability(bundle, featureMap) {
+  const { model, baseline, features, scaler } = bundle;
+
+  const row = features.map((name, idx) => {
+    const value = featureMap[name];
+    if (!Number.isFinite(value)) {
+      throw new Error(`Missing value for model feature: ${name}`);
+    }
+    return (value - scaler.mean[idx]) / (scaler.std[idx] || 1);
+  });
+
+  let probability;
+  if (baseline) {
+    [probability] = predictBaseline(baseline, [row]);
+  } else {
+    const input = tf.tensor2d([row]);
+    const output = model.predict(input);
+    [probability] = await output.data();
+    tf.dispose([input, output]);
+  }
+
+  if (!Number.isFinite(probability)) {
+    throw new Error(`Model produced invalid output: ${probability}`);
+  }
+  return modelProbability(probability, bundle.metadata);
+}
+
+// ============================================================
+// Form features
+// ============================================================
+
+/**
+ * Derive numeric features from the upload form
+ * Hashtags are posted as part of the caption, so they count towards
+ * description_length; followers is passed through for models that use it.
+ */
+export function extractFormFeatures({ title, hashtags, description, followers }) {
+  const tags = hashtags.split(/\s+/).filter((tag) => tag.length > 0);
+  const caption = [description.trim(), tags.join(" ")].filter(Boolean).join(" ");
+
+  return {
+    title_length: title.trim().length,
+    description_length: caption.length,
+    hashtag_count: tags.length,
+    followers: Math.max(0, parseInt(followers, 10) || 0),
+  };
+}
+
+// ============================================================
+// Clip features
+// ============================================================
+
+/**
+ * Extract visual and audio features from a video file
+ * @param {File} file - Uploaded video
+ * @returns {Promise<Object>} - edge_intensity, color_histogram, spectral_entropy, audio_intensity
+ */
+export async function extractClipFeatures(file) {
+  const {
+    edge_intensity,
+    color_histogram,
+    spectral_entropy,
+    audio_intensity,
+  } = await extractVideoFeatures(file);
+  return { edge_intensity, color_histogram, spectral_entropy, audio_intensity };
+}
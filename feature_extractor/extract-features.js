@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * extract-features - headless feature extraction for local video files
+ *
+ * Usage:
+ *   extract-features <files or folders...> [--out features.csv] [--format csv|jsonl]
+ *
+ * Uses the shared feature math with frames and audio decoded by ffmpeg, and
+ * writes the same CSV layout as the batch extractor page.
+ */
+
+import { readdir, stat, writeFile } from 'node:fs/promises';
+import { basename, extname, join, relative, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { FEATURE_EXTRACTION_VERSION } from '../shared/feature-extraction.js';
+import { FfmpegDecoder, extractFileFeatures } from './node-decoder.js';
+import { toFeatureRow, featureRowsToCSV } from './feature-csv.js';
+
+const VIDEO_EXTENSIONS = new Set(['.mp4', '.m4v', '.mov', '.webm', '.ogg', '.ogv', '.mkv']);
+
+const USAGE = `Usage: extract-features <files or folders...> [options]
+
+Options:
+  -o, --out <path>        Output file (default: stdout)
+  -f, --format <fmt>      csv or jsonl (default: from --out extension, else csv)
+      --ffmpeg <path>     ffmpeg binary (default: $FFMPEG_PATH or ffmpeg)
+      --ffprobe <path>    ffprobe binary (default: $FFPROBE_PATH or ffprobe)
+  -h, --help              Show this help
+
+Feature extractor version: ${FEATURE_EXTRACTION_VERSION}`;
+
+async function collectVideoFiles(paths) {
+    const files = [];
+    for (const path of paths) {
+        const info = await stat(path);
+        if (info.isDirectory()) {
+            const entries = await readdir(path, { recursive: true });
+            for (const entry of entries.sort()) {
+                if (VIDEO_EXTENSIONS.has(extname(entry).toLowerCase())) {
+                    files.push({ path: join(path, entry), name: join(basename(path), entry) });
+                }
+            }
+        } else {
+            files.push({ path, name: relative(process.cwd(), path) || basename(path) });
+        }
+    }
+
+    // A file passed directly and via its folder is only processed once
+    const seen = new Set();
+    return files.filter(({ path }) => {
+        const key = resolve(path);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function resolveFormat(format, out) {
+    const resolved = format || (out && extname(out).toLowerCase() === '.jsonl' ? 'jsonl' : 'csv');
+    if (resolved !== 'csv' && resolved !== 'jsonl') {
+        throw new Error(`Unknown format: ${resolved} (expected csv or jsonl)`);
+    }
+    return resolved;
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o' },
+            format: { type: 'string', short: 'f' },
+            ffmpeg: { type: 'string' },
+            ffprobe: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help || positionals.length === 0) {
+        console.log(USAGE);
+        return values.help ? 0 : 2;
+    }
+
+    const format = resolveFormat(values.format, values.out);
+    const decoder = new FfmpegDecoder({
+        ffmpeg: values.ffmpeg,
+        ffprobe: values.ffprobe
+    });
+    const files = await collectVideoFiles(positionals);
+    if (files.length === 0) {
+        throw new Error('No video files found');
+    }
+
+    const rows = [];
+    let failed = 0;
+    for (const [i, { path, name }] of files.entries()) {
+        process.stderr.write(`[${i + 1}/${files.length}] ${name} ... `);
+        try {
+            rows.push(toFeatureRow(name, await extractFileFeatures(path, decoder)));
+            process.stderr.write('ok\n');
+        } catch (error) {
+            failed++;
+            process.stderr.write(`failed: ${error.message}\n`);
+        }
+    }
+
+    const output = format === 'csv'
+        ? featureRowsToCSV(rows)
+        : rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+
+    if (values.out) {
+        await writeFile(values.out, output);
+        process.stderr.write(`Wrote ${rows.length} row(s) to ${values.out}\n`);
+    } else {
+        process.stdout.write(output);
+    }
+
+    if (failed > 0) {
+        process.stderr.write(`${failed} of ${files.length} file(s) failed\n`);
+        return 1;
+    }
+    return 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+        console.error(`extract-features: ${error.message}`);
+        process.exitCode = 2;
+    });
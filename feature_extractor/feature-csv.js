@@ -0,0 +1,52 @@
+/**
+ * Feature CSV layout produced by batch extraction (browser and CLI)
+ *
+ * Model columns come first, in the order ViralityPredictor in model_training
+ * expects. title_length, description_length and virality cannot be derived
+ * from the clip and are left blank for labelling.
+ */
+
+import { formatCSV } from '../shared/csv.js';
+
+export const MODEL_COLUMNS = [
+    'title_length',
+    'description_length',
+    'edge_intensity',
+    'color_histogram',
+    'spectral_entropy',
+    'audio_intensity',
+    'virality'
+];
+
+export const INFO_COLUMNS = ['filename', 'duration_sec', 'width', 'height', 'feature_version'];
+
+export const FEATURE_CSV_COLUMNS = [...MODEL_COLUMNS, ...INFO_COLUMNS];
+
+/**
+ * Map an extraction result to a CSV row
+ * @param {string} filename - Source file name (or relative path)
+ * @param {Object} result - extractVideoFeatures output
+ * @returns {Object}
+ */
+export function toFeatureRow(filename, result) {
+    return {
+        edge_intensity: result.edge_intensity,
+        color_histogram: result.color_histogram,
+        spectral_entropy: result.spectral_entropy,
+        audio_intensity: result.audio_intensity,
+        filename,
+        duration_sec: result.duration,
+        width: result.width,
+        height: result.height,
+        feature_version: result.feature_version
+    };
+}
+
+/**
+ * Serialize feature rows to CSV text
+ * @param {Array<Object>} rows - toFeatureRow results
+ * @returns {string}
+ */
+export function featureRowsToCSV(rows) {
+    return formatCSV(FEATURE_CSV_COLUMNS, rows);
+}
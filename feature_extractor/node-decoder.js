@@ -0,0 +1,174 @@
+/**
+ * Node video decoding - ffmpeg/ffprobe wrappers producing the same inputs the
+ * browser feeds to the shared feature math: RGBA frames scaled to the canvas
+ * size, and the first audio channel as float PCM.
+ *
+ * Binaries are taken from FFMPEG_PATH / FFPROBE_PATH or looked up on PATH.
+ */
+
+import { spawn } from 'node:child_process';
+import {
+    EXTRACTION_CONFIG,
+    FEATURE_EXTRACTION_VERSION,
+    frameSampleTimes,
+    computeFrameFeatures,
+    aggregateFrameFeatures,
+    computeAudioFeatures
+} from '../shared/feature-extraction.js';
+
+// ffmpeg resamples to the same rate the browser decodes at
+export const SAMPLE_RATE = EXTRACTION_CONFIG.audioSampleRate;
+
+/**
+ * Run a binary and collect stdout
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @returns {Promise<Buffer>}
+ */
+function run(command, args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        const stdout = [];
+        const stderr = [];
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => stderr.push(chunk));
+        child.on('error', error => {
+            if (error.code === 'ENOENT') {
+                reject(new Error(`${command} not found; install ffmpeg or set FFMPEG_PATH/FFPROBE_PATH`));
+            } else {
+                reject(error);
+            }
+        });
+        child.on('close', code => {
+            if (code === 0) {
+                resolve(Buffer.concat(stdout));
+            } else {
+                const message = Buffer.concat(stderr).toString().trim().split('\n').pop();
+                reject(new Error(`${command} exited with code ${code}: ${message}`));
+            }
+        });
+    });
+}
+
+export class FfmpegDecoder {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.ffmpeg] - ffmpeg binary
+     * @param {string} [options.ffprobe] - ffprobe binary
+     */
+    constructor({
+        ffmpeg = process.env.FFMPEG_PATH || 'ffmpeg',
+        ffprobe = process.env.FFPROBE_PATH || 'ffprobe'
+    } = {}) {
+        this.ffmpeg = ffmpeg;
+        this.ffprobe = ffprobe;
+    }
+
+    /**
+     * Read duration, resolution and whether an audio stream exists
+     * @param {string} file - Video path
+     * @returns {Promise<{duration: number, width: number, height: number, hasAudio: boolean}>}
+     */
+    async probe(file) {
+        const output = await run(this.ffprobe, [
+            '-v', 'error',
+            '-print_format', 'json',
+            '-show_format',
+            '-show_streams',
+            file
+        ]);
+        const info = JSON.parse(output.toString());
+        const video = (info.streams || []).find(s => s.codec_type === 'video');
+        if (!video) {
+            throw new Error('No video stream found');
+        }
+
+        const duration = parseFloat(info.format?.duration ?? video.duration);
+        if (!Number.isFinite(duration) || duration <= 0) {
+            throw new Error('Cannot read video duration');
+        }
+
+        return {
+            duration,
+            width: video.width,
+            height: video.height,
+            hasAudio: info.streams.some(s => s.codec_type === 'audio')
+        };
+    }
+
+    /**
+     * Decode one frame at a timestamp, stretched to the extraction canvas size
+     * like drawImage(video, 0, 0, width, height) does in the browser
+     * @param {string} file - Video path
+     * @param {number} time - Seconds
+     * @returns {Promise<{data: Uint8ClampedArray, width: number, height: number}>}
+     */
+    async decodeFrame(file, time) {
+        const { frameWidth: width, frameHeight: height } = EXTRACTION_CONFIG;
+        const output = await run(this.ffmpeg, [
+            '-v', 'error',
+            '-ss', time.toFixed(3),
+            '-i', file,
+            '-frames:v', '1',
+            '-vf', `scale=${width}:${height}:flags=bilinear`,
+            '-pix_fmt', 'rgba',
+            '-f', 'rawvideo',
+            'pipe:1'
+        ]);
+
+        if (output.length !== width * height * 4) {
+            throw new Error(`Failed to decode frame at ${time.toFixed(2)}s`);
+        }
+        return { data: new Uint8ClampedArray(output.buffer, output.byteOffset, output.length), width, height };
+    }
+
+    /**
+     * Decode the first audio channel as 32-bit float PCM at SAMPLE_RATE
+     * The browser takes getChannelData(0), so channel 0 is used rather than a downmix.
+     * @param {string} file - Video path
+     * @returns {Promise<Float32Array>}
+     */
+    async decodeAudio(file) {
+        const output = await run(this.ffmpeg, [
+            '-v', 'error',
+            '-i', file,
+            '-vn',
+            '-af', 'pan=mono|c0=c0',
+            '-ar', String(SAMPLE_RATE),
+            '-f', 'f32le',
+            'pipe:1'
+        ]);
+        // Copy into an aligned buffer; Buffer pools may start at odd offsets
+        const aligned = new ArrayBuffer(output.length - (output.length % 4));
+        new Uint8Array(aligned).set(output.subarray(0, aligned.byteLength));
+        return new Float32Array(aligned);
+    }
+}
+
+/**
+ * Extract all features for one file with the shared math
+ * @param {string} file - Video path
+ * @param {FfmpegDecoder} [decoder] - Decoder to use
+ * @returns {Promise<Object>} - Same shape as extractVideoFeatures in the browser
+ */
+export async function extractFileFeatures(file, decoder = new FfmpegDecoder()) {
+    const { duration, width, height, hasAudio } = await decoder.probe(file);
+
+    const frames = [];
+    for (const t of frameSampleTimes(duration)) {
+        frames.push(computeFrameFeatures(await decoder.decodeFrame(file, t)));
+    }
+    const visual = aggregateFrameFeatures(frames);
+
+    // Browser extraction treats clips without audio as silent
+    const audio = computeAudioFeatures(hasAudio ? await decoder.decodeAudio(file) : null);
+
+    return {
+        ...visual,
+        ...audio,
+        duration,
+        width,
+        height,
+        feature_version: FEATURE_EXTRACTION_VERSION
+    };
+}
@@ -3,39 +3,23 @@
  * All processing happens client-side in the browser using TensorFlow.js
  */
 
+import { ViralityTrainer, CV_METRICS, parseTrainingCSV } from './training-core.js';
+import { HyperparameterSearch, gridSize, normalizeSearchSpace, paramsToConfig } from './hyperparameter-search.js';
+import { summarizeFolds } from '../shared/data-split.js';
+import { summarizeRowErrors } from '../shared/csv.js';
+import { RunStore, buildRunRecord, datasetHash, downloadBaselineFile } from './run-store.js';
+
 class ViralityPredictor {
   constructor() {
-    // Feature configuration
-    this.features = [
-      'title_length',
-      'description_length',
-      'edge_intensity',
-      'color_histogram',
-      'spectral_entropy',
-      'audio_intensity'
-    ];
-
-    // Data storage
+    // Data preparation, model and training loop live in the DOM-free core
+    this.trainer = new ViralityTrainer();
+    this.search = new HyperparameterSearch(this.trainer);
+    this.features = this.trainer.features;
     this.data = null;
-    this.trainX = null;
-    this.trainY = null;
-    this.valX = null;
-    this.valY = null;
-    this.scaler = {
-      mean: null,
-      std: null
-    };
+    this.dataset = null;
 
-    // Model state
-    this.model = null;
-    this.isTraining = false;
-    this.history = {
-      loss: [],
-      val_loss: [],
-      acc: [],
-      val_acc: [],
-      auc: []
-    };
+    // Finished runs are kept in IndexedDB for the runs page
+    this.runStore = new RunStore();
 
     // UI elements
     this.elements = {
@@ -44,6 +28,27 @@ class ViralityPredictor {
       epochs: document.getElementById('epochs'),
       batchSize: document.getElementById('batch-size'),
       learningRate: document.getElementById('learning-rate'),
+      monitor: document.getElementById('monitor'),
+      earlyStopping: document.getElementById('early-stopping'),
+      patience: document.getElementById('patience'),
+      reduceLr: document.getElementById('reduce-lr'),
+      lrPatience: document.getElementById('lr-patience'),
+      lrFactor: document.getElementById('lr-factor'),
+      restoreBest: document.getElementById('restore-best'),
+      validationMode: document.getElementById('validation-mode'),
+      holdoutOptions: document.getElementById('holdout-options'),
+      cvOptions: document.getElementById('cv-options'),
+      cvFolds: document.getElementById('cv-folds'),
+      cvRepeats: document.getElementById('cv-repeats'),
+      cvEnsemble: document.getElementById('cv-ensemble'),
+      cvResults: document.getElementById('cv-results'),
+      cvRows: document.getElementById('cv-rows'),
+      cvSummary: document.getElementById('cv-summary'),
+      validationSplit: document.getElementById('validation-split'),
+      testSplit: document.getElementById('test-split'),
+      seed: document.getElementById('seed'),
+      splitInfo: document.getElementById('split-info'),
+      scheduleInfo: document.getElementById('schedule-info'),
       trainBtn: document.getElementById('train-btn'),
       stopBtn: document.getElementById('stop-btn'),
       statusIndicator: document.getElementById('status-indicator'),
@@ -60,13 +65,62 @@ class ViralityPredictor {
       trainAcc: document.getElementById('train-acc'),
       valAcc: document.getElementById('val-acc'),
       valAuc: document.getElementById('val-auc'),
+      valPrAuc: document.getElementById('val-pr-auc'),
+      valBrier: document.getElementById('val-brier'),
+      testMetrics: document.getElementById('test-metrics'),
+      testAcc: document.getElementById('test-acc'),
+      testAuc: document.getElementById('test-auc'),
+      baselineOptions: document.querySelectorAll('.baseline-option'),
+      baselineResults: document.getElementById('baseline-results'),
+      baselineRows: document.getElementById('baseline-rows'),
+      importanceResults: document.getElementById('importance-results'),
+      importanceRows: document.getElementById('importance-rows'),
+      importanceInfo: document.getElementById('importance-info'),
+      evaluationPlaceholder: document.getElementById('evaluation-placeholder'),
+      evaluationContainer: document.getElementById('evaluation-container'),
+      thresholdStrategy: document.getElementById('threshold-strategy'),
+      targetPrecisionGroup: document.getElementById('target-precision-group'),
+      targetPrecision: document.getElementById('target-precision'),
+      tiersEnabled: document.getElementById('tiers-enabled'),
+      calibrationMethod: document.getElementById('calibration-method'),
+      calibrationPlaceholder: document.getElementById('calibration-placeholder'),
+      calibrationContainer: document.getElementById('calibration-container'),
+      eceRaw: document.getElementById('ece-raw'),
+      eceCalibrated: document.getElementById('ece-calibrated'),
+      reliabilityCanvas: document.getElementById('reliability-chart'),
+      decisionInfo: document.getElementById('decision-info'),
+      thresholdSlider: document.getElementById('threshold-slider'),
+      thresholdValue: document.getElementById('threshold-value'),
+      thresholdPrecision: document.getElementById('threshold-precision'),
+      thresholdRecall: document.getElementById('threshold-recall'),
+      thresholdF1: document.getElementById('threshold-f1'),
+      thresholdAccuracy: document.getElementById('threshold-accuracy'),
+      thresholdSpecificity: document.getElementById('threshold-specificity'),
+      cmTp: document.getElementById('cm-tp'),
+      cmFn: document.getElementById('cm-fn'),
+      cmFp: document.getElementById('cm-fp'),
+      cmTn: document.getElementById('cm-tn'),
+      rocCanvas: document.getElementById('roc-chart'),
+      prCanvas: document.getElementById('pr-chart'),
       lossCanvas: document.getElementById('loss-chart'),
       accCanvas: document.getElementById('acc-chart'),
+      searchMode: document.getElementById('search-mode'),
+      searchTrialsGroup: document.getElementById('search-trials-group'),
+      searchTrials: document.getElementById('search-trials'),
+      searchValues: document.querySelectorAll('.search-values'),
+      searchInfo: document.getElementById('search-info'),
+      searchBtn: document.getElementById('search-btn'),
+      searchStopBtn: document.getElementById('search-stop-btn'),
+      searchExportBtn: document.getElementById('search-export-btn'),
+      searchResults: document.getElementById('search-results'),
+      searchLeaderboard: document.getElementById('search-leaderboard'),
       exportBtn: document.getElementById('export-btn'),
-      exportInfo: document.getElementById('export-info')
+      exportInfo: document.getElementById('export-info'),
+      runInfo: document.getElementById('run-info')
     };
 
     this.initEventListeners();
+    this.updateSearchInfo();
   }
 
   initEventListeners() {
@@ -74,6 +128,100 @@ class ViralityPredictor {
     this.elements.trainBtn.addEventListener('click', () => this.startTraining());
     this.elements.stopBtn.addEventListener('click', () => this.stopTraining());
     this.elements.exportBtn.addEventListener('click', () => this.exportModel());
+    this.elements.searchBtn.addEventListener('click', () => this.startSearch());
+    this.elements.searchStopBtn.addEventListener('click', () => this.search.stop());
+    this.elements.searchExportBtn.addEventListener('click', () => this.exportModel());
+    this.elements.searchMode.addEventListener('change', () => this.updateSearchInfo());
+    this.elements.searchTrials.addEventListener('input', () => this.updateSearchInfo());
+    this.elements.searchValues.forEach(input => {
+      input.addEventListener('input', () => this.updateSearchInfo());
+    });
+    this.elements.validationMode.addEventListener('change', () => {
+      const kfold = this.elements.validationMode.value === 'kfold';
+      this.elements.cvOptions.classList.toggle('hidden', !kfold);
+      this.elements.holdoutOptions.classList.toggle('hidden', kfold);
+    });
+    this.elements.thresholdSlider.addEventListener('input', () => {
+      this.elements.thresholdStrategy.value = 'manual';
+      this.applyDecision();
+    });
+    this.elements.thresholdStrategy.addEventListener('change', () => this.applyDecision());
+    this.elements.targetPrecision.addEventListener('change', () => this.applyDecision());
+    this.elements.tiersEnabled.addEventListener('change', () => this.applyDecision());
+    this.elements.calibrationMethod.addEventListener('change', () => this.applyCalibration());
+  }
+
+  /**
+   * Decision options from the operating point controls
+   */
+  getDecisionOptions() {
+    const strategy = this.elements.thresholdStrategy.value;
+    this.elements.targetPrecisionGroup.style.display = strategy === 'target-precision' ? 'block' : 'none';
+    return {
+      strategy,
+      targetPrecision: parseFloat(this.elements.targetPrecision.value),
+      threshold: parseFloat(this.elements.thresholdSlider.value),
+      tiers: this.elements.tiersEnabled.checked
+    };
+  }
+
+  /**
+   * Re-select the exported threshold after training and sync the slider
+   */
+  applyDecision() {
+    const options = this.getDecisionOptions();
+    if (!this.trainer.validationScores || this.trainer.isTraining) {
+      this.updateThresholdAnalysis();
+      return;
+    }
+
+    const decision = this.trainer.selectDecision(options);
+    this.elements.thresholdSlider.value = decision.threshold;
+    this.updateThresholdAnalysis();
+    this.displayDecision(decision);
+  }
+
+  /**
+   * Refit the calibration after training; the threshold is re-chosen on the
+   * recalibrated probabilities
+   */
+  applyCalibration() {
+    if (!this.trainer.validationScores || this.trainer.isTraining) return;
+
+    this.trainer.calibrateScores(this.elements.calibrationMethod.value);
+    this.applyDecision();
+    this.updateTestMetrics();
+    this.displayCalibration();
+  }
+
+  /**
+   * ECE before/after calibration and the reliability diagram
+   */
+  displayCalibration() {
+    const { raw, calibrated } = this.trainer.reliability();
+    this.elements.calibrationMethod.value = this.trainer.config.calibration;
+    this.elements.calibrationPlaceholder.classList.add('hidden');
+    this.elements.calibrationContainer.classList.remove('hidden');
+    this.elements.eceRaw.textContent = this.formatMetric(raw.ece);
+    this.elements.eceCalibrated.textContent = this.formatMetric(calibrated.ece);
+    this.drawReliability(this.elements.reliabilityCanvas, raw.bins, calibrated.bins);
+  }
+
+  displayDecision(decision) {
+    let text = `Exported threshold: ${decision.threshold.toFixed(3)} (${decision.strategy})`;
+    if (decision.strategy === 'target-precision' && !decision.validation.met) {
+      text += ` – target precision ${decision.targetPrecision} not reachable, using the most precise threshold`;
+    }
+    if (decision.tiers) {
+      text += ' • Tiers: ' + decision.tiers
+        .filter(tier => tier.min > 0)
+        .map(tier => `${tier.label} ≥ ${tier.min.toFixed(3)}`)
+        .join(', ');
+    }
+    if (decision.tierNote) {
+      text += ` • ${decision.tierNote}`;
+    }
+    this.elements.decisionInfo.textContent = text;
   }
 
   setStatus(type, message) {
@@ -91,47 +239,28 @@ class ViralityPredictor {
     try {
       this.setStatus('info', 'Loading data...');
       const text = await file.text();
-      const rows = text.trim().split('\n');
-      const headers = rows[0].split(',');
-
-      // Parse CSV
-      const data = [];
-      for (let i = 1; i < rows.length; i++) {
-        const values = rows[i].split(',').map(v => parseFloat(v.trim()));
-        if (values.length === headers.length) {
-          const row = {};
-          headers.forEach((h, j) => {
-            row[h.trim()] = values[j];
-          });
-          data.push(row);
-        }
-      }
-
-      if (data.length === 0) {
-        throw new Error('No valid data rows found');
-      }
-
-      // Verify all required features present
-      const missingFeatures = this.features.filter(f => !data[0].hasOwnProperty(f));
-      if (missingFeatures.length > 0) {
-        throw new Error(`Missing features: ${missingFeatures.join(', ')}`);
-      }
-
-      if (!data[0].hasOwnProperty('virality')) {
-        throw new Error('Missing target column: virality');
-      }
+      const { rows: data, errors } = parseTrainingCSV(text, this.features);
 
       this.data = data;
-      this.displayDataPreview();
-      this.prepareData();
-      this.setStatus('success', `Loaded ${data.length} samples. Ready to train.`);
+      this.dataset = { name: file.name, rows: data.length, sha256: await datasetHash(text) };
+      this.displayDataPreview(errors);
+      this.trainer.setData(data);
+      if (errors.length > 0) {
+        this.setStatus('warning', `Loaded ${data.length} samples. ${summarizeRowErrors(errors)}`);
+      } else {
+        this.setStatus('success', `Loaded ${data.length} samples. Ready to train.`);
+      }
     } catch (error) {
       console.error(error);
       this.setStatus('error', `Error: ${error.message}`);
     }
   }
 
-  displayDataPreview() {
+  /**
+   * First rows of the loaded data, followed by the rows the parser dropped
+   * @param {Array<{line: number, reason: string}>} [errors] - parseTrainingCSV errors
+   */
+  displayDataPreview(errors = []) {
     const preview = this.elements.dataPreview;
     const sampleSize = Math.min(5, this.data.length);
     let html = '<table style="width: 100%; font-size: 11px; border-collapse: collapse;">';
@@ -158,75 +287,22 @@ class ViralityPredictor {
     html += `</table><div style="margin-top: 8px; color: rgba(0,0,0,0.5); font-size: 10px;">
       ... and ${this.data.length - sampleSize} more rows
     </div>`;
-    preview.innerHTML = html;
-  }
-
-  prepareData() {
-    // Extract features and target
-    const X = this.data.map(row => this.features.map(f => row[f]));
-    const y = this.data.map(row => row.virality);
-
-    // Normalize features (mean=0, std=1)
-    this.scaler.mean = [];
-    this.scaler.std = [];
-
-    for (let j = 0; j < this.features.length; j++) {
-      const col = X.map(row => row[j]);
-      const mean = col.reduce((a, b) => a + b, 0) / col.length;
-      const variance = col.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / col.length;
-      const std = Math.sqrt(variance);
 
-      this.scaler.mean.push(mean);
-      this.scaler.std.push(std || 1);
-
-      for (let i = 0; i < X.length; i++) {
-        X[i][j] = (X[i][j] - mean) / (std || 1);
-      }
+    if (errors.length > 0) {
+      const listed = errors.slice(0, 10)
+        .map(({ line, reason }) => `<li>Line ${line}: ${this.escapeHTML(reason)}</li>`)
+        .join('');
+      const more = errors.length > 10 ? `<li>... and ${errors.length - 10} more</li>` : '';
+      html += `<div style="margin-top: 8px; color: var(--color-error); font-size: 10px;">
+        Dropped ${errors.length} row${errors.length === 1 ? '' : 's'}:
+        <ul style="margin: 4px 0 0 16px; padding: 0;">${listed}${more}</ul>
+      </div>`;
     }
+    preview.innerHTML = html;
+  }
 
-    // Train-validation split (80-20)
-    const splitIdx = Math.floor(this.data.length * 0.8);
-    this.trainX = tf.tensor2d(X.slice(0, splitIdx));
-    this.trainY = tf.tensor2d(y.slice(0, splitIdx), [splitIdx, 1]);
-    this.valX = tf.tensor2d(X.slice(splitIdx));
-    this.valY = tf.tensor2d(y.slice(splitIdx), [this.data.length - splitIdx, 1]);
-  }
-
-  buildModel() {
-    this.model = tf.sequential({
-      layers: [
-        tf.layers.dense({
-          inputShape: [this.features.length],
-          units: 128,
-          activation: 'relu',
-          kernelRegularizer: tf.regularizers.l2({ l2: 0.001 })
-        }),
-        tf.layers.dropout({ rate: 0.3 }),
-        tf.layers.dense({
-          units: 64,
-          activation: 'relu',
-          kernelRegularizer: tf.regularizers.l2({ l2: 0.001 })
-        }),
-        tf.layers.dropout({ rate: 0.2 }),
-        tf.layers.dense({
-          units: 32,
-          activation: 'relu'
-        }),
-        tf.layers.dense({
-          units: 1,
-          activation: 'sigmoid'
-        })
-      ]
-    });
-
-    const learningRate = parseFloat(this.elements.learningRate.value);
-    const optimizer = tf.train.adam(learningRate);
-
-    this.model.compile({
-      optimizer: optimizer,
-      loss: 'binaryCrossentropy',
-      metrics: ['accuracy']
-    });
+  escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
   }
 
   async startTraining() {
@@ -235,152 +311,565 @@ class ViralityPredictor {
       return;
     }
 
-    if (this.isTraining) return;
+    if (this.trainer.isTraining || this.search.isRunning) return;
 
     try {
-      this.isTraining = true;
       this.elements.trainBtn.disabled = true;
+      this.elements.searchBtn.disabled = true;
+      this.elements.searchExportBtn.disabled = true;
       this.elements.stopBtn.disabled = false;
       this.elements.dataInput.disabled = true;
+      this.elements.exportBtn.disabled = true;
+      this.elements.exportInfo.textContent = '';
       this.setStatus('info', 'Building model...');
 
-      // Reset history
-      this.history = { loss: [], val_loss: [], acc: [], val_acc: [], auc: [] };
-
-      // Build model
-      this.buildModel();
-
-      const epochs = parseInt(this.elements.epochs.value);
-      const batchSize = parseInt(this.elements.batchSize.value);
-
-      // Show progress UI
-      this.elements.trainingProgress.style.display = 'block';
-      this.elements.metricsPlaceholder.classList.add('hidden');
-      this.elements.metricsContainer.classList.remove('hidden');
-      this.elements.chartPlaceholder.classList.add('hidden');
-      this.elements.chartContainer.classList.remove('hidden');
+      const settings = this.getTrainingSettings();
+      const { epochs, seed } = settings;
+      this.showTrainingPanels();
+
+      this.elements.cvResults.classList.add('hidden');
+      this.elements.testMetrics.classList.add('hidden');
+      this.elements.baselineResults.classList.add('hidden');
+      this.elements.importanceResults.classList.add('hidden');
+
+      const decision = this.getDecisionOptions();
+      if (this.elements.validationMode.value === 'kfold') {
+        const config = {
+          ...settings,
+          decision,
+          k: parseInt(this.elements.cvFolds.value, 10),
+          repeats: parseInt(this.elements.cvRepeats.value, 10) || 1,
+          ensemble: this.elements.cvEnsemble.checked
+        };
+        await this.runCrossValidation(config);
+        return;
+      }
 
       this.setStatus('info', 'Training model...');
 
-      // Training loop with manual epoch control for real-time updates
-      for (let epoch = 0; epoch < epochs && this.isTraining; epoch++) {
-        // Training step
-        const trainMetrics = await this.model.fit(this.trainX, this.trainY, {
-          epochs: 1,
-          batchSize: batchSize,
-          verbose: 0,
-          shuffle: true
-        });
-
-        // Validation step
-        const valPredictions = this.model.predict(this.valX);
-        const valPred = await valPredictions.data();
-        valPredictions.dispose();
-
-        const valTrue = await this.valY.data();
-        const valMetrics = this.calculateMetrics(Array.from(valTrue), Array.from(valPred));
-
-        // Store history
-        this.history.loss.push(await trainMetrics.history.loss[0]);
-        this.history.val_loss.push(valMetrics.loss);
-        this.history.acc.push(await trainMetrics.history.acc[0]);
-        this.history.val_acc.push(valMetrics.accuracy);
-        this.history.auc.push(valMetrics.auc);
-
+      const config = { ...settings, decision, baselines: this.getBaselineNames() };
+      const completed = await this.trainer.train(config, async (epoch) => {
         // Update UI
         this.updateMetricsDisplay();
         this.drawCharts();
+        this.updateThresholdAnalysis();
 
         // Update progress bar
         const progress = ((epoch + 1) / epochs) * 100;
         this.elements.progressBar.style.width = progress + '%';
-        this.elements.epochDisplay.textContent = `${epoch + 1} / ${epochs}`;
-
-        // Cleanup
-        trainMetrics.dispose();
+        this.elements.epochDisplay.textContent = `${epoch + 1} / ${epochs} · LR ${this.history.lr[epoch]}`;
 
         // Allow UI to update
         await new Promise(resolve => setTimeout(resolve, 10));
+      });
+
+      const { train, validation, test } = this.trainer.split;
+      this.elements.splitInfo.textContent =
+        `Split (seed ${seed}): ${train.length} train / ${validation.length} validation / ${test.length} test rows`;
+      this.updateMetricsDisplay();
+      this.drawCharts();
+      this.displaySchedule();
+      this.updateTestMetrics();
+      this.displayBaselines();
+      this.displayFeatureImportance();
+
+      if (this.trainer.decision) {
+        this.elements.thresholdSlider.value = this.trainer.decision.threshold;
+        this.updateThresholdAnalysis();
+        this.displayDecision(this.trainer.decision);
+        this.displayCalibration();
       }
 
-      if (this.isTraining) {
+      if (completed) {
         this.setStatus('success', 'Training completed!');
         this.elements.exportBtn.disabled = false;
         this.elements.exportInfo.textContent = 'Model ready for download';
       } else {
         this.setStatus('warning', 'Training stopped by user');
       }
+      await this.recordRun('holdout', completed);
     } catch (error) {
       console.error(error);
       this.setStatus('error', `Training failed: ${error.message}`);
     } finally {
-      this.isTraining = false;
       this.elements.trainBtn.disabled = false;
+      this.elements.searchBtn.disabled = false;
       this.elements.stopBtn.disabled = true;
       this.elements.dataInput.disabled = false;
       this.elements.trainingProgress.style.display = 'none';
     }
   }
 
-  stopTraining() {
-    this.isTraining = false;
+  /**
+   * Settings from the training card shared by single runs, k-fold and search
+   */
+  getTrainingSettings() {
+    return {
+      epochs: parseInt(this.elements.epochs.value),
+      batchSize: parseInt(this.elements.batchSize.value),
+      learningRate: parseFloat(this.elements.learningRate.value),
+      validationSplit: parseFloat(this.elements.validationSplit.value) / 100,
+      testSplit: (parseFloat(this.elements.testSplit.value) || 0) / 100,
+      seed: parseInt(this.elements.seed.value, 10) || 0,
+      monitor: this.elements.monitor.value,
+      earlyStopping: this.elements.earlyStopping.checked,
+      patience: parseInt(this.elements.patience.value, 10),
+      reduceLrOnPlateau: this.elements.reduceLr.checked,
+      lrPatience: parseInt(this.elements.lrPatience.value, 10),
+      lrFactor: parseFloat(this.elements.lrFactor.value),
+      restoreBest: this.elements.restoreBest.checked,
+      calibration: this.elements.calibrationMethod.value
+    };
+  }
+
+  /**
+   * Baselines ticked in the hold-out options; not part of the search settings
+   */
+  getBaselineNames() {
+    return Array.from(this.elements.baselineOptions)
+      .filter(input => input.checked)
+      .map(input => input.value);
   }
 
-  calculateMetrics(y_true, y_pred) {
-    // Binary crossentropy loss
-    let loss = 0;
-    let correct = 0;
-    let tp = 0, fp = 0, fn = 0, tn = 0;
+  /**
+   * Network and baseline metrics side by side, with an export button per baseline
+   */
+  displayBaselines() {
+    const hasBaselines = this.trainer.baselines.length > 0;
+    this.elements.baselineResults.classList.toggle('hidden', !hasBaselines);
+    if (!hasBaselines) return;
+
+    const rows = this.trainer.baselineComparison();
+    this.elements.baselineRows.replaceChildren(...rows.map(({ name, description, validation, test }) => {
+      const row = document.createElement('tr');
+      const cells = [
+        description,
+        this.formatMetric(validation.loss),
+        (validation.accuracy * 100).toFixed(2) + '%',
+        this.formatMetric(validation.auc),
+        this.formatMetric(validation.prAuc),
+        this.formatMetric(validation.f1),
+        test ? this.formatMetric(test.auc) : '–'
+      ];
+      cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
 
-    for (let i = 0; i < y_true.length; i++) {
-      const true_val = y_true[i];
-      const pred_prob = y_pred[i];
-      const pred_class = pred_prob > 0.5 ? 1 : 0;
+      const action = document.createElement('td');
+      if (name !== 'network') {
+        const button = document.createElement('button');
+        button.className = 'btn btn--secondary';
+        button.textContent = 'JSON';
+        button.title = `Download ${description} as baseline_${name}.json`;
+        button.addEventListener('click', () => this.exportBaseline(name));
+        action.appendChild(button);
+      }
+      row.appendChild(action);
+      return row;
+    }));
+  }
 
-      // Loss
-      const epsilon = 1e-7;
-      const pred_clipped = Math.max(epsilon, Math.min(1 - epsilon, pred_prob));
-      loss += -(true_val * Math.log(pred_clipped) + (1 - true_val) * Math.log(1 - pred_clipped));
+  /**
+   * Validation AUC drop per shuffled feature, largest first, as bars scaled to the largest drop
+   */
+  displayFeatureImportance() {
+    const importance = this.trainer.featureImportance;
+    this.elements.importanceResults.classList.toggle('hidden', !importance);
+    if (!importance) return;
+
+    const ranked = [...importance.features].sort((a, b) => b.mean - a.mean);
+    const scale = Math.max(...ranked.map(({ mean }) => Math.abs(mean))) || 1;
+    this.elements.importanceRows.replaceChildren(...ranked.map(({ name, mean, std }) => {
+      const row = document.createElement('tr');
+      const label = document.createElement('td');
+      label.textContent = name;
+      const value = document.createElement('td');
+      value.textContent = Number.isFinite(std) ? `${this.formatMetric(mean)} ± ${std.toFixed(4)}` : this.formatMetric(mean);
+      const barCell = document.createElement('td');
+      const bar = document.createElement('div');
+      bar.className = mean < 0 ? 'importance-bar negative' : 'importance-bar';
+      bar.style.width = `${(Math.abs(mean) / scale) * 100}%`;
+      barCell.appendChild(bar);
+      row.append(label, value, barCell);
+      return row;
+    }));
+    this.elements.importanceInfo.textContent =
+      `Validation AUC ${this.formatMetric(importance.baseline)}; each feature shuffled ${importance.repeats} times. ` +
+      'Drops near zero or negative mean the model does not rely on that feature.';
+  }
 
-      // Accuracy
-      if (pred_class === true_val) correct++;
+  showTrainingPanels() {
+    this.elements.trainingProgress.style.display = 'block';
+    this.elements.metricsPlaceholder.classList.add('hidden');
+    this.elements.metricsContainer.classList.remove('hidden');
+    this.elements.chartPlaceholder.classList.add('hidden');
+    this.elements.chartContainer.classList.remove('hidden');
+    this.elements.scheduleInfo.textContent = '';
+  }
 
-      // AUC components
-      if (true_val === 1 && pred_class === 1) tp++;
-      else if (true_val === 0 && pred_class === 1) fp++;
-      else if (true_val === 1 && pred_class === 0) fn++;
-      else if (true_val === 0 && pred_class === 0) tn++;
+  /**
+   * Search space from the comma-separated value inputs
+   */
+  getSearchSpace() {
+    const space = {};
+    this.elements.searchValues.forEach(input => {
+      space[input.dataset.param] = input.value
+        .split(',')
+        .map(v => v.trim())
+        .filter(Boolean)
+        .map(Number);
+    });
+    return normalizeSearchSpace(space);
+  }
+
+  updateSearchInfo() {
+    const random = this.elements.searchMode.value === 'random';
+    this.elements.searchTrialsGroup.style.display = random ? 'block' : 'none';
+    try {
+      const size = gridSize(this.getSearchSpace());
+      const trials = random ? Math.min(size, parseInt(this.elements.searchTrials.value, 10) || 0) : size;
+      this.elements.searchInfo.textContent =
+        `${trials} of ${size} configurations will be trained; epochs, split and seed come from the training settings`;
+    } catch (error) {
+      this.elements.searchInfo.textContent = error.message;
     }
+  }
 
-    loss /= y_true.length;
-    const accuracy = correct / y_true.length;
+  /**
+   * Train the search candidates one after another; the best model by
+   * validation ROC-AUC stays loaded for the threshold analysis and export
+   */
+  async startSearch() {
+    if (!this.data) {
+      this.setStatus('error', 'Please upload data first');
+      return;
+    }
+    if (this.trainer.isTraining || this.search.isRunning) return;
+
+    try {
+      const space = this.getSearchSpace();
+      const mode = this.elements.searchMode.value;
+      // Learning rate and batch size come from each candidate
+      const base = { ...this.getTrainingSettings(), decision: this.getDecisionOptions() };
+      const { epochs } = base;
+
+      this.elements.searchBtn.disabled = true;
+      this.elements.searchStopBtn.disabled = false;
+      this.elements.searchExportBtn.disabled = true;
+      this.elements.trainBtn.disabled = true;
+      this.elements.exportBtn.disabled = true;
+      this.elements.dataInput.disabled = true;
+      this.elements.exportInfo.textContent = '';
+      this.elements.searchLeaderboard.innerHTML = '';
+      this.elements.searchResults.classList.remove('hidden');
+      this.elements.cvResults.classList.add('hidden');
+      this.showTrainingPanels();
+
+      let trialIndex = 0;
+      let trialCount = 0;
+      const completed = await this.search.run({
+        mode,
+        space,
+        trials: parseInt(this.elements.searchTrials.value, 10) || 1,
+        base
+      }, {
+        onTrialStart: async (trial, total) => {
+          trialIndex = trial.index - 1;
+          trialCount = total;
+          this.setStatus('info', `Search trial ${trial.index} of ${total}...`);
+        },
+        onEpochEnd: async (epoch) => {
+          this.updateMetricsDisplay();
+          this.drawCharts();
+
+          const progress = ((trialIndex * epochs + epoch + 1) / (trialCount * epochs)) * 100;
+          this.elements.progressBar.style.width = progress + '%';
+          this.elements.epochDisplay.textContent = `Trial ${trialIndex + 1}/${trialCount} · ${epoch + 1} / ${epochs}`;
+
+          await new Promise(resolve => setTimeout(resolve, 10));
+        },
+        onTrialEnd: async (result, leaderboard) => {
+          this.renderLeaderboard(leaderboard);
+        }
+      });
 
-    // Simple AUC approximation (threshold-based)
-    const tpr = tp / (tp + fn || 1);
-    const fpr = fp / (fp + tn || 1);
-    const auc = (1 + tpr - fpr) / 2; // Rough approximation
+      if (!this.search.best) {
+        this.setStatus('warning', 'Search stopped before any trial finished');
+        return;
+      }
 
-    return { loss, accuracy, auc };
+      // The trainer now holds the best trial
+      this.updateMetricsDisplay();
+      this.drawCharts();
+      this.displaySchedule();
+      this.updateTestMetrics();
+      this.displayBaselines();
+      this.displayFeatureImportance();
+      if (this.trainer.decision) {
+        this.elements.thresholdSlider.value = this.trainer.decision.threshold;
+        this.updateThresholdAnalysis();
+        this.displayDecision(this.trainer.decision);
+        this.displayCalibration();
+      }
+
+      const { result } = this.search.best;
+      this.setStatus(completed ? 'success' : 'warning',
+        `${completed ? 'Search completed' : 'Search stopped'} - best trial #${result.index}, val AUC ${this.formatMetric(result.valAuc)}`);
+      this.elements.searchExportBtn.disabled = false;
+      this.elements.exportBtn.disabled = false;
+      this.elements.exportInfo.textContent = `Best search model (trial #${result.index}) ready for download`;
+      await this.recordRun('search', completed);
+    } catch (error) {
+      console.error(error);
+      this.setStatus('error', `Search failed: ${error.message}`);
+    } finally {
+      this.elements.searchBtn.disabled = false;
+      this.elements.searchStopBtn.disabled = true;
+      this.elements.trainBtn.disabled = false;
+      this.elements.dataInput.disabled = false;
+      this.elements.trainingProgress.style.display = 'none';
+    }
+  }
+
+  renderLeaderboard(leaderboard) {
+    this.elements.searchLeaderboard.innerHTML = leaderboard.map((result, rank) => {
+      const { params } = result;
+      return `<tr class="${rank === 0 ? 'best' : ''}">` + [
+        result.index,
+        paramsToConfig(params).hiddenUnits.join('-'),
+        params.dropout,
+        params.l2,
+        params.learningRate,
+        params.batchSize,
+        this.formatMetric(result.valAuc),
+        this.formatMetric(result.valLoss),
+        this.formatMetric(result.valAccuracy * 100, 2) + '%'
+      ].map(cell => `<td>${cell}</td>`).join('') + '</tr>';
+    }).join('');
+  }
+
+  /**
+   * k-fold run: live charts follow the current fold, the table fills in as
+   * folds finish and the threshold analysis ends on out-of-fold predictions
+   */
+  async runCrossValidation(config) {
+    const { epochs, k, repeats, seed } = config;
+    this.elements.cvRows.innerHTML = '';
+    this.elements.cvSummary.innerHTML = '';
+    this.elements.cvResults.classList.remove('hidden');
+
+    let foldIndex = 0;
+    let foldCount = k * repeats;
+    const completed = await this.trainer.crossValidate(config, {
+      onFoldStart: async (split, index, total) => {
+        foldIndex = index;
+        foldCount = total;
+        this.setStatus('info', `Training fold ${index + 1} of ${total}...`);
+      },
+      onEpochEnd: async (epoch) => {
+        this.updateMetricsDisplay();
+        this.drawCharts();
+
+        const progress = ((foldIndex * epochs + epoch + 1) / (foldCount * epochs)) * 100;
+        this.elements.progressBar.style.width = progress + '%';
+        this.elements.epochDisplay.textContent = `Fold ${foldIndex + 1}/${foldCount} · ${epoch + 1} / ${epochs}`;
+
+        await new Promise(resolve => setTimeout(resolve, 10));
+      },
+      onFoldEnd: async (result, folds) => {
+        this.appendFoldRow(result);
+        this.displayCrossValidationSummary(summarizeFolds(folds, CV_METRICS));
+      }
+    });
+
+    const { cv } = this.trainer.finalMetrics();
+    this.displayCrossValidationSummary(cv);
+    this.elements.splitInfo.textContent =
+      `${k}-fold × ${repeats} (seed ${seed}): ${this.trainer.crossValidation.folds.length} of ${foldCount} folds, ` +
+      `${this.data.length} rows`;
+
+    if (this.trainer.decision) {
+      this.elements.thresholdSlider.value = this.trainer.decision.threshold;
+      this.updateThresholdAnalysis();
+      this.displayDecision(this.trainer.decision);
+      this.displayCalibration();
+    }
+
+    if (!completed) {
+      this.setStatus('warning', 'Cross-validation stopped by user');
+    } else if (this.trainer.model) {
+      this.setStatus('success', `Cross-validation completed, ${this.trainer.crossValidation.ensembleSize}-model ensemble ready`);
+      this.elements.exportBtn.disabled = false;
+      this.elements.exportInfo.textContent = 'Fold ensemble ready for download';
+    } else {
+      this.setStatus('success', 'Cross-validation completed');
+      this.elements.exportInfo.textContent = 'Enable the fold ensemble to export a cross-validated model';
+    }
+    await this.recordRun('cv', completed);
+  }
+
+  /**
+   * Save the trainer's latest run (config, history, metrics, model) for the runs page
+   * @param {string} kind - 'holdout', 'cv' or 'search'
+   * @param {boolean} completed - False if the run was stopped early
+   */
+  async recordRun(kind, completed) {
+    if (this.trainer.history.loss.length === 0) return;
+
+    try {
+      const id = await this.runStore.add(await buildRunRecord(this.trainer, { kind, completed, dataset: this.dataset }));
+      this.elements.runInfo.textContent = `Saved as run #${id}`;
+    } catch (error) {
+      console.error(error);
+      this.elements.runInfo.textContent = `Run not saved: ${error.message}`;
+    }
+  }
+
+  appendFoldRow(result) {
+    const row = document.createElement('tr');
+    const label = this.trainer.config.repeats > 1
+      ? `${result.repeat + 1}.${result.fold + 1}`
+      : `${result.fold + 1}`;
+    row.innerHTML = [
+      label,
+      `${result.trainSamples}/${result.valSamples}`,
+      this.formatMetric(result.loss),
+      this.formatMetric(result.accuracy * 100, 2) + '%',
+      this.formatMetric(result.auc),
+      this.formatMetric(result.prAuc),
+      this.formatMetric(result.f1)
+    ].map(cell => `<td>${cell}</td>`).join('');
+    this.elements.cvRows.appendChild(row);
+  }
+
+  /**
+   * Mean ± std row under the fold table, mirrored into the metric cards
+   */
+  displayCrossValidationSummary(cv) {
+    const cell = ({ mean, std }, scale = 1, digits = 4) => {
+      const text = this.formatMetric(mean * scale, digits);
+      return Number.isFinite(std) ? `${text} ± ${(std * scale).toFixed(digits)}` : text;
+    };
+    this.elements.cvSummary.innerHTML = `<tr><td>Mean</td><td></td>` +
+      `<td>${cell(cv.loss)}</td><td>${cell(cv.accuracy, 100, 2)}</td>` +
+      `<td>${cell(cv.auc)}</td><td>${cell(cv.prAuc)}</td><td>${cell(cv.f1)}</td></tr>`;
+
+    this.elements.valLoss.textContent = cell(cv.loss);
+    this.elements.valAcc.textContent = cell(cv.accuracy, 100, 2) + '%';
+    this.elements.valAuc.textContent = cell(cv.auc);
+    this.elements.valPrAuc.textContent = cell(cv.prAuc);
+  }
+
+  stopTraining() {
+    this.trainer.stop();
+  }
+
+  get history() {
+    return this.trainer.history;
   }
 
   updateMetricsDisplay() {
-    const lastIdx = this.history.loss.length - 1;
+    // Latest epoch while training, the restored best epoch afterwards
+    const lastIdx = this.trainer.currentEpoch;
     if (lastIdx < 0) return;
 
     this.elements.trainLoss.textContent = this.history.loss[lastIdx].toFixed(4);
     this.elements.valLoss.textContent = this.history.val_loss[lastIdx].toFixed(4);
     this.elements.trainAcc.textContent = (this.history.acc[lastIdx] * 100).toFixed(2) + '%';
     this.elements.valAcc.textContent = (this.history.val_acc[lastIdx] * 100).toFixed(2) + '%';
-    this.elements.valAuc.textContent = this.history.auc[lastIdx].toFixed(4);
+    this.elements.valAuc.textContent = this.formatMetric(this.history.auc[lastIdx]);
+    this.elements.valPrAuc.textContent = this.formatMetric(this.history.pr_auc[lastIdx]);
+    this.elements.valBrier.textContent = this.formatMetric(this.trainer.finalMetrics().valBrier);
+  }
+
+  updateTestMetrics() {
+    const metrics = this.trainer.finalMetrics();
+    const hasTest = metrics.testAccuracy !== undefined;
+    this.elements.testMetrics.classList.toggle('hidden', !hasTest);
+    if (!hasTest) return;
+
+    this.elements.testAcc.textContent = (metrics.testAccuracy * 100).toFixed(2) + '%';
+    this.elements.testAuc.textContent = this.formatMetric(metrics.testAuc);
+  }
+
+  /**
+   * Best epoch, early stop and learning-rate outcome of the last run
+   */
+  displaySchedule() {
+    const { schedule } = this.trainer;
+    if (!schedule || schedule.bestEpoch === null) {
+      this.elements.scheduleInfo.textContent = '';
+      return;
+    }
+
+    const parts = [
+      `Best epoch ${schedule.bestEpoch} of ${schedule.epochsRun} (${schedule.monitor} ${this.formatMetric(schedule.bestValue)})`
+    ];
+    if (schedule.stoppedEarly) {
+      parts.push('stopped early');
+    }
+    if (schedule.finalLearningRate !== this.trainer.config.learningRate) {
+      parts.push(`LR reduced to ${schedule.finalLearningRate}`);
+    }
+    parts.push(schedule.restored ? 'best weights restored' : 'final weights kept');
+    this.elements.scheduleInfo.textContent = parts.join(' • ');
+  }
+
+  formatMetric(value, digits = 4) {
+    // ROC/PR-AUC are undefined when the validation set has a single class
+    return Number.isFinite(value) ? value.toFixed(digits) : 'n/a';
+  }
+
+  /**
+   * Redraw curves and confusion matrix for the slider's threshold
+   */
+  updateThresholdAnalysis() {
+    if (!this.trainer.validationScores) return;
+
+    this.elements.evaluationPlaceholder.classList.add('hidden');
+    this.elements.evaluationContainer.classList.remove('hidden');
+
+    const threshold = parseFloat(this.elements.thresholdSlider.value);
+    const metrics = this.trainer.thresholdAnalysis(threshold);
+    const { roc, pr } = this.trainer.validationCurves();
+
+    this.elements.thresholdValue.textContent = threshold.toFixed(2);
+    this.elements.thresholdPrecision.textContent = (metrics.precision * 100).toFixed(2) + '%';
+    this.elements.thresholdRecall.textContent = (metrics.recall * 100).toFixed(2) + '%';
+    this.elements.thresholdF1.textContent = metrics.f1.toFixed(4);
+    this.elements.thresholdAccuracy.textContent = (metrics.accuracy * 100).toFixed(2) + '%';
+    this.elements.thresholdSpecificity.textContent = (metrics.specificity * 100).toFixed(2) + '%';
+    this.elements.cmTp.textContent = metrics.confusion.tp;
+    this.elements.cmFn.textContent = metrics.confusion.fn;
+    this.elements.cmFp.textContent = metrics.confusion.fp;
+    this.elements.cmTn.textContent = metrics.confusion.tn;
+
+    const { tp, fp, tn, fn } = metrics.confusion;
+    this.drawCurve(
+      this.elements.rocCanvas,
+      roc.map(p => ({ x: p.fpr, y: p.tpr })),
+      { x: fp / (fp + tn || 1), y: tp / (tp + fn || 1) },
+      { xLabel: 'False positive rate', yLabel: 'True positive rate', diagonal: true }
+    );
+    this.drawCurve(
+      this.elements.prCanvas,
+      pr.map(p => ({ x: p.recall, y: p.precision })),
+      { x: metrics.recall, y: metrics.precision },
+      { xLabel: 'Recall', yLabel: 'Precision' }
+    );
   }
 
   drawCharts() {
-    // Loss chart
+    // Loss chart, with the best epoch marked once the run has finished
+    const { schedule } = this.trainer;
     this.drawChart(
       this.elements.lossCanvas,
       this.history.loss,
       this.history.val_loss,
-      'Loss'
+      'Loss',
+      schedule && schedule.bestEpoch !== null ? schedule.bestEpoch - 1 : null
     );
 
     // Accuracy chart
@@ -392,7 +881,7 @@ class ViralityPredictor {
     );
   }
 
-  drawChart(canvas, trainData, valData, label) {
+  drawChart(canvas, trainData, valData, label, markedEpoch = null) {
     const ctx = canvas.getContext('2d');
     const width = canvas.offsetWidth || 400;
     const height = canvas.offsetHeight || 240;
@@ -449,6 +938,25 @@ class ViralityPredictor {
     ctx.stroke();
     ctx.setLineDash([]);
 
+    // Mark the chosen epoch
+    if (markedEpoch !== null && markedEpoch < trainData.length) {
+      const x = padding + (markedEpoch / (trainData.length - 1 || 1)) * (width - padding * 2);
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.45)';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([2, 3]);
+      ctx.beginPath();
+      ctx.moveTo(x, padding);
+      ctx.lineTo(x, height - padding);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      ctx.font = '11px sans-serif';
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+      ctx.textAlign = x > width / 2 ? 'right' : 'left';
+      ctx.fillText(`best: epoch ${markedEpoch + 1}`, x + (x > width / 2 ? -4 : 4), padding - 6);
+      ctx.textAlign = 'left';
+    }
+
     // Draw legend
     ctx.font = 'bold 12px sans-serif';
     ctx.fillStyle = '#2180a4';
@@ -457,8 +965,156 @@ class ViralityPredictor {
     ctx.fillText('Validation', width - 80, 25);
   }
 
+  /**
+   * Draw a curve on the unit square in the drawChart style, marking the
+   * operating point of the current threshold
+   */
+  drawCurve(canvas, points, marker, { xLabel, yLabel, diagonal = false }) {
+    const ctx = canvas.getContext('2d');
+    const width = canvas.offsetWidth || 400;
+    const height = canvas.offsetHeight || 240;
+
+    canvas.width = width;
+    canvas.height = height;
+
+    if (points.length === 0) return;
+
+    const padding = 40;
+    const toX = x => padding + x * (width - padding * 2);
+    const toY = y => height - padding - y * (height - padding * 2);
+
+    // Draw background
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.02)';
+    ctx.fillRect(0, 0, width, height);
+
+    // Draw grid lines
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.05)';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 4; i++) {
+      ctx.beginPath();
+      ctx.moveTo(padding, toY(i / 4));
+      ctx.lineTo(width - padding, toY(i / 4));
+      ctx.stroke();
+    }
+
+    // Chance line
+    if (diagonal) {
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
+      ctx.setLineDash([5, 5]);
+      ctx.beginPath();
+      ctx.moveTo(toX(0), toY(0));
+      ctx.lineTo(toX(1), toY(1));
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    // Plot curve
+    ctx.strokeStyle = '#2180a4';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach((p, i) => {
+      if (i === 0) ctx.moveTo(toX(p.x), toY(p.y));
+      else ctx.lineTo(toX(p.x), toY(p.y));
+    });
+    ctx.stroke();
+
+    // Operating point
+    ctx.fillStyle = '#ff5459';
+    ctx.beginPath();
+    ctx.arc(toX(marker.x), toY(marker.y), 5, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Axis labels
+    ctx.font = '11px sans-serif';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillText(xLabel, width / 2 - 40, height - 12);
+    ctx.save();
+    ctx.translate(14, height / 2 + 40);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(yLabel, 0, 0);
+    ctx.restore();
+  }
+
+  /**
+   * Reliability diagram: fraction of viral videos per predicted-probability
+   * bin, before (grey) and after (blue) calibration, against the diagonal
+   */
+  drawReliability(canvas, rawBins, calibratedBins) {
+    const ctx = canvas.getContext('2d');
+    const width = canvas.offsetWidth || 400;
+    const height = canvas.offsetHeight || 240;
+
+    canvas.width = width;
+    canvas.height = height;
+
+    const padding = 40;
+    const toX = x => padding + x * (width - padding * 2);
+    const toY = y => height - padding - y * (height - padding * 2);
+
+    // Draw background
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.02)';
+    ctx.fillRect(0, 0, width, height);
+
+    // Draw grid lines
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.05)';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 4; i++) {
+      ctx.beginPath();
+      ctx.moveTo(padding, toY(i / 4));
+      ctx.lineTo(width - padding, toY(i / 4));
+      ctx.stroke();
+    }
+
+    // Perfect calibration
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
+    ctx.setLineDash([5, 5]);
+    ctx.beginPath();
+    ctx.moveTo(toX(0), toY(0));
+    ctx.lineTo(toX(1), toY(1));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Empty bins are skipped
+    const plot = (bins, color) => {
+      const points = bins.filter(bin => bin.count > 0);
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      points.forEach((bin, i) => {
+        if (i === 0) ctx.moveTo(toX(bin.meanPredicted), toY(bin.fractionPositive));
+        else ctx.lineTo(toX(bin.meanPredicted), toY(bin.fractionPositive));
+      });
+      ctx.stroke();
+      points.forEach(bin => {
+        ctx.beginPath();
+        ctx.arc(toX(bin.meanPredicted), toY(bin.fractionPositive), 3, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    };
+    plot(rawBins, 'rgba(0, 0, 0, 0.35)');
+    plot(calibratedBins, '#2180a4');
+
+    // Draw legend
+    ctx.font = 'bold 12px sans-serif';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.fillText('Raw', width - 150, 25);
+    ctx.fillStyle = '#2180a4';
+    ctx.fillText('Calibrated', width - 110, 25);
+
+    // Axis labels
+    ctx.font = '11px sans-serif';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillText('Mean predicted probability', width / 2 - 70, height - 12);
+    ctx.save();
+    ctx.translate(14, height / 2 + 40);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText('Fraction viral', 0, 0);
+    ctx.restore();
+  }
+
   async exportModel() {
-    if (!this.model) {
+    if (!this.trainer.model) {
       this.setStatus('error', 'No model to export');
       return;
     }
@@ -466,17 +1122,8 @@ class ViralityPredictor {
     try {
       this.setStatus('info', 'Exporting model...');
 
-      // Save model with metadata
-      await this.model.save(
-        'downloads://virality_model',
-        {
-          metadata: {
-            features: this.features,
-            scaler: this.scaler,
-            history: this.history
-          }
-        }
-      );
+      // Embeds feature schema, scaler and provenance in model.json
+      await this.trainer.saveModel('downloads://virality_model');
 
       this.setStatus('success', 'Model exported successfully!');
     } catch (error) {
@@ -484,6 +1131,20 @@ class ViralityPredictor {
       this.setStatus('error', `Export failed: ${error.message}`);
     }
   }
+
+  /**
+   * Download one baseline with its scaler and metadata as JSON
+   * @param {string} name - Baseline name
+   */
+  exportBaseline(name) {
+    try {
+      downloadBaselineFile(name, this.trainer.buildBaselineExport(name));
+      this.setStatus('success', `Exported baseline_${name}.json`);
+    } catch (error) {
+      console.error(error);
+      this.setStatus('error', `Export failed: ${error.message}`);
+    }
+  }
 }
 
 // Initialize app when DOM is ready
@@ -0,0 +1,225 @@
+/**
+ * Video Virality Predictor - hyperparameter search
+ * Grid and random search over the network layout and optimizer settings.
+ * Trials run one after another on a ViralityTrainer with the same split and
+ * seed, so the leaderboard compares configurations rather than data splits.
+ */
+
+import { createRandom } from '../shared/data-split.js';
+
+export const SEARCH_MODES = ['grid', 'random'];
+
+// Candidate values per searched parameter
+export const DEFAULT_SEARCH_SPACE = {
+  width: [32, 64, 128],
+  depth: [1, 2, 3],
+  dropout: [0, 0.2, 0.3],
+  l2: [0, 0.001],
+  learningRate: [0.0003, 0.001, 0.003],
+  batchSize: [16, 32, 64]
+};
+
+export const SEARCH_PARAMS = Object.keys(DEFAULT_SEARCH_SPACE);
+
+/**
+ * Trainer config for one point of the search space
+ * Layers halve in width (down to 8 units); dropout and L2 apply to every
+ * hidden layer but the last, like the default 128-64-32 network.
+ * @param {Object} params - { width, depth, dropout, l2, learningRate, batchSize }
+ * @returns {Object} - { hiddenUnits, dropout, l2, learningRate, batchSize }
+ */
+export function paramsToConfig({ width, depth, dropout, l2, learningRate, batchSize }) {
+  const hiddenUnits = Array.from({ length: depth }, (_, i) => Math.max(8, Math.round(width / 2 ** i)));
+  const regularized = i => i < depth - 1 || depth === 1;
+  return {
+    hiddenUnits,
+    dropout: hiddenUnits.map((_, i) => (regularized(i) ? dropout : 0)),
+    l2: hiddenUnits.map((_, i) => (regularized(i) ? l2 : 0)),
+    learningRate,
+    batchSize
+  };
+}
+
+/**
+ * Number of configurations in the full grid
+ */
+export function gridSize(space) {
+  return SEARCH_PARAMS.reduce((size, param) => size * space[param].length, 1);
+}
+
+/**
+ * Every combination of the search space, first parameter varying slowest
+ * @param {Object} space - Parameter -> candidate values
+ * @returns {Array<Object>} - Parameter maps
+ */
+export function gridCandidates(space) {
+  return SEARCH_PARAMS.reduce(
+    (combos, param) => combos.flatMap(combo => space[param].map(value => ({ ...combo, [param]: value }))),
+    [{}]
+  );
+}
+
+/**
+ * Distinct random combinations of the search space
+ * @param {Object} space - Parameter -> candidate values
+ * @param {number} count - Trials to draw (capped at the grid size)
+ * @param {number} seed - Sampling seed
+ * @returns {Array<Object>} - Parameter maps
+ */
+export function randomCandidates(space, count, seed) {
+  const random = createRandom(seed);
+  const target = Math.min(count, gridSize(space));
+  const seen = new Set();
+  const candidates = [];
+
+  while (candidates.length < target) {
+    const params = {};
+    SEARCH_PARAMS.forEach(param => {
+      const values = space[param];
+      params[param] = values[Math.floor(random() * values.length)];
+    });
+    const key = JSON.stringify(params);
+    if (!seen.has(key)) {
+      seen.add(key);
+      candidates.push(params);
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Validate a search space and drop duplicate values
+ * @param {Object} space - Parameter -> candidate values
+ * @returns {Object} - Cleaned search space
+ */
+export function normalizeSearchSpace(space) {
+  const cleaned = {};
+  for (const param of SEARCH_PARAMS) {
+    const values = [...new Set(space[param] || [])];
+    if (values.length === 0 || !values.every(Number.isFinite)) {
+      throw new Error(`Search space needs numeric values for ${param}`);
+    }
+    const integer = ['width', 'depth', 'batchSize'].includes(param);
+    if (values.some(v => (integer ? !Number.isInteger(v) || v < 1 : v < 0))) {
+      throw new Error(`Invalid ${param} values: ${values.join(', ')}`);
+    }
+    if (param === 'dropout' && values.some(v => v >= 1)) {
+      throw new Error('Dropout rates must be below 1');
+    }
+    if (param === 'learningRate' && values.some(v => v === 0)) {
+      throw new Error('Learning rates must be positive');
+    }
+    cleaned[param] = values;
+  }
+  return cleaned;
+}
+
+/**
+ * Leaderboard order: validation ROC-AUC, then validation loss; undefined AUCs last
+ */
+export function compareTrials(a, b) {
+  const aucA = Number.isFinite(a.valAuc) ? a.valAuc : -Infinity;
+  const aucB = Number.isFinite(b.valAuc) ? b.valAuc : -Infinity;
+  return aucB - aucA || a.valLoss - b.valLoss;
+}
+
+export class HyperparameterSearch {
+  /**
+   * @param {ViralityTrainer} trainer - Trainer with data loaded
+   */
+  constructor(trainer) {
+    this.trainer = trainer;
+    this.results = [];
+    this.best = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Train every candidate and keep the best model in the trainer
+   * @param {Object} options
+   * @param {string} options.mode - 'grid' or 'random'
+   * @param {Object} options.space - Parameter -> candidate values
+   * @param {number} [options.trials] - Trials for random search
+   * @param {Object} options.base - Shared trainer config (epochs, splits, seed, decision)
+   * @param {Object} [callbacks]
+   * @param {Function} [callbacks.onTrialStart] - async (trial, total)
+   * @param {Function} [callbacks.onEpochEnd] - async (epoch, history) within a trial
+   * @param {Function} [callbacks.onTrialEnd] - async (result, leaderboard)
+   * @returns {Promise<boolean>} - False if stopped before the last trial
+   */
+  async run({ mode, space, trials = 10, base = {} }, { onTrialStart, onEpochEnd, onTrialEnd } = {}) {
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Unknown search mode: ${mode}`);
+    }
+    if (this.isRunning) {
+      throw new Error('Search already in progress');
+    }
+
+    const cleaned = normalizeSearchSpace(space);
+    const candidates = mode === 'grid'
+      ? gridCandidates(cleaned)
+      : randomCandidates(cleaned, trials, base.seed ?? 0);
+
+    this.discardBest();
+    this.results = [];
+    this.isRunning = true;
+
+    try {
+      for (let i = 0; i < candidates.length && this.isRunning; i++) {
+        const trial = { index: i + 1, params: candidates[i] };
+        if (onTrialStart) {
+          await onTrialStart(trial, candidates.length);
+        }
+
+        const completed = await this.trainer.train({ ...base, ...paramsToConfig(trial.params) }, onEpochEnd);
+        if (!completed || !this.isRunning) break;
+
+        const metrics = this.trainer.finalMetrics();
+        const result = {
+          ...trial,
+          valAuc: metrics.valAuc,
+          valPrAuc: metrics.valPrAuc,
+          valLoss: metrics.valLoss,
+          valAccuracy: metrics.valAccuracy,
+          valF1: metrics.valF1,
+          parameters: this.trainer.model.countParams()
+        };
+        this.results.push(result);
+
+        if (!this.best || compareTrials(result, this.best.result) < 0) {
+          this.discardBest();
+          this.best = { result, state: this.trainer.detachState() };
+        }
+        if (onTrialEnd) {
+          await onTrialEnd(result, this.leaderboard());
+        }
+      }
+
+      if (this.best) {
+        this.trainer.restoreState(this.best.state);
+      }
+      return this.results.length === candidates.length;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Completed trials, best first
+   */
+  leaderboard() {
+    return [...this.results].sort(compareTrials);
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.trainer.stop();
+  }
+
+  discardBest() {
+    if (this.best && this.best.state.model !== this.trainer.model) {
+      this.best.state.model.dispose();
+    }
+    this.best = null;
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Node helpers for the training CLI and prediction server: TensorFlow.js
+ * setup and model.json + weights file IO in the same layout the browser
+ * export produces (model.json next to virality_model.weights.bin).
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+
+/**
+ * Load tfjs-node and expose it as the global `tf` the shared modules expect
+ * @returns {Promise<Object>} - The tf namespace
+ */
+export async function loadTensorFlow() {
+  if (globalThis.tf) {
+    return globalThis.tf;
+  }
+  let tf;
+  try {
+    tf = await import('@tensorflow/tfjs-node');
+  } catch (error) {
+    throw new Error(`@tensorflow/tfjs-node is not available (${error.message}); run npm install`);
+  }
+  globalThis.tf = tf.default || tf;
+  return globalThis.tf;
+}
+
+function concatWeightData(weightData) {
+  // Newer tfjs versions may hand over several buffers
+  const buffers = Array.isArray(weightData) ? weightData : [weightData];
+  return Buffer.concat(buffers.map(buffer => Buffer.from(buffer)));
+}
+
+/**
+ * tf.io save handler writing model.json and <name>.weights.bin to a directory
+ * @param {string} outDir - Output directory (created if missing)
+ * @param {string} [name] - Weights file prefix
+ */
+export function fileSaveHandler(outDir, name = 'virality_model') {
+  return tf.io.withSaveHandler(async artifacts => {
+    await mkdir(outDir, { recursive: true });
+
+    const weightsFile = `${name}.weights.bin`;
+    const weightBuffer = concatWeightData(artifacts.weightData);
+    const modelJSON = {
+      modelTopology: artifacts.modelTopology,
+      format: artifacts.format,
+      generatedBy: artifacts.generatedBy,
+      convertedBy: artifacts.convertedBy || null,
+      weightsManifest: [{ paths: [`./${weightsFile}`], weights: artifacts.weightSpecs }]
+    };
+    if (artifacts.trainingConfig) {
+      modelJSON.trainingConfig = artifacts.trainingConfig;
+    }
+    if (artifacts.userDefinedMetadata) {
+      modelJSON.userDefinedMetadata = artifacts.userDefinedMetadata;
+    }
+
+    const modelJSONText = JSON.stringify(modelJSON);
+    await writeFile(join(outDir, 'model.json'), modelJSONText);
+    await writeFile(join(outDir, weightsFile), weightBuffer);
+
+    return {
+      modelArtifactsInfo: {
+        dateSaved: new Date(),
+        modelTopologyType: 'JSON',
+        modelTopologyBytes: modelJSONText.length,
+        weightDataBytes: weightBuffer.length
+      }
+    };
+  });
+}
+
+/**
+ * tf.io load handler reading a model.json and the weight files it references
+ * @param {string} modelPath - Path to model.json
+ * @param {Object} [parsedJSON] - model.json already read by the caller, so it is not read again
+ */
+export function fileLoadHandler(modelPath, parsedJSON = null) {
+  const modelDir = dirname(resolve(modelPath));
+  return {
+    load: async () => {
+      const modelJSON = parsedJSON || JSON.parse(await readFile(modelPath, 'utf8'));
+      const weightSpecs = [];
+      const buffers = [];
+      for (const group of modelJSON.weightsManifest) {
+        weightSpecs.push(...group.weights);
+        for (const path of group.paths) {
+          buffers.push(await readFile(join(modelDir, path)));
+        }
+      }
+      const weightBuffer = Buffer.concat(buffers);
+
+      return {
+        modelTopology: modelJSON.modelTopology,
+        format: modelJSON.format,
+        generatedBy: modelJSON.generatedBy,
+        convertedBy: modelJSON.convertedBy,
+        trainingConfig: modelJSON.trainingConfig,
+        userDefinedMetadata: modelJSON.userDefinedMetadata,
+        weightSpecs,
+        weightData: weightBuffer.buffer.slice(weightBuffer.byteOffset, weightBuffer.byteOffset + weightBuffer.length)
+      };
+    }
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * Local experiment tracker: training runs in the browser's IndexedDB
+ *
+ * Each record holds what is needed to compare and reproduce a run without
+ * the training page state: config, dataset fingerprint, per-epoch history,
+ * final metrics and the exported model (TensorFlow.js artifacts plus any
+ * baseline files), so a run can be downloaded again later.
+ */
+
+export const RUN_DB_NAME = 'virality-training-runs';
+export const RUN_DB_VERSION = 1;
+const RUN_STORE = 'runs';
+
+export const RUN_KINDS = ['holdout', 'cv', 'search'];
+
+/**
+ * Resolve an IndexedDB request or transaction as a promise
+ */
+function requestPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Hex SHA-256 of the dataset text, the same fingerprint train.js writes to metrics.json
+ * @param {string} text - CSV contents
+ * @returns {Promise<string>}
+ */
+export async function datasetHash(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Model artifacts (topology, weight specs and data, metadata) as tf.io would
+ * write them, captured in memory instead of downloaded
+ * @param {ViralityTrainer} trainer - Trainer holding a model
+ * @returns {Promise<Object>}
+ */
+export async function captureModelArtifacts(trainer) {
+  let captured = null;
+  await trainer.saveModel(tf.io.withSaveHandler(async (artifacts) => {
+    captured = artifacts;
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+  }));
+  return captured;
+}
+
+/**
+ * Plain record of the trainer's latest run
+ * Cross-validation keeps the history of the last fold it trained; the fold
+ * summary is part of the metrics.
+ * @param {ViralityTrainer} trainer - Trainer after train(), crossValidate() or a search
+ * @param {Object} options
+ * @param {string} options.kind - One of RUN_KINDS
+ * @param {boolean} [options.completed] - False if the run was stopped early
+ * @param {Object} [options.dataset] - { name, rows, sha256 }
+ * @returns {Promise<Object>}
+ */
+export async function buildRunRecord(trainer, { kind, completed = true, dataset = null }) {
+  if (!RUN_KINDS.includes(kind)) {
+    throw new Error(`Unknown run kind: ${kind}`);
+  }
+
+  const model = trainer.model ? await captureModelArtifacts(trainer) : null;
+  const baselines = trainer.baselines.map(({ name }) => ({
+    name,
+    file: trainer.buildBaselineExport(name)
+  }));
+
+  return {
+    createdAt: new Date().toISOString(),
+    kind,
+    completed,
+    config: structuredClone(trainer.config),
+    dataset,
+    history: structuredClone(trainer.history),
+    schedule: trainer.schedule ? structuredClone(trainer.schedule) : null,
+    metrics: structuredClone(trainer.finalMetrics()),
+    decision: trainer.decision ? structuredClone(trainer.decision) : null,
+    featureImportance: trainer.featureImportance ? structuredClone(trainer.featureImportance) : null,
+    artifact: model || baselines.length > 0 ? { model, baselines } : null
+  };
+}
+
+// Revoking an object URL right away can cancel the download before it starts
+const REVOKE_DELAY_MS = 1000;
+
+/**
+ * Download a baseline export as baseline_<name>.json
+ * @param {string} name - Baseline name
+ * @param {Object} file - Baseline file from ViralityTrainer.buildBaselineExport
+ */
+export function downloadBaselineFile(name, file) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(file)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `baseline_${name}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
+
+/**
+ * Download a stored run's model files, as the training page's export does
+ * @param {Object} run - Stored run record
+ * @param {string} [prefix] - File name prefix for the model files
+ */
+export async function exportRunArtifacts(run, prefix = 'virality_model') {
+  if (!run.artifact) {
+    throw new Error(`Run #${run.id} has no exported model`);
+  }
+
+  const { model, baselines } = run.artifact;
+  if (model) {
+    await tf.io.browserDownloads(prefix).save(model);
+  }
+  baselines.forEach(({ name, file }) => downloadBaselineFile(name, file));
+}
+
+export class RunStore {
+  constructor(factory = globalThis.indexedDB) {
+    this.factory = factory;
+    this.db = null;
+  }
+
+  async open() {
+    if (this.db) return this.db;
+    if (!this.factory) {
+      throw new Error('IndexedDB is not available in this browser');
+    }
+
+    const request = this.factory.open(RUN_DB_NAME, RUN_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(RUN_STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('createdAt', 'createdAt');
+    };
+    this.db = await requestPromise(request);
+    return this.db;
+  }
+
+  /**
+   * Store a run record
+   * @param {Object} run - Result of buildRunRecord
+   * @returns {Promise<number>} - Assigned run id
+   */
+  async add(run) {
+    const db = await this.open();
+    const transaction = db.transaction(RUN_STORE, 'readwrite');
+    const done = transactionDone(transaction);
+    const id = await requestPromise(transaction.objectStore(RUN_STORE).add(run));
+    await done;
+    return id;
+  }
+
+  /**
+   * All runs, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    const db = await this.open();
+    const runs = await requestPromise(db.transaction(RUN_STORE).objectStore(RUN_STORE).getAll());
+    return runs.reverse();
+  }
+
+  async get(id) {
+    const db = await this.open();
+    return requestPromise(db.transaction(RUN_STORE).objectStore(RUN_STORE).get(id));
+  }
+
+  async delete(id) {
+    const db = await this.open();
+    const transaction = db.transaction(RUN_STORE, 'readwrite');
+    transaction.objectStore(RUN_STORE).delete(id);
+    await transactionDone(transaction);
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
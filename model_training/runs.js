@@ -0,0 +1,291 @@
+/**
+ * Video Virality Predictor - Saved Training Runs
+ * Lists the runs recorded by the training page, overlays the validation
+ * curves of the selected ones and downloads or deletes stored models
+ */
+
+import { RunStore, exportRunArtifacts } from './run-store.js';
+
+const CURVE_COLORS = ['#2180a4', '#ff5459', '#e68161', '#5d878f', '#a84b2f', '#944454', '#13343b', '#32b8c6'];
+
+class RunsPage {
+  constructor() {
+    this.store = new RunStore();
+    this.runs = [];
+    this.selected = new Set();
+    this.sort = { key: 'createdAt', descending: true };
+
+    // Table columns; value() gives the sort key, format() the cell text
+    this.columns = [
+      { key: 'id', label: '#', value: run => run.id },
+      { key: 'createdAt', label: 'Date', value: run => run.createdAt, format: value => new Date(value).toLocaleString() },
+      { key: 'kind', label: 'Mode', value: run => run.kind, format: (value, run) => this.describeKind(run) },
+      {
+        key: 'dataset',
+        label: 'Dataset',
+        value: run => run.dataset?.sha256 ?? null,
+        format: (value, run) => run.dataset
+          ? `${run.dataset.name} · ${run.dataset.rows} rows · ${run.dataset.sha256.slice(0, 8)}`
+          : '–'
+      },
+      { key: 'layers', label: 'Layers', value: run => run.config.hiddenUnits.join('-') },
+      { key: 'learningRate', label: 'LR', value: run => run.config.learningRate },
+      { key: 'batchSize', label: 'Batch', value: run => run.config.batchSize },
+      { key: 'epochs', label: 'Epochs', value: run => run.history.loss.length },
+      { key: 'valLoss', label: 'Val Loss', value: run => run.metrics.valLoss, format: value => this.formatMetric(value) },
+      { key: 'valAuc', label: 'Val AUC', value: run => run.metrics.valAuc, format: value => this.formatMetric(value) },
+      { key: 'valPrAuc', label: 'Val PR-AUC', value: run => run.metrics.valPrAuc, format: value => this.formatMetric(value) },
+      { key: 'valF1', label: 'Val F1', value: run => run.metrics.valF1, format: value => this.formatMetric(value) },
+      { key: 'testAuc', label: 'Test AUC', value: run => run.metrics.testAuc, format: value => this.formatMetric(value) }
+    ];
+
+    this.elements = {
+      statusIndicator: document.getElementById('status-indicator'),
+      statusText: document.getElementById('status-text'),
+      runsPlaceholder: document.getElementById('runs-placeholder'),
+      runsTable: document.getElementById('runs-table'),
+      runsHead: document.getElementById('runs-head'),
+      runsRows: document.getElementById('runs-rows'),
+      curvesPlaceholder: document.getElementById('curves-placeholder'),
+      curvesContainer: document.getElementById('curves-container'),
+      lossCanvas: document.getElementById('runs-loss-chart'),
+      aucCanvas: document.getElementById('runs-auc-chart')
+    };
+
+    window.addEventListener('resize', () => this.drawCurves());
+    this.loadRuns();
+  }
+
+  setStatus(type, message) {
+    const indicator = this.elements.statusIndicator;
+    indicator.classList.remove('status--success', 'status--error');
+    if (type === 'success') indicator.classList.add('status--success');
+    if (type === 'error') indicator.classList.add('status--error');
+    this.elements.statusText.textContent = message;
+  }
+
+  async loadRuns() {
+    try {
+      this.runs = await this.store.list();
+      this.setStatus('success', `${this.runs.length} saved run${this.runs.length === 1 ? '' : 's'}`);
+    } catch (error) {
+      console.error(error);
+      this.runs = [];
+      this.setStatus('error', `Could not read saved runs: ${error.message}`);
+    }
+    this.renderTable();
+    this.drawCurves();
+  }
+
+  describeKind(run) {
+    const { config } = run;
+    const label = run.kind === 'cv'
+      ? `${config.k}-fold × ${config.repeats}${config.ensemble ? ' ensemble' : ''}`
+      : run.kind === 'search' ? 'Search (best)' : 'Hold-out';
+    return run.completed ? label : `${label}, stopped`;
+  }
+
+  formatMetric(value, digits = 4) {
+    return Number.isFinite(value) ? value.toFixed(digits) : '–';
+  }
+
+  /**
+   * Runs in the current sort order; missing values go last either way
+   */
+  sortedRuns() {
+    const column = this.columns.find(c => c.key === this.sort.key);
+    const direction = this.sort.descending ? -1 : 1;
+    return [...this.runs].sort((a, b) => {
+      const x = column.value(a);
+      const y = column.value(b);
+      const missingX = x === null || x === undefined || Number.isNaN(x);
+      const missingY = y === null || y === undefined || Number.isNaN(y);
+      if (missingX || missingY) return missingX - missingY;
+      if (x < y) return -direction;
+      if (x > y) return direction;
+      return 0;
+    });
+  }
+
+  setSort(key) {
+    this.sort = this.sort.key === key
+      ? { key, descending: !this.sort.descending }
+      : { key, descending: key !== 'valLoss' };
+    this.renderTable();
+  }
+
+  renderTable() {
+    const hasRuns = this.runs.length > 0;
+    this.elements.runsPlaceholder.classList.toggle('hidden', hasRuns);
+    this.elements.runsTable.classList.toggle('hidden', !hasRuns);
+    if (!hasRuns) return;
+
+    const head = document.createElement('tr');
+    head.appendChild(document.createElement('th'));
+    this.columns.forEach(({ key, label }) => {
+      const cell = document.createElement('th');
+      const arrow = this.sort.key === key ? (this.sort.descending ? ' ▼' : ' ▲') : '';
+      cell.textContent = label + arrow;
+      cell.className = 'sortable';
+      cell.title = `Sort by ${label}`;
+      cell.addEventListener('click', () => this.setSort(key));
+      head.appendChild(cell);
+    });
+    head.appendChild(document.createElement('th'));
+    this.elements.runsHead.replaceChildren(head);
+
+    this.elements.runsRows.replaceChildren(...this.sortedRuns().map(run => {
+      const row = document.createElement('tr');
+
+      const select = document.createElement('td');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this.selected.has(run.id);
+      checkbox.title = 'Show curves';
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) this.selected.add(run.id);
+        else this.selected.delete(run.id);
+        this.drawCurves();
+      });
+      select.appendChild(checkbox);
+      row.appendChild(select);
+
+      this.columns.forEach(({ value, format }) => {
+        const cell = document.createElement('td');
+        const raw = value(run);
+        cell.textContent = format ? format(raw, run) : String(raw ?? '–');
+        row.appendChild(cell);
+      });
+
+      const actions = document.createElement('div');
+      actions.className = 'controls';
+      const download = document.createElement('button');
+      download.className = 'btn btn--secondary';
+      download.textContent = 'Download';
+      download.disabled = !run.artifact;
+      download.title = run.artifact ? 'Download the stored model files' : 'This run has no exported model';
+      download.addEventListener('click', () => this.exportRun(run));
+      const remove = document.createElement('button');
+      remove.className = 'btn btn--secondary';
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', () => this.deleteRun(run));
+      actions.append(download, remove);
+      const cell = document.createElement('td');
+      cell.appendChild(actions);
+      row.appendChild(cell);
+      return row;
+    }));
+  }
+
+  async exportRun(run) {
+    try {
+      await exportRunArtifacts(run);
+      this.setStatus('success', `Exported run #${run.id}`);
+    } catch (error) {
+      console.error(error);
+      this.setStatus('error', `Export failed: ${error.message}`);
+    }
+  }
+
+  async deleteRun(run) {
+    if (!confirm(`Delete run #${run.id}? Its metrics and stored model are removed from this browser.`)) return;
+
+    try {
+      await this.store.delete(run.id);
+      this.selected.delete(run.id);
+      await this.loadRuns();
+    } catch (error) {
+      console.error(error);
+      this.setStatus('error', `Delete failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validation loss and AUC of the selected runs, one colour per run
+   */
+  drawCurves() {
+    const runs = this.runs.filter(run => this.selected.has(run.id));
+    this.elements.curvesPlaceholder.classList.toggle('hidden', runs.length > 0);
+    this.elements.curvesContainer.classList.toggle('hidden', runs.length === 0);
+    if (runs.length === 0) return;
+
+    const series = key => runs.map((run, i) => ({
+      label: `#${run.id}${run.kind === 'cv' ? ' (last fold)' : ''}`,
+      color: CURVE_COLORS[i % CURVE_COLORS.length],
+      values: run.history[key]
+    }));
+    this.drawOverlay(this.elements.lossCanvas, series('val_loss'));
+    this.drawOverlay(this.elements.aucCanvas, series('auc'));
+  }
+
+  drawOverlay(canvas, series) {
+    const ctx = canvas.getContext('2d');
+    const width = canvas.offsetWidth || 400;
+    const height = canvas.offsetHeight || 240;
+
+    canvas.width = width;
+    canvas.height = height;
+
+    const allData = series.flatMap(s => s.values).filter(Number.isFinite);
+    if (allData.length === 0) return;
+
+    const minVal = Math.min(...allData);
+    const maxVal = Math.max(...allData);
+    const range = maxVal - minVal || 1;
+    const maxEpochs = Math.max(...series.map(s => s.values.length));
+    const padding = 40;
+
+    // Draw background
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.02)';
+    ctx.fillRect(0, 0, width, height);
+
+    // Draw grid lines with value labels
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.05)';
+    ctx.lineWidth = 1;
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    for (let i = 0; i <= 4; i++) {
+      const y = padding + (i / 4) * (height - padding * 2);
+      ctx.beginPath();
+      ctx.moveTo(padding, y);
+      ctx.lineTo(width - padding, y);
+      ctx.stroke();
+      ctx.fillText((maxVal - (i / 4) * range).toFixed(3), 4, y + 3);
+    }
+    ctx.fillText(`${maxEpochs} epochs`, width - padding - 50, height - padding + 16);
+
+    // Epochs share one x axis, so shorter runs end early; missing values (e.g. NaN AUC) leave a gap
+    ctx.lineWidth = 2;
+    series.forEach(({ color, values }) => {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      let penDown = false;
+      values.forEach((value, i) => {
+        if (!Number.isFinite(value)) {
+          penDown = false;
+          return;
+        }
+        const x = padding + (i / (maxEpochs - 1 || 1)) * (width - padding * 2);
+        const y = height - padding - ((value - minVal) / range) * (height - padding * 2);
+        if (penDown) ctx.lineTo(x, y);
+        else ctx.moveTo(x, y);
+        penDown = true;
+      });
+      ctx.stroke();
+    });
+
+    // Draw legend
+    ctx.font = 'bold 12px sans-serif';
+    let x = padding;
+    series.forEach(({ label, color }) => {
+      ctx.fillStyle = color;
+      ctx.fillText(label, x, 25);
+      x += ctx.measureText(label).width + 16;
+    });
+  }
+}
+
+// Initialize page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new RunsPage();
+});
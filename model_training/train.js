@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+/**
+ * train-virality - headless training for the virality classifier
+ *
+ * Usage:
+ *   train-virality <data.csv> --out <dir> [--epochs 50] [--batch-size 32] [--learning-rate 0.001]
+ *   train-virality <data.csv> --out <dir> --cv-folds 5 [--cv-repeats 1] [--ensemble]
+ *
+ * Writes model.json + virality_model.weights.bin (with the same embedded
+ * metadata as the browser export) and a metrics.json report to <dir>.
+ * Cross-validation writes only metrics.json unless --ensemble is given.
+ * --baselines also writes one baseline_<name>.json per baseline model.
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import {
+  ViralityTrainer,
+  parseTrainingCSV,
+  DEFAULT_CONFIG,
+  DEFAULT_CV_CONFIG,
+  DEFAULT_DECISION_CONFIG,
+  THRESHOLD_STRATEGIES
+} from './training-core.js';
+import { MONITORS } from '../shared/training-monitor.js';
+import { CALIBRATION_METHODS } from '../shared/calibration.js';
+import { BASELINE_TYPES } from '../shared/baseline-models.js';
+import { loadTensorFlow, fileSaveHandler } from './node-io.js';
+
+const USAGE = `Usage: train-virality <data.csv> --out <dir> [options]
+
+Options:
+  -o, --out <dir>           Output directory for model and metrics (required)
+      --epochs <n>          Training epochs (default: ${DEFAULT_CONFIG.epochs})
+      --batch-size <n>      Batch size (default: ${DEFAULT_CONFIG.batchSize})
+      --learning-rate <lr>  Adam learning rate (default: ${DEFAULT_CONFIG.learningRate})
+      --val-split <f>       Validation fraction (default: ${DEFAULT_CONFIG.validationSplit})
+      --test-split <f>      Held-out test fraction (default: ${DEFAULT_CONFIG.testSplit})
+      --seed <n>            Split, shuffle and initialization seed (default: ${DEFAULT_CONFIG.seed})
+      --monitor <m>         ${Object.keys(MONITORS).join(', ')} for early stopping and LR reduction (default: ${DEFAULT_CONFIG.monitor})
+      --early-stopping      Stop after --patience epochs without improvement
+      --patience <n>        Early-stopping patience (default: ${DEFAULT_CONFIG.patience})
+      --reduce-lr           Multiply the learning rate by --lr-factor on plateau
+      --lr-patience <n>     Epochs without improvement before a reduction (default: ${DEFAULT_CONFIG.lrPatience})
+      --lr-factor <f>       Learning-rate reduction factor (default: ${DEFAULT_CONFIG.lrFactor})
+      --no-restore-best     Export the last epoch's weights instead of the best epoch's
+      --cv-folds <k>        Stratified k-fold cross-validation instead of a hold-out split
+      --cv-repeats <n>      Reshuffled k-fold repeats (default: ${DEFAULT_CV_CONFIG.repeats})
+      --ensemble            Export the fold models as one averaging model
+      --threshold-strategy <s>
+                            ${THRESHOLD_STRATEGIES.join(', ')} (default: ${DEFAULT_DECISION_CONFIG.strategy})
+      --target-precision <p>
+                            Precision for target-precision (default: ${DEFAULT_DECISION_CONFIG.targetPrecision})
+      --threshold <t>       Threshold for manual (default: ${DEFAULT_DECISION_CONFIG.threshold})
+      --no-tiers            Do not store low/medium/high tiers
+      --calibration <m>     ${CALIBRATION_METHODS.join(', ')}, fitted on validation predictions (default: ${DEFAULT_CONFIG.calibration})
+      --baselines <list>    Comma-separated ${BASELINE_TYPES.join(', ')} models fitted on the same split (hold-out only)
+  -q, --quiet               Only print the final summary
+  -h, --help                Show this help`;
+
+function parseNumber(value, name, { integer = false, min = 0 } = {}) {
+  const parsed = integer ? parseInt(value, 10) : parseFloat(value);
+  if (!Number.isFinite(parsed) || parsed <= min || (integer && String(parsed) !== String(value).trim())) {
+    throw new Error(`Invalid --${name}: ${value}`);
+  }
+  return parsed;
+}
+
+/**
+ * Collect training options from CLI flags
+ * @param {Object} values - parseArgs values
+ * @returns {Object} - Trainer config
+ */
+function buildConfig(values) {
+  const config = { ...DEFAULT_CONFIG };
+  if (values.epochs !== undefined) {
+    config.epochs = parseNumber(values.epochs, 'epochs', { integer: true });
+  }
+  if (values['batch-size'] !== undefined) {
+    config.batchSize = parseNumber(values['batch-size'], 'batch-size', { integer: true });
+  }
+  if (values['learning-rate'] !== undefined) {
+    config.learningRate = parseNumber(values['learning-rate'], 'learning-rate');
+  }
+  if (values['val-split'] !== undefined) {
+    config.validationSplit = parseNumber(values['val-split'], 'val-split');
+  }
+  if (values['test-split'] !== undefined) {
+    config.testSplit = parseNumber(values['test-split'], 'test-split', { min: -Infinity });
+  }
+  if (config.testSplit < 0 || config.validationSplit + config.testSplit >= 1) {
+    throw new Error('--val-split and --test-split must be non-negative and sum to less than 1');
+  }
+  if (values.seed !== undefined) {
+    config.seed = parseNumber(values.seed, 'seed', { integer: true, min: -1 });
+  }
+  if (values.monitor !== undefined) {
+    if (!(values.monitor in MONITORS)) {
+      throw new Error(`Invalid --monitor: ${values.monitor}`);
+    }
+    config.monitor = values.monitor;
+  }
+  config.earlyStopping = Boolean(values['early-stopping']);
+  if (values.patience !== undefined) {
+    config.patience = parseNumber(values.patience, 'patience', { integer: true });
+  }
+  config.reduceLrOnPlateau = Boolean(values['reduce-lr']);
+  if (values['lr-patience'] !== undefined) {
+    config.lrPatience = parseNumber(values['lr-patience'], 'lr-patience', { integer: true });
+  }
+  if (values['lr-factor'] !== undefined) {
+    config.lrFactor = parseNumber(values['lr-factor'], 'lr-factor');
+    if (config.lrFactor >= 1) {
+      throw new Error(`Invalid --lr-factor: ${values['lr-factor']}`);
+    }
+  }
+  config.restoreBest = !values['no-restore-best'];
+  if (values['cv-folds'] !== undefined) {
+    Object.assign(config, DEFAULT_CV_CONFIG, {
+      k: parseNumber(values['cv-folds'], 'cv-folds', { integer: true, min: 1 }),
+      ensemble: Boolean(values.ensemble)
+    });
+    if (values['cv-repeats'] !== undefined) {
+      config.repeats = parseNumber(values['cv-repeats'], 'cv-repeats', { integer: true });
+    }
+  } else if (values['cv-repeats'] !== undefined || values.ensemble) {
+    throw new Error('--cv-repeats and --ensemble require --cv-folds');
+  }
+
+  if (values.calibration !== undefined) {
+    if (!CALIBRATION_METHODS.includes(values.calibration)) {
+      throw new Error(`Invalid --calibration: ${values.calibration}`);
+    }
+    config.calibration = values.calibration;
+  }
+
+  if (values.baselines !== undefined) {
+    if (config.k !== undefined) {
+      throw new Error('--baselines cannot be combined with --cv-folds');
+    }
+    config.baselines = values.baselines.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = config.baselines.find(name => !BASELINE_TYPES.includes(name));
+    if (unknown !== undefined || config.baselines.length === 0) {
+      throw new Error(`Invalid --baselines: ${values.baselines}`);
+    }
+  }
+
+  const decision = { ...DEFAULT_DECISION_CONFIG, tiers: !values['no-tiers'] };
+  if (values['threshold-strategy'] !== undefined) {
+    if (!THRESHOLD_STRATEGIES.includes(values['threshold-strategy'])) {
+      throw new Error(`Invalid --threshold-strategy: ${values['threshold-strategy']}`);
+    }
+    decision.strategy = values['threshold-strategy'];
+  }
+  if (values['target-precision'] !== undefined) {
+    decision.targetPrecision = parseNumber(values['target-precision'], 'target-precision');
+    if (decision.targetPrecision > 1) {
+      throw new Error(`Invalid --target-precision: ${values['target-precision']}`);
+    }
+  }
+  if (values.threshold !== undefined) {
+    decision.threshold = parseNumber(values.threshold, 'threshold', { min: -Infinity });
+    if (decision.threshold < 0 || decision.threshold > 1) {
+      throw new Error(`Invalid --threshold: ${values.threshold}`);
+    }
+  }
+  config.decision = decision;
+  return config;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o' },
+      epochs: { type: 'string' },
+      'batch-size': { type: 'string' },
+      'learning-rate': { type: 'string' },
+      'val-split': { type: 'string' },
+      'test-split': { type: 'string' },
+      seed: { type: 'string' },
+      monitor: { type: 'string' },
+      'early-stopping': { type: 'boolean' },
+      patience: { type: 'string' },
+      'reduce-lr': { type: 'boolean' },
+      'lr-patience': { type: 'string' },
+      'lr-factor': { type: 'string' },
+      'no-restore-best': { type: 'boolean' },
+      'cv-folds': { type: 'string' },
+      'cv-repeats': { type: 'string' },
+      ensemble: { type: 'boolean' },
+      'threshold-strategy': { type: 'string' },
+      'target-precision': { type: 'string' },
+      threshold: { type: 'string' },
+      'no-tiers': { type: 'boolean' },
+      calibration: { type: 'string' },
+      baselines: { type: 'string' },
+      quiet: { type: 'boolean', short: 'q' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 1 || !values.out) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const [dataPath] = positionals;
+  const config = buildConfig(values);
+  await loadTensorFlow();
+
+  const csvText = await readFile(dataPath, 'utf8');
+  const trainer = new ViralityTrainer();
+  const parsed = parseTrainingCSV(csvText, trainer.features);
+  trainer.setData(parsed.rows);
+  console.error(`Loaded ${trainer.data.length} of ${parsed.totalRows} samples from ${dataPath}`);
+  for (const { line, reason } of parsed.errors) {
+    console.error(`  dropped line ${line}: ${reason}`);
+  }
+
+  const logEpoch = (epoch, history) => {
+    if (values.quiet) return;
+    const i = history.loss.length - 1;
+    console.error(
+      `Epoch ${epoch + 1}/${config.epochs} - loss ${history.loss[i].toFixed(4)}` +
+      ` - val_loss ${history.val_loss[i].toFixed(4)}` +
+      ` - val_acc ${(history.val_acc[i] * 100).toFixed(2)}%` +
+      ` - val_auc ${history.auc[i].toFixed(4)}` +
+      ` - val_pr_auc ${history.pr_auc[i].toFixed(4)}` +
+      ` - lr ${history.lr[i]}`
+    );
+  };
+
+  const startedAt = Date.now();
+  if (config.k) {
+    await trainer.crossValidate(config, {
+      onFoldStart: (split, index, total) => {
+        if (!values.quiet) {
+          console.error(`Fold ${index + 1}/${total} (repeat ${split.repeat + 1}, fold ${split.fold + 1})`);
+        }
+      },
+      onEpochEnd: logEpoch,
+      onFoldEnd: result => {
+        console.error(
+          `Fold ${result.repeat + 1}.${result.fold + 1} - val_loss ${result.loss.toFixed(4)}` +
+          ` - val_acc ${(result.accuracy * 100).toFixed(2)}% - val_auc ${result.auc.toFixed(4)}`
+        );
+      }
+    });
+  } else {
+    await trainer.train(config, logEpoch);
+    const { train, validation, test } = trainer.split;
+    console.error(`Split (seed ${config.seed}): ${train.length} train / ${validation.length} validation / ${test.length} test`);
+
+    const { schedule } = trainer;
+    if (schedule.bestEpoch !== null) {
+      console.error(
+        `Best epoch ${schedule.bestEpoch}/${schedule.epochsRun} (${schedule.monitor} ${schedule.bestValue.toFixed(4)})` +
+        `${schedule.stoppedEarly ? ', stopped early' : ''}` +
+        `${schedule.restored ? ', restored best weights' : ''}`
+      );
+    }
+  }
+
+  if (trainer.model) {
+    await trainer.saveModel(fileSaveHandler(values.out));
+  } else {
+    await mkdir(values.out, { recursive: true });
+  }
+
+  const metadata = trainer.buildExportMetadata();
+  const report = {
+    trainedAt: metadata.trainedAt,
+    durationSec: (Date.now() - startedAt) / 1000,
+    dataset: {
+      path: dataPath,
+      rows: trainer.data.length,
+      droppedRows: parsed.errors,
+      sha256: createHash('sha256').update(csvText).digest('hex')
+    },
+    config,
+    decision: metadata.decision,
+    calibration: metadata.calibration,
+    training: metadata.training,
+    metrics: metadata.metrics,
+    history: trainer.crossValidation ? null : trainer.history,
+    folds: trainer.crossValidation ? trainer.crossValidation.folds : undefined,
+    baselines: trainer.baselines.length > 0 ? trainer.baselineComparison() : undefined,
+    featureImportance: trainer.featureImportance || undefined
+  };
+  await writeFile(join(values.out, 'metrics.json'), JSON.stringify(report, null, 2) + '\n');
+  for (const { name } of trainer.baselines) {
+    const file = join(values.out, `baseline_${name}.json`);
+    await writeFile(file, JSON.stringify(trainer.buildBaselineExport(name)) + '\n');
+  }
+
+  if (trainer.crossValidation) {
+    const { cv } = report.metrics;
+    const summary = ['loss', 'accuracy', 'auc', 'prAuc', 'f1']
+      .map(key => `${key} ${cv[key].mean.toFixed(4)} ± ${cv[key].std.toFixed(4)}`)
+      .join(', ');
+    const saved = trainer.model
+      ? `Saved ${trainer.crossValidation.ensembleSize}-model ensemble to ${values.out}`
+      : `Saved metrics to ${values.out}`;
+    if (metadata.decision.tierNote) console.error(metadata.decision.tierNote);
+    console.log(
+      `${saved} - ${config.k}-fold x ${config.repeats}: ${summary}` +
+      `, threshold ${metadata.decision.threshold.toFixed(4)} (${metadata.decision.strategy}, out-of-fold)` +
+      `, ECE ${report.metrics.valEceUncalibrated.toFixed(4)} -> ${report.metrics.valEce.toFixed(4)} (${report.metrics.calibration})`
+    );
+    trainer.dispose();
+    return 0;
+  }
+
+  // The (calibrated) validation scores at the chosen threshold, as in the comparison rows below
+  const validation = trainer.scoreMetrics('validation', metadata.decision.threshold);
+  const { valEce, valEceUncalibrated, calibration } = report.metrics;
+  console.log(
+    `Saved model to ${values.out} - val_loss ${validation.loss.toFixed(4)}` +
+    `, val_acc ${(validation.accuracy * 100).toFixed(2)}%, val_auc ${validation.auc.toFixed(4)}` +
+    `, val_pr_auc ${validation.prAuc.toFixed(4)}, val_f1 ${validation.f1.toFixed(4)}, val_brier ${validation.brier.toFixed(4)}` +
+    `, threshold ${metadata.decision.threshold.toFixed(4)} (${metadata.decision.strategy})`
+  );
+  if (metadata.decision.tierNote) console.error(metadata.decision.tierNote);
+  console.log(`Calibration: ${calibration}, val ECE ${valEceUncalibrated.toFixed(4)} -> ${valEce.toFixed(4)}` +
+    (calibration !== 'none' ? ' (cross-fitted)' : ''));
+  if (report.metrics.testAuc !== undefined) {
+    const { testAccuracy, testAuc, testF1, testEce } = report.metrics;
+    console.log(
+      `Test: acc ${(testAccuracy * 100).toFixed(2)}%, auc ${testAuc.toFixed(4)}, f1 ${testF1.toFixed(4)}` +
+      (testEce !== undefined ? `, ECE ${testEce.toFixed(4)}` : '')
+    );
+  }
+  if (trainer.featureImportance) {
+    const ranked = [...trainer.featureImportance.features]
+      .sort((a, b) => b.mean - a.mean)
+      .map(({ name, mean }) => `${name} ${mean.toFixed(4)}`);
+    console.log(`Permutation importance (val AUC drop): ${ranked.join(', ')}`);
+  }
+  for (const { description, validation } of report.baselines || []) {
+    console.log(
+      `${description}: val_loss ${validation.loss.toFixed(4)}, val_acc ${(validation.accuracy * 100).toFixed(2)}%` +
+      `, val_auc ${validation.auc.toFixed(4)}, val_f1 ${validation.f1.toFixed(4)}`
+    );
+  }
+  trainer.dispose();
+  return 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error(`train-virality: ${error.message}`);
+    process.exitCode = 1;
+  });
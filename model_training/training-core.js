@@ -0,0 +1,1091 @@
+/**
+ * Video Virality Predictor - DOM-free training core
+ * Shared by the browser training page and the Node training CLI.
+ * Expects TensorFlow.js as the global `tf` (CDN script or tfjs-node).
+ */
+
+import { buildModelMetadata, buildTiers } from '../shared/model-metadata.js';
+import {
+  evaluateBinaryClassifier,
+  rocAuc,
+  averagePrecision,
+  selectThreshold,
+  thresholdMetrics,
+  rocCurve,
+  precisionRecallCurve
+} from '../shared/classification-metrics.js';
+import { createRandom, shuffleInPlace, stratifiedSplit, kFoldSplits, summarizeFolds } from '../shared/data-split.js';
+import { buildAveragingEnsemble, relativeAffine } from '../shared/ensemble.js';
+import { TrainingMonitor, DEFAULT_MONITOR_CONFIG } from '../shared/training-monitor.js';
+import {
+  fitCalibration,
+  crossFitCalibration,
+  applyCalibration,
+  reliabilityBins,
+  expectedCalibrationError
+} from '../shared/calibration.js';
+import { parseTypedCSV, summarizeRowErrors } from '../shared/csv.js';
+import {
+  BASELINE_TYPES,
+  fitBaseline,
+  predictBaseline,
+  describeBaseline,
+  buildBaselineFile
+} from '../shared/baseline-models.js';
+import { permutationImportance, DEFAULT_PERMUTATION_REPEATS } from '../shared/feature-importance.js';
+
+export const FEATURES = [
+  'title_length',
+  'description_length',
+  'edge_intensity',
+  'color_histogram',
+  'spectral_entropy',
+  'audio_intensity'
+];
+
+export const TARGET = 'virality';
+
+export const DEFAULT_CONFIG = {
+  epochs: 50,
+  batchSize: 32,
+  learningRate: 0.001,
+  validationSplit: 0.2,
+  testSplit: 0,
+  seed: 42,
+  // Probability calibration fitted on the validation predictions: 'none', 'platt' or 'isotonic'
+  calibration: 'none',
+  // Baselines fitted on the same hold-out split (see shared/baseline-models.js): 'linear', 'gbdt'
+  baselines: [],
+  // Early stopping, LR on plateau and best-epoch restore (see shared/training-monitor.js)
+  ...DEFAULT_MONITOR_CONFIG
+};
+
+// Hidden layers of the default network; dropout and L2 apply per hidden layer
+export const DEFAULT_ARCHITECTURE = {
+  hiddenUnits: [128, 64, 32],
+  dropout: [0.3, 0.2, 0],
+  l2: [0.001, 0.001, 0]
+};
+
+export const DEFAULT_CV_CONFIG = {
+  k: 5,
+  repeats: 1,
+  ensemble: false
+};
+
+// Per-fold validation metrics summarized as mean ± std
+export const CV_METRICS = ['loss', 'accuracy', 'auc', 'prAuc', 'f1', 'brier'];
+
+export const THRESHOLD_STRATEGIES = ['max-f1', 'target-precision', 'manual'];
+
+export const DEFAULT_DECISION_CONFIG = {
+  strategy: 'max-f1',
+  targetPrecision: 0.8,
+  threshold: 0.5,
+  // Medium tier starts where the model still catches this share of viral videos
+  tiers: true,
+  mediumRecall: 0.9
+};
+
+/**
+ * Parse training CSV text into typed rows and validate the schema
+ * Feature and target columns must be numeric; rows where they are missing or
+ * do not parse are dropped and listed in `errors`.
+ * @param {string} text - CSV with feature columns and a virality column
+ * @param {Array<string>} features - Required feature columns
+ * @returns {Object} - parseTypedCSV result: { rows, errors, totalRows, headers, types, delimiter }
+ */
+export function parseTrainingCSV(text, features = FEATURES) {
+  const required = [...features, TARGET];
+  const parsed = parseTypedCSV(text, {
+    required,
+    types: Object.fromEntries(required.map(name => [name, 'number']))
+  });
+
+  if (parsed.rows.length === 0) {
+    throw new Error(`No valid data rows found. ${summarizeRowErrors(parsed.errors)}`.trim());
+  }
+  return parsed;
+}
+
+export class ViralityTrainer {
+  constructor(features = FEATURES) {
+    this.features = [...features];
+
+    // Data storage
+    this.data = null;
+    this.trainX = null;
+    this.trainY = null;
+    this.valX = null;
+    this.valY = null;
+    this.testX = null;
+    this.testY = null;
+    this.split = null;
+    this.crossValidation = null;
+    this.scaler = {
+      mean: null,
+      std: null
+    };
+
+    // Model state
+    this.model = null;
+    this.config = { ...DEFAULT_CONFIG, ...DEFAULT_ARCHITECTURE };
+    this.isTraining = false;
+    this.history = ViralityTrainer.emptyHistory();
+
+    // Best-epoch / early-stopping outcome of the latest run
+    this.schedule = null;
+
+    // Validation labels and probabilities from the latest epoch (best epoch once restored);
+    // once calibrated, the validation scores are cross-fitted (see calibrateScores)
+    this.validationScores = null;
+    this.testScores = null;
+
+    // Calibration mapping and the uncalibrated scores it was fitted on
+    this.calibration = null;
+    this.rawScores = null;
+
+    // Decision threshold and tiers stored with the exported model
+    this.decision = null;
+
+    // Baseline models of the latest hold-out run, with their own scores and thresholds
+    this.baselines = [];
+
+    // Validation ROC-AUC drop per shuffled feature for the latest hold-out run
+    this.featureImportance = null;
+  }
+
+  static emptyHistory() {
+    return { loss: [], val_loss: [], acc: [], val_acc: [], auc: [], pr_auc: [], lr: [] };
+  }
+
+  setData(data) {
+    this.data = data;
+    this.prepareData();
+  }
+
+  /**
+   * Stratified, seeded split by this.config, then standardize with
+   * statistics from the training rows only
+   */
+  prepareData() {
+    const y = this.data.map(row => row[TARGET]);
+    const { validationSplit, testSplit, seed } = this.config;
+    this.split = stratifiedSplit(y, { validationSplit, testSplit, seed });
+    this.loadSplit(this.split);
+  }
+
+  /**
+   * Fit the scaler on the given training rows and build the tensors
+   * @param {Object} split - { train, validation, test } row indices
+   */
+  loadSplit({ train, validation, test = [] }) {
+    this.disposeTensors();
+
+    // Extract features and target
+    const X = this.data.map(row => this.features.map(f => row[f]));
+    const y = this.data.map(row => row[TARGET]);
+
+    // Normalize features (mean=0, std=1) using training rows only
+    this.scaler = this.fitScaler(train.map(i => X[i]));
+
+    const toTensors = indices => [
+      tf.tensor2d(indices.map(i => X[i].map((v, j) => (v - this.scaler.mean[j]) / this.scaler.std[j])), [indices.length, this.features.length]),
+      tf.tensor2d(indices.map(i => y[i]), [indices.length, 1])
+    ];
+
+    [this.trainX, this.trainY] = toTensors(train);
+    [this.valX, this.valY] = toTensors(validation);
+    if (test.length > 0) {
+      [this.testX, this.testY] = toTensors(test);
+    }
+  }
+
+  fitScaler(rows) {
+    const scaler = { mean: [], std: [] };
+
+    for (let j = 0; j < this.features.length; j++) {
+      const col = rows.map(row => row[j]);
+      const mean = col.reduce((a, b) => a + b, 0) / col.length;
+      const variance = col.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / col.length;
+      const std = Math.sqrt(variance);
+
+      scaler.mean.push(mean);
+      scaler.std.push(std || 1);
+    }
+    return scaler;
+  }
+
+  /**
+   * Fresh, unconnected network layers (also used to rebuild fold ensembles)
+   * Layout comes from config.hiddenUnits / dropout / l2 (see DEFAULT_ARCHITECTURE).
+   */
+  createLayers(seed = this.config.seed) {
+    // Seeded initial weights; dropout masks stay random
+    const init = offset => tf.initializers.glorotUniform({ seed: seed + offset });
+    const { hiddenUnits, dropout, l2 } = this.architecture();
+
+    const layers = [];
+    hiddenUnits.forEach((units, i) => {
+      layers.push(tf.layers.dense({
+        ...(i === 0 ? { inputShape: [this.features.length] } : {}),
+        units,
+        activation: 'relu',
+        kernelInitializer: init(i),
+        ...(l2[i] > 0 ? { kernelRegularizer: tf.regularizers.l2({ l2: l2[i] }) } : {})
+      }));
+      if (dropout[i] > 0) {
+        layers.push(tf.layers.dropout({ rate: dropout[i] }));
+      }
+    });
+    layers.push(tf.layers.dense({
+      ...(hiddenUnits.length === 0 ? { inputShape: [this.features.length] } : {}),
+      units: 1,
+      activation: 'sigmoid',
+      kernelInitializer: init(hiddenUnits.length)
+    }));
+    return layers;
+  }
+
+  /**
+   * Hidden layer layout of the current config
+   * @returns {Object} - { hiddenUnits, dropout, l2 } with one entry per hidden layer
+   */
+  architecture() {
+    const { hiddenUnits, dropout, l2 } = { ...DEFAULT_ARCHITECTURE, ...this.config };
+    const perLayer = value => hiddenUnits.map((_, i) => (Array.isArray(value) ? value[i] ?? 0 : value));
+    return {
+      hiddenUnits: [...hiddenUnits],
+      dropout: perLayer(dropout),
+      l2: perLayer(l2)
+    };
+  }
+
+  buildModel(learningRate = this.config.learningRate, seed = this.config.seed) {
+    if (this.model) {
+      this.model.dispose();
+    }
+
+    this.model = tf.sequential({ layers: this.createLayers(seed) });
+
+    this.model.compile({
+      optimizer: tf.train.adam(learningRate),
+      loss: 'binaryCrossentropy',
+      metrics: ['accuracy']
+    });
+  }
+
+  /**
+   * Build a fresh model and train it epoch by epoch
+   * @param {Object} config - { epochs, batchSize, learningRate, validationSplit, testSplit, seed, decision }
+   * @param {Function} [onEpochEnd] - async (epoch, history) callback after each epoch
+   * @returns {Promise<boolean>} - False if stopped before the last epoch
+   */
+  async train(config = {}, onEpochEnd = null) {
+    if (!this.data) {
+      throw new Error('No training data loaded');
+    }
+    if (this.isTraining) {
+      throw new Error('Training already in progress');
+    }
+
+    this.config = { ...DEFAULT_CONFIG, ...DEFAULT_ARCHITECTURE, ...config };
+    const { learningRate, seed } = this.config;
+    this.prepareData();
+
+    this.isTraining = true;
+    this.crossValidation = null;
+    this.testScores = null;
+    this.calibration = null;
+    this.rawScores = null;
+    this.decision = null;
+    this.baselines = [];
+    this.featureImportance = null;
+    this.buildModel(learningRate, seed);
+
+    try {
+      await this.runEpochs(seed, onEpochEnd);
+
+      if (this.testX) {
+        this.testScores = await this.scores(this.testX, this.testY);
+      }
+      // A stopped run skips the post-training steps; threshold and tiers are chosen on calibrated probabilities
+      if (this.isTraining && this.validationScores) {
+        this.calibrateScores(this.config.calibration);
+        this.selectDecision(this.config.decision);
+      }
+      if (this.isTraining && this.config.baselines.length > 0) {
+        await this.fitBaselines(this.config.baselines);
+      }
+      if (this.isTraining && this.validationScores) {
+        await this.computeFeatureImportance();
+      }
+      return this.isTraining;
+    } finally {
+      this.isTraining = false;
+    }
+  }
+
+  /**
+   * Fit this.model on the loaded training tensors, recording validation history
+   * Stops early / lowers the learning rate per config and finishes with the
+   * best epoch's weights when restoreBest is set.
+   * @param {number} seed - Batch order seed
+   * @param {Function} [onEpochEnd] - async (epoch, history) callback
+   */
+  async runEpochs(seed, onEpochEnd = null) {
+    const { epochs, batchSize } = this.config;
+    this.history = ViralityTrainer.emptyHistory();
+    this.validationScores = null;
+    this.schedule = null;
+    const monitor = new TrainingMonitor(this.model, this.config);
+
+    // Batch order is shuffled here with the run seed instead of by fit()
+    const random = createRandom(seed);
+    const order = [...Array(this.trainX.shape[0]).keys()];
+
+    // Training loop with manual epoch control for real-time updates
+    for (let epoch = 0; epoch < epochs && this.isTraining; epoch++) {
+      const indices = tf.tensor1d(shuffleInPlace(order, random), 'int32');
+      const xs = tf.gather(this.trainX, indices);
+      const ys = tf.gather(this.trainY, indices);
+      const trainMetrics = await this.model.fit(xs, ys, {
+        epochs: 1,
+        batchSize: batchSize,
+        verbose: 0,
+        shuffle: false
+      });
+      tf.dispose([indices, xs, ys]);
+
+      this.validationScores = await this.scores(this.valX, this.valY);
+      const valMetrics = this.calculateMetrics(this.validationScores.yTrue, this.validationScores.yPred);
+
+      this.history.loss.push(trainMetrics.history.loss[0]);
+      this.history.val_loss.push(valMetrics.loss);
+      this.history.acc.push(trainMetrics.history.acc[0]);
+      this.history.val_acc.push(valMetrics.accuracy);
+      this.history.auc.push(valMetrics.auc);
+      this.history.pr_auc.push(valMetrics.prAuc);
+      this.history.lr.push(monitor.learningRate);
+
+      const { stop } = monitor.update(epoch, this.config.monitor === 'val_auc' ? valMetrics.auc : valMetrics.loss);
+      if (onEpochEnd) {
+        await onEpochEnd(epoch, this.history);
+      }
+      if (stop) break;
+    }
+
+    const lastEpoch = this.history.loss.length - 1;
+    const restored = monitor.restore(lastEpoch);
+    if (restored) {
+      this.validationScores = await this.scores(this.valX, this.valY);
+    }
+    this.schedule = {
+      ...monitor.summary(),
+      epochsRun: lastEpoch + 1,
+      restored
+    };
+  }
+
+  /**
+   * History index whose weights the model holds (the best epoch after a restore)
+   */
+  get currentEpoch() {
+    if (this.schedule && this.schedule.restored) {
+      return this.schedule.bestEpoch - 1;
+    }
+    return this.history.loss.length - 1;
+  }
+
+  /**
+   * Stratified (repeated) k-fold cross-validation
+   *
+   * Each fold gets its own scaler and model. Out-of-fold predictions feed the
+   * threshold analysis and decision; with `ensemble` the fold models are
+   * merged into one averaging model that becomes this.model.
+   *
+   * @param {Object} config - Training config plus { k, repeats, ensemble }
+   * @param {Object} [callbacks]
+   * @param {Function} [callbacks.onFoldStart] - async (split, index, total)
+   * @param {Function} [callbacks.onEpochEnd] - async (epoch, history) within a fold
+   * @param {Function} [callbacks.onFoldEnd] - async (foldResult, folds)
+   * @returns {Promise<boolean>} - False if stopped before the last fold
+   */
+  async crossValidate(config = {}, { onFoldStart, onEpochEnd, onFoldEnd } = {}) {
+    if (!this.data) {
+      throw new Error('No training data loaded');
+    }
+    if (this.isTraining) {
+      throw new Error('Training already in progress');
+    }
+
+    this.config = { ...DEFAULT_CONFIG, ...DEFAULT_ARCHITECTURE, ...DEFAULT_CV_CONFIG, ...config };
+    const { k, repeats, seed, learningRate, ensemble } = this.config;
+    const y = this.data.map(row => row[TARGET]);
+    const splits = kFoldSplits(this.data.length, { k, repeats, seed, labels: y });
+
+    this.isTraining = true;
+    this.crossValidation = null;
+    this.testScores = null;
+    this.calibration = null;
+    this.rawScores = null;
+    this.decision = null;
+    this.baselines = [];
+    this.featureImportance = null;
+    this.split = null;
+
+    const folds = [];
+    const members = [];
+    const oofSum = new Array(y.length).fill(0);
+    const oofCount = new Array(y.length).fill(0);
+
+    try {
+      for (let i = 0; i < splits.length && this.isTraining; i++) {
+        const split = splits[i];
+        this.loadSplit(split);
+        // Distinct initial weights per fold; layers use seed offsets 0-3
+        const foldSeed = seed + 10 * i;
+        this.buildModel(learningRate, foldSeed);
+
+        if (onFoldStart) {
+          await onFoldStart(split, i, splits.length);
+        }
+        await this.runEpochs(foldSeed, onEpochEnd);
+        if (!this.isTraining) break;
+
+        const { yPred } = this.validationScores;
+        const metrics = this.calculateMetrics(this.validationScores.yTrue, yPred);
+        const result = {
+          repeat: split.repeat,
+          fold: split.fold,
+          trainSamples: split.train.length,
+          valSamples: split.validation.length
+        };
+        CV_METRICS.forEach(key => {
+          result[key] = metrics[key];
+        });
+        folds.push(result);
+
+        split.validation.forEach((row, j) => {
+          oofSum[row] += yPred[j];
+          oofCount[row]++;
+        });
+
+        if (ensemble) {
+          members.push({ model: this.model, scaler: this.scaler });
+          this.model = null;
+        }
+        if (onFoldEnd) {
+          await onFoldEnd(result, folds);
+        }
+      }
+
+      const completed = folds.length === splits.length;
+      this.crossValidation = {
+        k,
+        repeats,
+        seed,
+        completed,
+        folds,
+        summary: summarizeFolds(folds, CV_METRICS)
+      };
+
+      // Out-of-fold predictions, averaged over repeats
+      const rows = y.map((label, i) => i).filter(i => oofCount[i] > 0);
+      if (rows.length > 0) {
+        this.validationScores = {
+          yTrue: rows.map(i => y[i]),
+          yPred: rows.map(i => oofSum[i] / oofCount[i])
+        };
+        this.calibrateScores(this.config.calibration);
+        this.selectDecision(this.config.decision);
+      }
+
+      this.disposeTensors();
+      if (this.model) {
+        // A single fold model is not a cross-validated result
+        this.model.dispose();
+        this.model = null;
+      }
+      if (ensemble && completed) {
+        this.buildEnsemble(members);
+      }
+      return completed;
+    } finally {
+      members.forEach(member => member.model && member.model.dispose());
+      this.isTraining = false;
+    }
+  }
+
+  /**
+   * Merge fold models into one averaging model over a scaler fit on all rows
+   */
+  buildEnsemble(members) {
+    const X = this.data.map(row => this.features.map(f => row[f]));
+    const scaler = this.fitScaler(X);
+    const toAffine = ({ mean, std }) => ({
+      scale: std.map(s => 1 / s),
+      shift: mean.map((m, j) => -m / std[j])
+    });
+
+    const shared = toAffine(scaler);
+    this.model = buildAveragingEnsemble(
+      members.map(member => ({
+        model: member.model,
+        inputAffine: relativeAffine(shared, toAffine(member.scaler))
+      })),
+      () => this.createLayers(),
+      this.features.length
+    );
+    this.scaler = scaler;
+    this.crossValidation.ensembleSize = members.length;
+  }
+
+  stop() {
+    this.isTraining = false;
+  }
+
+  async predict(X) {
+    const predictions = this.model.predict(X);
+    const values = Array.from(await predictions.data());
+    predictions.dispose();
+    return values;
+  }
+
+  /**
+   * Permutation importance on the validation set: the drop in ROC-AUC when
+   * one feature's column is shuffled, averaged over seeded shuffles
+   * @param {number} [repeats] - Shuffles per feature
+   * @returns {Promise<Object>} - { metric, baseline, repeats, features: [{ name, mean, std }] }
+   */
+  async computeFeatureImportance(repeats = DEFAULT_PERMUTATION_REPEATS) {
+    const rows = await this.valX.array();
+    const labels = Array.from(await this.valY.data());
+    const predict = async (batch) => {
+      const X = tf.tensor2d(batch);
+      try {
+        return await this.predict(X);
+      } finally {
+        X.dispose();
+      }
+    };
+
+    const { baseline, features } = await permutationImportance(predict, rows, labels, {
+      score: rocAuc,
+      groups: this.features.map((name, column) => ({ name, columns: [column] })),
+      repeats,
+      seed: this.config.seed
+    });
+    this.featureImportance = { metric: 'auc', baseline, repeats, features };
+    return this.featureImportance;
+  }
+
+  /**
+   * Labels and predicted probabilities for a dataset
+   * @returns {Promise<{yTrue: Array<number>, yPred: Array<number>}>}
+   */
+  async scores(X, Y) {
+    const yPred = await this.predict(X);
+    const yTrue = Array.from(await Y.data());
+    return { yTrue, yPred };
+  }
+
+  async evaluate(X, Y, threshold = 0.5) {
+    const { yTrue, yPred } = await this.scores(X, Y);
+    return this.calculateMetrics(yTrue, yPred, threshold);
+  }
+
+  /**
+   * Rank-based ROC-AUC and PR-AUC, log-loss, Brier score and the confusion
+   * matrix with precision/recall/F1 at the given threshold
+   */
+  calculateMetrics(y_true, y_pred, threshold = 0.5) {
+    const report = evaluateBinaryClassifier(y_true, y_pred, threshold);
+    return {
+      loss: report.logLoss,
+      accuracy: report.accuracy,
+      auc: report.rocAuc,
+      prAuc: report.prAuc,
+      brier: report.brier,
+      precision: report.precision,
+      recall: report.recall,
+      specificity: report.specificity,
+      f1: report.f1,
+      confusion: report.confusion,
+      threshold
+    };
+  }
+
+  /**
+   * Validation metrics at an arbitrary operating point
+   * @param {number} threshold - Decision threshold in [0, 1]
+   */
+  thresholdAnalysis(threshold) {
+    if (!this.validationScores) {
+      throw new Error('No validation predictions; train the model first');
+    }
+    const { yTrue, yPred } = this.validationScores;
+    return thresholdMetrics(yTrue, yPred, threshold);
+  }
+
+  /**
+   * Fit a calibration on the uncalibrated validation (or out-of-fold)
+   * predictions and recalibrate the validation and test scores.
+   * The exported calibration uses every validation row, but the validation
+   * scores are cross-fitted: each row is mapped by a calibration fitted on the
+   * other folds, so the threshold, tiers and ECE chosen on them are not
+   * in-sample. Test scores go through the exported calibration.
+   * Call selectDecision afterwards: thresholds live on the calibrated scale.
+   * @param {string} method - 'none', 'platt' or 'isotonic'
+   * @returns {Object|null} - Calibration stored with the model
+   */
+  calibrateScores(method) {
+    if (!this.validationScores) {
+      throw new Error('No validation predictions; train the model first');
+    }
+    if (!this.rawScores) {
+      this.rawScores = { validation: this.validationScores, test: this.testScores };
+    }
+
+    const { validation, test } = this.rawScores;
+    const calibration = fitCalibration(method, validation.yTrue, validation.yPred);
+    const calibrate = scores => scores && {
+      yTrue: scores.yTrue,
+      yPred: scores.yPred.map(p => applyCalibration(p, calibration))
+    };
+
+    this.calibration = calibration;
+    this.config.calibration = method;
+    this.validationScores = {
+      yTrue: validation.yTrue,
+      yPred: crossFitCalibration(method, validation.yTrue, validation.yPred, { seed: this.config.seed })
+    };
+    this.testScores = calibrate(test);
+    return calibration;
+  }
+
+  /**
+   * Reliability bins and expected calibration error before and after
+   * calibration, on the validation set (cross-fitted) or the test set
+   * @param {number} [bins] - Equal-width bins over [0, 1]
+   * @param {string} [set] - 'validation' or 'test'
+   * @returns {{raw: Object, calibrated: Object}|null} - Each { bins, ece }; null without test scores
+   */
+  reliability(bins = 10, set = 'validation') {
+    if (!this.validationScores) {
+      throw new Error('No validation predictions; train the model first');
+    }
+    const scores = set === 'test' ? this.testScores : this.validationScores;
+    if (!scores) return null;
+
+    const describe = ({ yTrue, yPred }) => ({
+      bins: reliabilityBins(yTrue, yPred, bins),
+      ece: expectedCalibrationError(yTrue, yPred, bins)
+    });
+    return {
+      raw: describe(this.rawScores ? this.rawScores[set] : scores),
+      calibrated: describe(scores)
+    };
+  }
+
+  /**
+   * calculateMetrics on the (calibrated) validation or test scores, with
+   * ROC-AUC and PR-AUC from the uncalibrated ones: calibration is meant to
+   * keep the ranking, but isotonic steps tie scores and would change both
+   * @param {string} set - 'validation' or 'test'
+   * @param {number} threshold - Decision threshold
+   * @returns {Object|null} - Null without scores for that set
+   */
+  scoreMetrics(set, threshold) {
+    const scores = set === 'test' ? this.testScores : this.validationScores;
+    if (!scores) return null;
+
+    const metrics = this.calculateMetrics(scores.yTrue, scores.yPred, threshold);
+    const raw = this.rawScores && this.rawScores[set];
+    if (raw) {
+      metrics.auc = rocAuc(raw.yTrue, raw.yPred);
+      metrics.prAuc = averagePrecision(raw.yTrue, raw.yPred);
+    }
+    return metrics;
+  }
+
+  /**
+   * Choose the decision threshold (and optional tiers) stored with the model
+   * @param {Object} [options] - { strategy, targetPrecision, threshold, tiers, mediumRecall }
+   * @returns {Object} - { threshold, strategy, targetPrecision?, tiers, tierNote?, validation }
+   */
+  selectDecision(options = {}) {
+    if (!this.validationScores) {
+      throw new Error('No validation predictions; train the model first');
+    }
+    const { strategy, targetPrecision, threshold, tiers, mediumRecall } = { ...DEFAULT_DECISION_CONFIG, ...options };
+    if (!THRESHOLD_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown threshold strategy: ${strategy}`);
+    }
+
+    const { yTrue, yPred } = this.validationScores;
+    const choice = selectThreshold(yTrue, yPred, { strategy, targetPrecision, threshold });
+
+    this.decision = {
+      threshold: choice.threshold,
+      strategy,
+      tiers: null,
+      validation: {
+        precision: choice.precision,
+        recall: choice.recall,
+        f1: choice.f1,
+        met: choice.met
+      }
+    };
+    if (strategy === 'target-precision') {
+      this.decision.targetPrecision = targetPrecision;
+    }
+    if (tiers) {
+      const medium = selectThreshold(yTrue, yPred, { strategy: 'target-recall', targetRecall: mediumRecall });
+      this.decision.tiers = buildTiers(medium.threshold, choice.threshold);
+      if (!this.decision.tiers) {
+        this.decision.tierNote = 'No tiers: the threshold is 0, so every video is high';
+      } else if (!this.decision.tiers.some(tier => tier.label === 'medium')) {
+        this.decision.tierNote = `No medium tier: ${mediumRecall * 100}% validation recall is not reached below the threshold`;
+      }
+    }
+    return this.decision;
+  }
+
+  /**
+   * Fit baseline models on the training rows of the current split and score
+   * them on its validation and test rows like the network. Each gets its own
+   * threshold, chosen on its validation scores with the configured strategy
+   * (no tiers or calibration).
+   * @param {Array<string>} names - Subset of BASELINE_TYPES
+   * @returns {Promise<Array<Object>>} - { name, description, model, decision, validation, test } per baseline
+   */
+  async fitBaselines(names) {
+    if (!this.trainX) {
+      throw new Error('No training split loaded');
+    }
+    names.forEach(name => {
+      if (!BASELINE_TYPES.includes(name)) {
+        throw new Error(`Unknown baseline: ${name}`);
+      }
+    });
+
+    const labels = async Y => Array.from(await Y.data());
+    const [trainX, trainY, valX, valY] = await Promise.all([
+      this.trainX.array(), labels(this.trainY), this.valX.array(), labels(this.valY)
+    ]);
+    const test = this.testX ? { X: await this.testX.array(), y: await labels(this.testY) } : null;
+
+    const { strategy, targetPrecision, threshold } = { ...DEFAULT_DECISION_CONFIG, ...this.config.decision };
+    this.baselines = names.map(name => {
+      const model = fitBaseline(name, trainX, trainY, { task: 'classification' });
+      const yTrue = valY;
+      const yPred = predictBaseline(model, valX);
+      const choice = selectThreshold(yTrue, yPred, { strategy, targetPrecision, threshold });
+      const decision = { threshold: choice.threshold, strategy, tiers: null };
+      return {
+        name,
+        description: describeBaseline(model),
+        model,
+        decision,
+        validation: this.calculateMetrics(yTrue, yPred, decision.threshold),
+        test: test ? this.calculateMetrics(test.y, predictBaseline(model, test.X), decision.threshold) : null
+      };
+    });
+    return this.baselines;
+  }
+
+  /**
+   * Validation (and test) metrics of the network and each baseline at their own thresholds
+   * @returns {Array<Object>} - { name, description, validation, test } rows, network first
+   */
+  baselineComparison() {
+    if (!this.validationScores) {
+      throw new Error('No validation predictions; train the model first');
+    }
+    // Held-out (cross-fitted) calibrated scores, ranking metrics before calibration like the baselines
+    const threshold = this.decision?.threshold ?? 0.5;
+    const network = {
+      name: 'network',
+      description: `Neural network (${this.architecture().hiddenUnits.join('-')})`,
+      validation: this.scoreMetrics('validation', threshold),
+      test: this.scoreMetrics('test', threshold)
+    };
+    return [network, ...this.baselines.map(({ name, description, validation, test }) => ({ name, description, validation, test }))];
+  }
+
+  /**
+   * Exportable JSON of one fitted baseline with the scaler and metadata the
+   * inference pages read from model.json
+   * @param {string} name - Baseline name
+   * @returns {Object} - File content (see shared/baseline-models.js)
+   */
+  buildBaselineExport(name) {
+    const baseline = this.baselines.find(b => b.name === name);
+    if (!baseline) {
+      throw new Error(`Baseline not trained: ${name}`);
+    }
+
+    const { validation, test } = baseline;
+    const metrics = {
+      valLoss: validation.loss,
+      valAccuracy: validation.accuracy,
+      valAuc: validation.auc,
+      valPrAuc: validation.prAuc,
+      valF1: validation.f1
+    };
+    if (test) {
+      Object.assign(metrics, { testAccuracy: test.accuracy, testAuc: test.auc, testF1: test.f1 });
+    }
+
+    return buildBaselineFile(baseline.model, buildModelMetadata({
+      features: this.features,
+      scaler: this.scaler,
+      training: {
+        baseline: baseline.description,
+        trainSamples: this.trainX.shape[0],
+        valSamples: this.valX.shape[0],
+        testSamples: this.testX ? this.testX.shape[0] : 0,
+        validationSplit: this.config.validationSplit,
+        testSplit: this.config.testSplit,
+        stratified: true,
+        seed: this.config.seed
+      },
+      metrics,
+      decision: baseline.decision
+    }));
+  }
+
+  /**
+   * ROC and precision-recall curves on the validation set
+   */
+  validationCurves() {
+    if (!this.validationScores) {
+      throw new Error('No validation predictions; train the model first');
+    }
+    const { yTrue, yPred } = this.validationScores;
+    return {
+      roc: rocCurve(yTrue, yPred),
+      pr: precisionRecallCurve(yTrue, yPred)
+    };
+  }
+
+  /**
+   * Final metrics of the last completed epoch, or of the best epoch once its weights are restored
+   */
+  finalMetrics() {
+    if (this.crossValidation) {
+      return this.crossValidationMetrics();
+    }
+
+    const idx = this.currentEpoch;
+    const metrics = {
+      loss: this.history.loss[idx],
+      valLoss: this.history.val_loss[idx],
+      accuracy: this.history.acc[idx],
+      valAccuracy: this.history.val_acc[idx],
+      valAuc: this.history.auc[idx],
+      valPrAuc: this.history.pr_auc[idx]
+    };
+
+    if (this.validationScores) {
+      const { yTrue, yPred } = this.validationScores;
+      const report = evaluateBinaryClassifier(yTrue, yPred, this.decision?.threshold ?? 0.5);
+      Object.assign(metrics, {
+        valThreshold: report.threshold,
+        valBrier: report.brier,
+        valPrecision: report.precision,
+        valRecall: report.recall,
+        valF1: report.f1,
+        valConfusion: report.confusion,
+        ...this.calibrationMetrics()
+      });
+    }
+
+    // Held-out rows, untouched by training, calibration and threshold selection
+    if (this.testScores) {
+      const report = this.scoreMetrics('test', this.decision?.threshold ?? 0.5);
+      Object.assign(metrics, {
+        testLoss: report.loss,
+        testAccuracy: report.accuracy,
+        testAuc: report.auc,
+        testPrAuc: report.prAuc,
+        testF1: report.f1,
+        testConfusion: report.confusion
+      });
+      if (this.calibration) {
+        metrics.testEce = this.reliability(10, 'test').calibrated.ece;
+      }
+    }
+    return metrics;
+  }
+
+  /**
+   * Mean fold metrics in the finalMetrics layout, plus out-of-fold scores at
+   * the chosen threshold and the full per-fold summary
+   */
+  crossValidationMetrics() {
+    const { summary } = this.crossValidation;
+    const metrics = {
+      valLoss: summary.loss.mean,
+      valAccuracy: summary.accuracy.mean,
+      valAuc: summary.auc.mean,
+      valPrAuc: summary.prAuc.mean,
+      cv: summary
+    };
+
+    if (this.validationScores) {
+      const { yTrue, yPred } = this.validationScores;
+      const report = evaluateBinaryClassifier(yTrue, yPred, this.decision?.threshold ?? 0.5);
+      Object.assign(metrics, {
+        valThreshold: report.threshold,
+        valBrier: report.brier,
+        valPrecision: report.precision,
+        valRecall: report.recall,
+        valF1: report.f1,
+        valConfusion: report.confusion,
+        oofAuc: this.scoreMetrics('validation', report.threshold).auc,
+        ...this.calibrationMetrics()
+      });
+    }
+    return metrics;
+  }
+
+  /**
+   * Calibration method and validation ECE before/after (after = cross-fitted), for finalMetrics
+   */
+  calibrationMetrics() {
+    const { raw, calibrated } = this.reliability();
+    return {
+      calibration: this.calibration ? this.calibration.method : 'none',
+      valEce: calibrated.ece,
+      valEceUncalibrated: raw.ece
+    };
+  }
+
+  buildExportMetadata() {
+    if (this.crossValidation) {
+      const { k, repeats, seed, ensembleSize } = this.crossValidation;
+      return buildModelMetadata({
+        features: this.features,
+        scaler: this.scaler,
+        training: {
+          epochs: this.config.epochs,
+          batchSize: this.config.batchSize,
+          learningRate: this.config.learningRate,
+          trainSamples: this.data.length,
+          valSamples: this.validationScores ? this.validationScores.yTrue.length : 0,
+          stratified: true,
+          seed,
+          architecture: this.architecture(),
+          crossValidation: { k, repeats, ensembleSize }
+        },
+        metrics: this.finalMetrics(),
+        history: null,
+        decision: this.decision || undefined,
+        calibration: this.calibration
+      });
+    }
+
+    return buildModelMetadata({
+      features: this.features,
+      scaler: this.scaler,
+      training: {
+        epochs: this.history.loss.length,
+        batchSize: this.config.batchSize,
+        learningRate: this.config.learningRate,
+        trainSamples: this.trainX.shape[0],
+        valSamples: this.valX.shape[0],
+        testSamples: this.testX ? this.testX.shape[0] : 0,
+        validationSplit: this.config.validationSplit,
+        testSplit: this.config.testSplit,
+        stratified: true,
+        seed: this.config.seed,
+        architecture: this.architecture(),
+        schedule: this.schedule || undefined
+      },
+      metrics: this.finalMetrics(),
+      history: this.history,
+      decision: this.decision || undefined,
+      calibration: this.calibration
+    });
+  }
+
+  /**
+   * Save the trained model with metadata embedded in model.json
+   * @param {string|tf.io.IOHandler} destination - tf.io URL or handler
+   */
+  async saveModel(destination) {
+    if (!this.model) {
+      throw new Error('No model to export');
+    }
+    this.model.setUserDefinedMetadata(this.buildExportMetadata());
+    return this.model.save(destination);
+  }
+
+  /**
+   * Hand over the trained model and its evaluation state, leaving the trainer
+   * empty so the next run does not dispose the model
+   * @returns {Object} - State for restoreState
+   */
+  detachState() {
+    const state = {
+      model: this.model,
+      scaler: this.scaler,
+      config: this.config,
+      history: this.history,
+      split: this.split,
+      validationScores: this.validationScores,
+      testScores: this.testScores,
+      calibration: this.calibration,
+      rawScores: this.rawScores,
+      decision: this.decision,
+      schedule: this.schedule,
+      baselines: this.baselines,
+      featureImportance: this.featureImportance
+    };
+    this.model = null;
+    return state;
+  }
+
+  /**
+   * Make a detached run current again, e.g. the best run of a search
+   * @param {Object} state - Result of detachState
+   */
+  restoreState(state) {
+    if (this.model && this.model !== state.model) {
+      this.model.dispose();
+    }
+    // Rebuilds the data tensors the export metadata reads its sample counts from
+    this.loadSplit(state.split);
+    Object.assign(this, {
+      model: state.model,
+      scaler: state.scaler,
+      config: state.config,
+      history: state.history,
+      split: state.split,
+      validationScores: state.validationScores,
+      testScores: state.testScores,
+      calibration: state.calibration,
+      rawScores: state.rawScores,
+      decision: state.decision,
+      schedule: state.schedule,
+      baselines: state.baselines || [],
+      featureImportance: state.featureImportance || null,
+      crossValidation: null
+    });
+  }
+
+  disposeTensors() {
+    tf.dispose([this.trainX, this.trainY, this.valX, this.valY, this.testX, this.testY].filter(Boolean));
+    this.trainX = this.trainY = this.valX = this.valY = this.testX = this.testY = null;
+  }
+
+  dispose() {
+    this.disposeTensors();
+    if (this.model) {
+      this.model.dispose();
+      this.model = null;
+    }
+  }
+}
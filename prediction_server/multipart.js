@@ -0,0 +1,78 @@
+/**
+ * Minimal multipart/form-data parser for buffered request bodies
+ */
+
+/**
+ * Extract the boundary from a Content-Type header
+ * @param {string} contentType - Request Content-Type
+ * @returns {string|null}
+ */
+export function getBoundary(contentType = '') {
+  const match = /^multipart\/form-data;.*boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+function parsePartHeaders(text) {
+  const headers = {};
+  for (const line of text.split('\r\n')) {
+    const idx = line.indexOf(':');
+    if (idx > 0) {
+      headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+    }
+  }
+
+  const disposition = headers['content-disposition'] || '';
+  const name = /\bname="([^"]*)"/i.exec(disposition)?.[1];
+  const filename = /\bfilename="([^"]*)"/i.exec(disposition)?.[1];
+  return { name, filename, contentType: headers['content-type'] || null };
+}
+
+/**
+ * Split a multipart body into fields and files
+ * @param {Buffer} body - Full request body
+ * @param {string} boundary - Boundary from Content-Type
+ * @returns {{fields: Object, files: Array<{name: string, filename: string, contentType: string, data: Buffer}>}}
+ */
+export function parseMultipart(body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let start = body.indexOf(delimiter);
+  if (start === -1) {
+    throw new Error('Malformed multipart body');
+  }
+
+  while (true) {
+    start += delimiter.length;
+    // "--" after a delimiter marks the end of the body
+    if (body.subarray(start, start + 2).toString() === '--') {
+      break;
+    }
+    start += 2; // CRLF after delimiter
+
+    const end = body.indexOf(delimiter, start);
+    if (end === -1) {
+      throw new Error('Malformed multipart body');
+    }
+
+    const part = body.subarray(start, end - 2); // strip CRLF before next delimiter
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) {
+      throw new Error('Malformed multipart part headers');
+    }
+
+    const { name, filename, contentType } = parsePartHeaders(part.subarray(0, headerEnd).toString());
+    const data = part.subarray(headerEnd + 4);
+    if (name) {
+      if (filename !== undefined) {
+        files.push({ name, filename, contentType, data });
+      } else {
+        fields[name] = data.toString('utf8');
+      }
+    }
+    start = end;
+  }
+
+  return { fields, files };
+}
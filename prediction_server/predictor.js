@@ -0,0 +1,183 @@
+/**
+ * Predictor - loads the virality model (a tf.js model.json or an exported
+ * baseline file) with its embedded scaler and turns validated feature maps
+ * into probabilities
+ */
+
+import { readFile } from 'node:fs/promises';
+
+import { fileLoadHandler } from '../model_training/node-io.js';
+import {
+  readModelMetadata,
+  validateModelMetadata,
+  resolveDecision,
+  classifyProbability,
+  modelProbability
+} from '../shared/model-metadata.js';
+import { isBaselineFile, readBaselineFile, predictBaseline, isClassifierBaseline, describeBaseline } from '../shared/baseline-models.js';
+import { FEATURE_RANGES, validateFeatureMap } from '../shared/feature-validation.js';
+import { FEATURE_EXTRACTION_VERSION } from '../shared/feature-extraction.js';
+
+export const DEFAULT_FEATURES = [
+  'title_length',
+  'description_length',
+  'edge_intensity',
+  'color_histogram',
+  'spectral_entropy',
+  'audio_intensity'
+];
+
+export class InputError extends Error {
+  /**
+   * @param {string} message - Summary
+   * @param {Array<Object>} [details] - Per-field problems
+   */
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'InputError';
+    this.details = details;
+  }
+}
+
+export class ViralityModelPredictor {
+  constructor() {
+    this.model = null;
+    this.baseline = null;
+    this.metadata = null;
+    this.decision = resolveDecision(null);
+    this.modelPath = null;
+    this.features = [...DEFAULT_FEATURES];
+    this.scaler = {
+      mean: this.features.map(() => 0),
+      std: this.features.map(() => 1)
+    };
+  }
+
+  get loaded() {
+    return this.model !== null || this.baseline !== null;
+  }
+
+  /**
+   * Load model.json or a baseline_<name>.json and validate its metadata
+   * against the expected features
+   * @param {string} modelPath - Path to model.json or a baseline file
+   */
+  async load(modelPath) {
+    const json = JSON.parse(await readFile(modelPath, 'utf8'));
+    let model = null;
+    let baseline = null;
+    let metadata;
+    if (isBaselineFile(json)) {
+      ({ model: baseline, metadata } = readBaselineFile(json, DEFAULT_FEATURES.length));
+      if (!isClassifierBaseline(baseline)) {
+        throw new Error(`${modelPath} is a regression baseline, not a virality classifier`);
+      }
+      metadata = validateModelMetadata(metadata, DEFAULT_FEATURES);
+    } else {
+      model = await tf.loadLayersModel(fileLoadHandler(modelPath, json));
+      metadata = readModelMetadata(model, DEFAULT_FEATURES);
+    }
+
+    if (this.model) {
+      this.model.dispose();
+    }
+    this.model = model;
+    this.baseline = baseline;
+    this.metadata = metadata;
+    this.modelPath = modelPath;
+    this.decision = resolveDecision(metadata);
+    if (metadata) {
+      this.features = [...metadata.features];
+      this.scaler = { mean: [...metadata.scaler.mean], std: [...metadata.scaler.std] };
+    } else {
+      console.warn(`${modelPath} has no embedded metadata; features are used unscaled`);
+    }
+  }
+
+  /**
+   * Model description for GET /model
+   */
+  describe() {
+    return {
+      modelPath: this.modelPath,
+      modelType: this.baseline ? describeBaseline(this.baseline) : 'Neural network',
+      inputShape: this.model ? this.model.inputs[0].shape : [null, this.features.length],
+      parameters: this.model ? this.model.countParams() : null,
+      features: this.features.map(name => ({ name, ...FEATURE_RANGES[name] })),
+      featureExtractionVersion: this.metadata?.featureExtractionVersion ?? null,
+      serverFeatureExtractionVersion: FEATURE_EXTRACTION_VERSION,
+      scaled: this.metadata !== null,
+      decision: this.decision,
+      metadata: this.metadata
+        ? {
+          target: this.metadata.target,
+          trainedAt: this.metadata.trainedAt,
+          training: this.metadata.training,
+          metrics: this.metadata.metrics
+        }
+        : null
+    };
+  }
+
+  /**
+   * Validate feature maps, reporting every invalid field with its instance index
+   * @param {Array<Object>} instances - Feature maps
+   * @throws {InputError}
+   */
+  validate(instances) {
+    const details = [];
+    instances.forEach((instance, index) => {
+      for (const error of validateFeatureMap(instance, this.features)) {
+        details.push({ index, ...error });
+      }
+    });
+    if (details.length > 0) {
+      throw new InputError('Invalid feature values', details);
+    }
+  }
+
+  /**
+   * Predict virality for one or more feature maps
+   * @param {Array<Object>} instances - Feature maps
+   * @returns {Promise<Array<Object>>} - { probability, score, label, tier } per instance
+   */
+  async predict(instances) {
+    this.validate(instances);
+
+    const rows = instances.map(instance => this.features.map((name, idx) =>
+      (instance[name] - this.scaler.mean[idx]) / (this.scaler.std[idx] || 1)
+    ));
+
+    const probabilities = this.baseline
+      ? predictBaseline(this.baseline, rows)
+      : await this.predictNetwork(rows);
+
+    return probabilities.map(raw => {
+      if (!Number.isFinite(raw)) {
+        throw new Error(`Model produced invalid output: ${raw}`);
+      }
+      // Thresholds of calibrated models apply to calibrated probabilities
+      const probability = modelProbability(raw, this.metadata);
+      const { viral, tier } = classifyProbability(probability, this.decision);
+      return {
+        probability,
+        score: Math.round(probability * 100),
+        label: viral ? 'VIRAL' : 'NOT VIRAL',
+        tier
+      };
+    });
+  }
+
+  /**
+   * Raw network outputs for scaled feature rows
+   * @param {Array<Array<number>>} rows - Scaled feature rows
+   * @returns {Promise<Array<number>>}
+   */
+  async predictNetwork(rows) {
+    const input = tf.tensor2d(rows, [rows.length, this.features.length]);
+    const output = this.model.predict(input);
+    const outputs = Array.from(await output.data());
+    tf.dispose([input, output]);
+    return outputs;
+  }
+}
@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * virality-server - local HTTP service for the virality model
+ *
+ * Usage:
+ *   virality-server [--model virality_predictor/virality_model/model.json] [--port 8080] [--host 127.0.0.1]
+ *
+ * Endpoints:
+ *   GET  /health          Liveness and model status
+ *   GET  /model           Model metadata and feature schema
+ *   POST /predict         {"features": {...}} or {"instances": [{...}, ...]}
+ *   POST /predict/video   multipart/form-data with a "video" file and optional
+ *                         title/description (or title_length/description_length)
+ *
+ * Errors are returned as {"error": {"code", "message", "details"?}}.
+ */
+
+import { createServer } from 'node:http';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { basename, dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { loadTensorFlow } from '../model_training/node-io.js';
+import { FfmpegDecoder, extractFileFeatures } from '../feature_extractor/node-decoder.js';
+import { ViralityModelPredictor, InputError } from './predictor.js';
+import { getBoundary, parseMultipart } from './multipart.js';
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_MODEL_PATH = join(ROOT_DIR, 'virality_predictor', 'virality_model', 'model.json');
+const DEFAULT_PORT = 8080;
+const MAX_JSON_BYTES = 1024 * 1024;
+const MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+const MAX_BATCH_SIZE = 1000;
+
+const USAGE = `Usage: virality-server [options]
+
+Options:
+  -m, --model <path>   model.json to serve (default: virality_predictor/virality_model/model.json)
+  -p, --port <n>       Port (default: $PORT or ${DEFAULT_PORT})
+      --host <addr>    Bind address (default: 127.0.0.1)
+  -h, --help           Show this help`;
+
+class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    // Set when the rest of the request body is left unread
+    this.closeConnection = false;
+  }
+}
+
+function sendJSON(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+function sendError(res, status, code, message, details) {
+  const error = { code, message };
+  if (details !== undefined) {
+    error.details = details;
+  }
+  sendJSON(res, status, { error });
+}
+
+/**
+ * Buffer a request body, rejecting it once it exceeds maxBytes
+ * An oversized body is not read any further; the 413 closes the connection
+ * once it has been written instead of resetting it.
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => {
+      const error = new HttpError(413, 'payload_too_large', `Request body exceeds ${maxBytes} bytes`);
+      error.closeConnection = true;
+      return error;
+    };
+
+    const declared = parseInt(req.headers['content-length'], 10);
+    if (declared > maxBytes) {
+      reject(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.removeListener('data', onData);
+        req.pause();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+async function readJSON(req) {
+  const contentType = req.headers['content-type'] || '';
+  if (!contentType.startsWith('application/json')) {
+    throw new HttpError(415, 'unsupported_media_type', 'Content-Type must be application/json');
+  }
+  const body = await readBody(req, MAX_JSON_BYTES);
+  try {
+    return JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    throw new HttpError(400, 'invalid_json', `Request body is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Turn an optional form field into a length feature, accepting either the
+ * raw text or an explicit length
+ */
+function lengthField(fields, textName, lengthName) {
+  if (fields[lengthName] !== undefined) {
+    const value = fields[lengthName].trim();
+    return value === '' ? NaN : Number(value);
+  }
+  return (fields[textName] || '').length;
+}
+
+function createHandlers(predictor, decoder) {
+  async function health(req, res) {
+    sendJSON(res, 200, { status: 'ok', modelLoaded: predictor.loaded });
+  }
+
+  async function model(req, res) {
+    sendJSON(res, 200, predictor.describe());
+  }
+
+  async function predict(req, res) {
+    const body = await readJSON(req);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'invalid_request', 'Body must be a JSON object');
+    }
+
+    if (body.instances !== undefined) {
+      if (!Array.isArray(body.instances) || body.instances.length === 0) {
+        throw new HttpError(400, 'invalid_request', '"instances" must be a non-empty array');
+      }
+      if (body.instances.length > MAX_BATCH_SIZE) {
+        throw new HttpError(400, 'batch_too_large', `At most ${MAX_BATCH_SIZE} instances per request`);
+      }
+      const predictions = await predictor.predict(body.instances);
+      sendJSON(res, 200, { predictions });
+      return;
+    }
+
+    if (body.features === undefined) {
+      throw new HttpError(400, 'invalid_request', 'Body must contain "features" or "instances"');
+    }
+    const [prediction] = await predictor.predict([body.features]);
+    sendJSON(res, 200, { prediction });
+  }
+
+  async function predictVideo(req, res) {
+    const boundary = getBoundary(req.headers['content-type']);
+    if (!boundary) {
+      throw new HttpError(415, 'unsupported_media_type', 'Content-Type must be multipart/form-data');
+    }
+
+    let parts;
+    try {
+      parts = parseMultipart(await readBody(req, MAX_UPLOAD_BYTES), boundary);
+    } catch (error) {
+      if (error instanceof HttpError) throw error;
+      throw new HttpError(400, 'invalid_multipart', error.message);
+    }
+
+    const upload = parts.files.find(file => file.name === 'video') || parts.files[0];
+    if (!upload || upload.data.length === 0) {
+      throw new HttpError(400, 'invalid_request', 'Missing "video" file');
+    }
+
+    const tempDir = await mkdtemp(join(tmpdir(), 'virality-'));
+    const tempFile = join(tempDir, basename(upload.filename) || 'upload');
+    try {
+      await writeFile(tempFile, upload.data);
+
+      let extracted;
+      try {
+        extracted = await extractFileFeatures(tempFile, decoder);
+      } catch (error) {
+        throw new HttpError(422, 'extraction_failed', `Could not extract features: ${error.message}`);
+      }
+
+      const features = {
+        title_length: lengthField(parts.fields, 'title', 'title_length'),
+        description_length: lengthField(parts.fields, 'description', 'description_length'),
+        edge_intensity: extracted.edge_intensity,
+        color_histogram: extracted.color_histogram,
+        spectral_entropy: extracted.spectral_entropy,
+        audio_intensity: extracted.audio_intensity
+      };
+      const [prediction] = await predictor.predict([features]);
+
+      sendJSON(res, 200, {
+        prediction,
+        features,
+        video: {
+          filename: upload.filename,
+          duration: extracted.duration,
+          width: extracted.width,
+          height: extracted.height,
+          featureVersion: extracted.feature_version
+        }
+      });
+    } finally {
+      await rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  return {
+    '/health': { GET: health },
+    '/model': { GET: model },
+    '/predict': { POST: predict },
+    '/predict/video': { POST: predictVideo }
+  };
+}
+
+/**
+ * Create the HTTP server for a loaded predictor
+ * @param {ViralityModelPredictor} predictor - Loaded model
+ * @param {Object} [options]
+ * @param {FfmpegDecoder} [options.decoder] - Decoder for /predict/video
+ */
+export function createPredictionServer(predictor, { decoder = new FfmpegDecoder() } = {}) {
+  const routes = createHandlers(predictor, decoder);
+
+  return createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const route = routes[pathname.replace(/\/+$/, '') || '/'];
+
+    try {
+      if (!route) {
+        throw new HttpError(404, 'not_found', `No route for ${pathname}`);
+      }
+      const handler = route[req.method];
+      if (!handler) {
+        res.setHeader('Allow', Object.keys(route).join(', '));
+        throw new HttpError(405, 'method_not_allowed', `${req.method} is not allowed on ${pathname}`);
+      }
+      await handler(req, res);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        if (error.closeConnection) {
+          res.setHeader('Connection', 'close');
+        }
+        sendError(res, error.status, error.code, error.message, error.details);
+      } else if (error instanceof InputError) {
+        sendError(res, 400, 'invalid_features', error.message, error.details);
+      } else {
+        console.error(error);
+        sendError(res, 500, 'internal_error', 'Internal server error');
+      }
+    }
+  });
+}
+
+async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      model: { type: 'string', short: 'm' },
+      port: { type: 'string', short: 'p' },
+      host: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const port = parseInt(values.port ?? process.env.PORT ?? DEFAULT_PORT, 10);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid --port: ${values.port ?? process.env.PORT}`);
+  }
+  const host = values.host || '127.0.0.1';
+  const modelPath = values.model || DEFAULT_MODEL_PATH;
+
+  await loadTensorFlow();
+  const predictor = new ViralityModelPredictor();
+  await predictor.load(modelPath);
+  console.error(`Loaded ${modelPath} (${predictor.features.length} features)`);
+
+  const server = createPredictionServer(predictor);
+  server.listen(port, host, () => {
+    const address = server.address();
+    console.error(`virality-server listening on http://${address.address}:${address.port}`);
+  });
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`virality-server: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
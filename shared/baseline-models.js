@@ -0,0 +1,391 @@
+/**
+ * Baseline models - pure-JS linear models and gradient-boosted decision trees
+ * trained on the same scaled features as the neural networks
+ *
+ * A fitted baseline is a plain object so it can be written to JSON:
+ *   { type: 'linear', weights, bias, l2 }              ridge regression
+ *   { type: 'logistic', weights, bias, l2 }            L2-regularized logistic regression
+ *   { type: 'gbdt', objective, baseScore, trees, ... } boosted trees, objective 'squared' or 'logistic'
+ * Tree nodes are { feature, threshold, left, right } or leaves { value };
+ * rows with value <= threshold go left and leaf values already include the learning rate.
+ */
+
+export const BASELINE_TYPES = ['linear', 'gbdt'];
+
+export const BASELINE_FORMAT = 'baseline-model';
+
+export const BASELINE_VERSION = 1;
+
+export const DEFAULT_BASELINE_OPTIONS = {
+    linear: { l2: 1 },
+    gbdt: { trees: 100, learningRate: 0.1, maxDepth: 3, minSamplesLeaf: 5, l2: 1 }
+};
+
+function sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+}
+
+function dot(weights, row) {
+    let sum = 0;
+    for (let j = 0; j < weights.length; j++) {
+        sum += weights[j] * row[j];
+    }
+    return sum;
+}
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting
+ * @param {Array<Array<number>>} A - Square matrix (copied)
+ * @param {Array<number>} b - Right-hand side (copied)
+ * @returns {Array<number>}
+ */
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    const m = A.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-12) {
+            throw new Error('Linear system is singular; increase the L2 penalty');
+        }
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+        for (let r = col + 1; r < n; r++) {
+            const factor = m[r][col] / m[col][col];
+            for (let c = col; c <= n; c++) {
+                m[r][c] -= factor * m[col][c];
+            }
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = m[r][n];
+        for (let c = r + 1; c < n; c++) {
+            sum -= m[r][c] * x[c];
+        }
+        x[r] = sum / m[r][r];
+    }
+    return x;
+}
+
+function assertAligned(X, y) {
+    if (!X.length || X.length !== y.length) {
+        throw new Error('Baseline needs non-empty, aligned features and targets');
+    }
+}
+
+/**
+ * Ridge regression; the intercept is not penalized
+ * @param {Array<Array<number>>} X - Feature rows
+ * @param {Array<number>} y - Targets
+ * @param {Object} [options] - { l2 }
+ * @returns {{type: string, weights: Array<number>, bias: number, l2: number}}
+ */
+export function fitLinearRegression(X, y, { l2 = DEFAULT_BASELINE_OPTIONS.linear.l2 } = {}) {
+    assertAligned(X, y);
+    const n = X.length;
+    const d = X[0].length;
+    const xMean = Array.from({ length: d }, (_, j) => X.reduce((sum, row) => sum + row[j], 0) / n);
+    const yMean = y.reduce((sum, v) => sum + v, 0) / n;
+
+    // Normal equations on centered data: (Xc'Xc + l2 I) w = Xc'yc
+    const A = Array.from({ length: d }, (_, j) => new Array(d).fill(0));
+    const b = new Array(d).fill(0);
+    X.forEach((row, i) => {
+        for (let j = 0; j < d; j++) {
+            const xj = row[j] - xMean[j];
+            b[j] += xj * (y[i] - yMean);
+            for (let k = j; k < d; k++) {
+                A[j][k] += xj * (row[k] - xMean[k]);
+            }
+        }
+    });
+    for (let j = 0; j < d; j++) {
+        A[j][j] += l2;
+        for (let k = 0; k < j; k++) {
+            A[j][k] = A[k][j];
+        }
+    }
+
+    const weights = solveLinearSystem(A, b);
+    return { type: 'linear', weights, bias: yMean - dot(weights, xMean), l2 };
+}
+
+/**
+ * L2-regularized logistic regression by Newton's method; the intercept is not penalized
+ * @param {Array<Array<number>>} X - Feature rows
+ * @param {Array<number>} y - 0/1 labels
+ * @param {Object} [options] - { l2, iterations }
+ * @returns {{type: string, weights: Array<number>, bias: number, l2: number}}
+ */
+export function fitLogisticRegression(X, y, { l2 = DEFAULT_BASELINE_OPTIONS.linear.l2, iterations = 100 } = {}) {
+    assertAligned(X, y);
+    const d = X[0].length;
+    // Last coefficient is the intercept
+    let beta = new Array(d + 1).fill(0);
+
+    for (let iter = 0; iter < iterations; iter++) {
+        const gradient = new Array(d + 1).fill(0);
+        const hessian = Array.from({ length: d + 1 }, () => new Array(d + 1).fill(0));
+        X.forEach((row, i) => {
+            const x = [...row, 1];
+            const p = sigmoid(dot(beta, x));
+            const w = Math.max(p * (1 - p), 1e-12);
+            for (let j = 0; j <= d; j++) {
+                gradient[j] += (p - y[i]) * x[j];
+                for (let k = j; k <= d; k++) {
+                    hessian[j][k] += w * x[j] * x[k];
+                }
+            }
+        });
+        for (let j = 0; j <= d; j++) {
+            for (let k = 0; k < j; k++) {
+                hessian[j][k] = hessian[k][j];
+            }
+            if (j < d) {
+                gradient[j] += l2 * beta[j];
+                hessian[j][j] += l2;
+            } else {
+                // Keeps the system solvable when every label is the same
+                hessian[j][j] += 1e-9;
+            }
+        }
+
+        const step = solveLinearSystem(hessian, gradient);
+        beta = beta.map((value, j) => value - step[j]);
+        if (Math.max(...step.map(Math.abs)) < 1e-8) break;
+    }
+
+    return { type: 'logistic', weights: beta.slice(0, d), bias: beta[d], l2 };
+}
+
+/**
+ * Grow one regression tree on gradients and hessians (second-order boosting)
+ */
+function growTree(X, gradients, hessians, indices, depth, options) {
+    const { maxDepth, minSamplesLeaf, l2, learningRate } = options;
+    const G = indices.reduce((sum, i) => sum + gradients[i], 0);
+    const H = indices.reduce((sum, i) => sum + hessians[i], 0);
+    const leaf = { value: (-G / (H + l2)) * learningRate };
+    if (depth >= maxDepth || indices.length < 2 * minSamplesLeaf) {
+        return leaf;
+    }
+
+    const parentScore = (G * G) / (H + l2);
+    let best = null;
+    for (let feature = 0; feature < X[0].length; feature++) {
+        const sorted = [...indices].sort((a, b) => X[a][feature] - X[b][feature]);
+        let GL = 0;
+        let HL = 0;
+        for (let s = 0; s < sorted.length - 1; s++) {
+            GL += gradients[sorted[s]];
+            HL += hessians[sorted[s]];
+            const left = s + 1;
+            const value = X[sorted[s]][feature];
+            const next = X[sorted[s + 1]][feature];
+            if (left < minSamplesLeaf || sorted.length - left < minSamplesLeaf || value === next) continue;
+
+            const GR = G - GL;
+            const HR = H - HL;
+            const gain = (GL * GL) / (HL + l2) + (GR * GR) / (HR + l2) - parentScore;
+            if (!best || gain > best.gain) {
+                best = { gain, feature, threshold: (value + next) / 2 };
+            }
+        }
+    }
+    if (!best || best.gain <= 1e-12) {
+        return leaf;
+    }
+
+    const leftRows = indices.filter(i => X[i][best.feature] <= best.threshold);
+    const rightRows = indices.filter(i => X[i][best.feature] > best.threshold);
+    return {
+        feature: best.feature,
+        threshold: best.threshold,
+        left: growTree(X, gradients, hessians, leftRows, depth + 1, options),
+        right: growTree(X, gradients, hessians, rightRows, depth + 1, options)
+    };
+}
+
+function treeOutput(node, row) {
+    while (node.value === undefined) {
+        node = row[node.feature] <= node.threshold ? node.left : node.right;
+    }
+    return node.value;
+}
+
+/**
+ * Gradient-boosted decision trees
+ * @param {Array<Array<number>>} X - Feature rows
+ * @param {Array<number>} y - Targets (0/1 labels for the logistic objective)
+ * @param {Object} [options] - { objective: 'squared'|'logistic', trees, learningRate, maxDepth, minSamplesLeaf, l2 }
+ * @returns {Object} - Fitted gbdt baseline
+ */
+export function fitGradientBoosting(X, y, options = {}) {
+    assertAligned(X, y);
+    const { objective = 'squared', ...rest } = options;
+    const settings = { ...DEFAULT_BASELINE_OPTIONS.gbdt, ...rest };
+    if (objective !== 'squared' && objective !== 'logistic') {
+        throw new Error(`Unknown boosting objective: ${objective}`);
+    }
+
+    const mean = y.reduce((sum, v) => sum + v, 0) / y.length;
+    const clipped = Math.min(1 - 1e-6, Math.max(1e-6, mean));
+    const baseScore = objective === 'logistic' ? Math.log(clipped / (1 - clipped)) : mean;
+
+    const scores = new Array(y.length).fill(baseScore);
+    const all = y.map((_, i) => i);
+    const trees = [];
+    for (let t = 0; t < settings.trees; t++) {
+        const gradients = [];
+        const hessians = [];
+        scores.forEach((score, i) => {
+            if (objective === 'logistic') {
+                const p = sigmoid(score);
+                gradients.push(p - y[i]);
+                hessians.push(Math.max(p * (1 - p), 1e-6));
+            } else {
+                gradients.push(score - y[i]);
+                hessians.push(1);
+            }
+        });
+
+        const tree = growTree(X, gradients, hessians, all, 0, settings);
+        trees.push(tree);
+        X.forEach((row, i) => {
+            scores[i] += treeOutput(tree, row);
+        });
+    }
+
+    return { type: 'gbdt', objective, baseScore, ...settings, trees };
+}
+
+/**
+ * Fit a baseline by name for a task
+ * 'linear' is ridge regression for regression tasks and logistic regression for classification.
+ * @param {string} name - One of BASELINE_TYPES
+ * @param {Array<Array<number>>} X - Scaled feature rows
+ * @param {Array<number>} y - Targets
+ * @param {Object} options - { task: 'regression'|'classification', ...hyperparameters }
+ * @returns {Object} - Fitted baseline
+ */
+export function fitBaseline(name, X, y, { task, ...options } = {}) {
+    const classifier = task === 'classification';
+    if (name === 'linear') {
+        return classifier ? fitLogisticRegression(X, y, options) : fitLinearRegression(X, y, options);
+    }
+    if (name === 'gbdt') {
+        return fitGradientBoosting(X, y, { ...options, objective: classifier ? 'logistic' : 'squared' });
+    }
+    throw new Error(`Unknown baseline: ${name}`);
+}
+
+/**
+ * Predictions of a fitted baseline: probabilities for classifiers, raw values for regressors
+ * @param {Object} model - Fitted baseline
+ * @param {Array<Array<number>>} rows - Scaled feature rows
+ * @returns {Array<number>}
+ */
+export function predictBaseline(model, rows) {
+    switch (model.type) {
+        case 'linear':
+            return rows.map(row => dot(model.weights, row) + model.bias);
+        case 'logistic':
+            return rows.map(row => sigmoid(dot(model.weights, row) + model.bias));
+        case 'gbdt':
+            return rows.map(row => {
+                const score = model.trees.reduce((sum, tree) => sum + treeOutput(tree, row), model.baseScore);
+                return model.objective === 'logistic' ? sigmoid(score) : score;
+            });
+        default:
+            throw new Error(`Unknown baseline type: ${model.type}`);
+    }
+}
+
+/**
+ * Whether a baseline outputs probabilities
+ */
+export function isClassifierBaseline(model) {
+    return model.type === 'logistic' || (model.type === 'gbdt' && model.objective === 'logistic');
+}
+
+/**
+ * Short human-readable name, e.g. for metric tables and model info panels
+ */
+export function describeBaseline(model) {
+    if (model.type === 'linear') return `Ridge regression (L2 ${model.l2})`;
+    if (model.type === 'logistic') return `Logistic regression (L2 ${model.l2})`;
+    return `Gradient-boosted trees (${model.trees.length} x depth ${model.maxDepth}, LR ${model.learningRate})`;
+}
+
+function validateNode(node, features) {
+    if (node && Number.isFinite(node.value)) return;
+    if (!node || !Number.isInteger(node.feature) || node.feature < 0 || node.feature >= features ||
+        !Number.isFinite(node.threshold)) {
+        throw new Error('Malformed tree node in baseline model');
+    }
+    validateNode(node.left, features);
+    validateNode(node.right, features);
+}
+
+/**
+ * Check a stored baseline against the number of input features
+ * @throws {Error} - If malformed
+ */
+export function validateBaseline(model, features) {
+    if (!model || typeof model !== 'object') {
+        throw new Error('Baseline model must be an object');
+    }
+    if (model.type === 'linear' || model.type === 'logistic') {
+        if (!Array.isArray(model.weights) || model.weights.length !== features ||
+            !model.weights.every(Number.isFinite) || !Number.isFinite(model.bias)) {
+            throw new Error(`Linear baseline needs ${features} finite weights and a bias`);
+        }
+        return;
+    }
+    if (model.type === 'gbdt') {
+        if (!Number.isFinite(model.baseScore) || !Array.isArray(model.trees) ||
+            (model.objective !== 'squared' && model.objective !== 'logistic')) {
+            throw new Error('Boosted-tree baseline needs an objective, a base score and trees');
+        }
+        model.trees.forEach(tree => validateNode(tree, features));
+        return;
+    }
+    throw new Error(`Unknown baseline type: ${model.type}`);
+}
+
+/**
+ * Exported file: the fitted baseline plus the metadata its inputs are prepared with
+ * @param {Object} model - Fitted baseline
+ * @param {Object} metadata - Page-specific metadata (scaler or preprocessing pipeline)
+ * @returns {Object} - JSON-serializable file content
+ */
+export function buildBaselineFile(model, metadata) {
+    return { format: BASELINE_FORMAT, version: BASELINE_VERSION, model, metadata };
+}
+
+/**
+ * Whether parsed JSON is an exported baseline rather than a tf.js model.json
+ */
+export function isBaselineFile(json) {
+    return Boolean(json) && json.format === BASELINE_FORMAT;
+}
+
+/**
+ * Validate an exported baseline file
+ * @param {Object} json - Parsed file
+ * @param {number} features - Number of model inputs the caller provides
+ * @returns {{model: Object, metadata: Object}}
+ * @throws {Error} - If the file is not a supported baseline
+ */
+export function readBaselineFile(json, features) {
+    if (!isBaselineFile(json)) {
+        throw new Error('Not a baseline model file');
+    }
+    if (json.version !== BASELINE_VERSION) {
+        throw new Error(`Unsupported baseline model version: ${json.version}`);
+    }
+    validateBaseline(json.model, features);
+    return { model: json.model, metadata: json.metadata || null };
+}
@@ -0,0 +1,267 @@
+/**
+ * Probability calibration - Platt scaling and isotonic regression fitted on
+ * held-out predictions, plus reliability bins and expected calibration error
+ *
+ * A calibration fitted on the validation predictions is evaluated on them
+ * through crossFitCalibration, so its ECE (and anything chosen on the
+ * calibrated scores) is not measured in-sample.
+ *
+ * A calibration is a plain object so it can be stored in model metadata:
+ *   { method: 'platt', a, b }            p' = sigmoid(a * logit(p) + b)
+ *   { method: 'isotonic', x: [], y: [] } p' = piecewise-linear through (x, y)
+ */
+
+import { kFoldSplits } from './data-split.js';
+
+export const CALIBRATION_METHODS = ['none', 'platt', 'isotonic'];
+
+// Folds of the validation predictions used to cross-fit calibrated scores
+export const CALIBRATION_FOLDS = 5;
+
+const EPS = 1e-7;
+
+function logit(p) {
+    const q = Math.min(1 - EPS, Math.max(EPS, p));
+    return Math.log(q / (1 - q));
+}
+
+function sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+}
+
+/**
+ * Platt scaling: logistic regression on the model's logit
+ * Uses Platt's smoothed targets so a perfectly separated validation set does
+ * not push the slope to infinity.
+ * @param {Array<number>} yTrue - 0/1 labels
+ * @param {Array<number>} yPred - Model probabilities
+ * @returns {{method: string, a: number, b: number}}
+ */
+export function fitPlatt(yTrue, yPred) {
+    const positives = yTrue.filter(y => y === 1).length;
+    const negatives = yTrue.length - positives;
+    const hi = (positives + 1) / (positives + 2);
+    const lo = 1 / (negatives + 2);
+    const targets = yTrue.map(y => (y === 1 ? hi : lo));
+    const z = yPred.map(logit);
+
+    // Newton's method on the log loss in (a, b)
+    let a = 1;
+    let b = 0;
+    for (let iter = 0; iter < 100; iter++) {
+        let ga = 0, gb = 0, haa = 0, hab = 0, hbb = 0;
+        for (let i = 0; i < z.length; i++) {
+            const p = sigmoid(a * z[i] + b);
+            const r = p - targets[i];
+            const w = Math.max(p * (1 - p), 1e-12);
+            ga += r * z[i];
+            gb += r;
+            haa += w * z[i] * z[i];
+            hab += w * z[i];
+            hbb += w;
+        }
+        // Small ridge keeps the Hessian invertible for constant predictions
+        haa += 1e-9;
+        hbb += 1e-9;
+        const det = haa * hbb - hab * hab;
+        if (!(Math.abs(det) > 0)) break;
+        const da = (hbb * ga - hab * gb) / det;
+        const db = (haa * gb - hab * ga) / det;
+        a -= da;
+        b -= db;
+        if (Math.abs(da) < 1e-10 && Math.abs(db) < 1e-10) break;
+    }
+    return { method: 'platt', a, b };
+}
+
+/**
+ * Isotonic regression by pool-adjacent-violators
+ * @param {Array<number>} yTrue - 0/1 labels
+ * @param {Array<number>} yPred - Model probabilities
+ * @returns {{method: string, x: Array<number>, y: Array<number>}}
+ */
+export function fitIsotonic(yTrue, yPred) {
+    // One point per distinct prediction, weighted by its count
+    const byValue = new Map();
+    yPred.forEach((p, i) => {
+        const point = byValue.get(p) || { x: p, sum: 0, count: 0 };
+        point.sum += yTrue[i];
+        point.count++;
+        byValue.set(p, point);
+    });
+    const points = [...byValue.values()].sort((u, v) => u.x - v.x);
+
+    const blocks = [];
+    for (const point of points) {
+        blocks.push({ xMin: point.x, xMax: point.x, sum: point.sum, count: point.count });
+        while (blocks.length > 1) {
+            const last = blocks[blocks.length - 1];
+            const prev = blocks[blocks.length - 2];
+            if (prev.sum / prev.count <= last.sum / last.count) break;
+            blocks.splice(-2, 2, {
+                xMin: prev.xMin,
+                xMax: last.xMax,
+                sum: prev.sum + last.sum,
+                count: prev.count + last.count
+            });
+        }
+    }
+
+    const x = [];
+    const y = [];
+    for (const block of blocks) {
+        const value = block.sum / block.count;
+        x.push(block.xMin);
+        y.push(value);
+        if (block.xMax > block.xMin) {
+            x.push(block.xMax);
+            y.push(value);
+        }
+    }
+    return { method: 'isotonic', x, y };
+}
+
+/**
+ * Fit a calibration by method name
+ * @param {string} method - 'none', 'platt' or 'isotonic'
+ * @returns {Object|null} - Calibration, or null for 'none'
+ */
+export function fitCalibration(method, yTrue, yPred) {
+    if (!CALIBRATION_METHODS.includes(method)) {
+        throw new Error(`Unknown calibration method: ${method}`);
+    }
+    if (method === 'none') return null;
+    if (yTrue.length === 0) {
+        throw new Error('Calibration needs at least one validation prediction');
+    }
+    return method === 'platt' ? fitPlatt(yTrue, yPred) : fitIsotonic(yTrue, yPred);
+}
+
+/**
+ * Out-of-fold calibrated probabilities: the rows are split into stratified
+ * folds and each fold is mapped by a calibration fitted on the other folds
+ * @param {string} method - 'none', 'platt' or 'isotonic'
+ * @param {Array<number>} yTrue - 0/1 labels
+ * @param {Array<number>} yPred - Model probabilities
+ * @param {Object} [options]
+ * @param {number} [options.folds] - Folds (fewer when there are fewer rows)
+ * @param {number} [options.seed] - Fold assignment seed
+ * @returns {Array<number>} - Calibrated probability per row, none of them in-sample
+ */
+export function crossFitCalibration(method, yTrue, yPred, { folds = CALIBRATION_FOLDS, seed = 42 } = {}) {
+    if (!CALIBRATION_METHODS.includes(method)) {
+        throw new Error(`Unknown calibration method: ${method}`);
+    }
+    if (method === 'none') return [...yPred];
+    if (yTrue.length < 2) {
+        throw new Error('Cross-fitted calibration needs at least two validation predictions');
+    }
+
+    const calibrated = new Array(yPred.length);
+    const k = Math.min(folds, yTrue.length);
+    for (const { train, validation } of kFoldSplits(yTrue.length, { k, seed, labels: yTrue })) {
+        const calibration = fitCalibration(method, train.map(i => yTrue[i]), train.map(i => yPred[i]));
+        validation.forEach(i => {
+            calibrated[i] = applyCalibration(yPred[i], calibration);
+        });
+    }
+    return calibrated;
+}
+
+/**
+ * Map a model probability through a calibration
+ * @param {number} probability - Raw model output in [0, 1]
+ * @param {Object|null} calibration - Result of fitCalibration (null = identity)
+ * @returns {number} - Calibrated probability
+ */
+export function applyCalibration(probability, calibration) {
+    if (!calibration) return probability;
+
+    if (calibration.method === 'platt') {
+        return sigmoid(calibration.a * logit(probability) + calibration.b);
+    }
+
+    const { x, y } = calibration;
+    if (probability <= x[0]) return y[0];
+    if (probability >= x[x.length - 1]) return y[y.length - 1];
+    let lo = 0;
+    let hi = x.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (x[mid] <= probability) lo = mid;
+        else hi = mid;
+    }
+    const t = (probability - x[lo]) / (x[hi] - x[lo]);
+    return y[lo] + t * (y[hi] - y[lo]);
+}
+
+/**
+ * Check a stored calibration object
+ * @throws {Error} - If malformed
+ */
+export function validateCalibration(calibration) {
+    if (calibration === null) return;
+    if (!calibration || typeof calibration !== 'object') {
+        throw new Error('Calibration must be an object');
+    }
+    if (calibration.method === 'platt') {
+        if (!Number.isFinite(calibration.a) || !Number.isFinite(calibration.b)) {
+            throw new Error('Platt calibration needs finite a and b');
+        }
+        return;
+    }
+    if (calibration.method === 'isotonic') {
+        const { x, y } = calibration;
+        if (!Array.isArray(x) || !Array.isArray(y) || x.length === 0 || x.length !== y.length) {
+            throw new Error('Isotonic calibration needs equal-length, non-empty x and y');
+        }
+        for (let i = 0; i < x.length; i++) {
+            if (!Number.isFinite(x[i]) || !Number.isFinite(y[i]) || (i > 0 && (x[i] < x[i - 1] || y[i] < y[i - 1]))) {
+                throw new Error('Isotonic calibration points must be finite and non-decreasing');
+            }
+        }
+        return;
+    }
+    throw new Error(`Unknown calibration method: ${calibration.method}`);
+}
+
+/**
+ * Equal-width reliability bins
+ * @param {Array<number>} yTrue - 0/1 labels
+ * @param {Array<number>} yPred - Probabilities
+ * @param {number} [bins] - Number of bins over [0, 1]
+ * @returns {Array<{lower: number, upper: number, count: number, meanPredicted: number, fractionPositive: number}>}
+ */
+export function reliabilityBins(yTrue, yPred, bins = 10) {
+    const result = Array.from({ length: bins }, (_, i) => ({
+        lower: i / bins,
+        upper: (i + 1) / bins,
+        count: 0,
+        sumPredicted: 0,
+        sumPositive: 0
+    }));
+    yPred.forEach((p, i) => {
+        const bin = result[Math.min(bins - 1, Math.max(0, Math.floor(p * bins)))];
+        bin.count++;
+        bin.sumPredicted += p;
+        bin.sumPositive += yTrue[i];
+    });
+    return result.map(({ lower, upper, count, sumPredicted, sumPositive }) => ({
+        lower,
+        upper,
+        count,
+        meanPredicted: count ? sumPredicted / count : NaN,
+        fractionPositive: count ? sumPositive / count : NaN
+    }));
+}
+
+/**
+ * Expected calibration error: count-weighted gap between confidence and accuracy per bin
+ * @returns {number}
+ */
+export function expectedCalibrationError(yTrue, yPred, bins = 10) {
+    if (yPred.length === 0) return NaN;
+    return reliabilityBins(yTrue, yPred, bins)
+        .filter(bin => bin.count > 0)
+        .reduce((sum, bin) => sum + (bin.count / yPred.length) * Math.abs(bin.meanPredicted - bin.fractionPositive), 0);
+}
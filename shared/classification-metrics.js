@@ -0,0 +1,259 @@
+/**
+ * Binary classification metrics - rank-based ROC/PR analysis and
+ * threshold-dependent scores for probability outputs
+ *
+ * Labels are 0/1; a sample is predicted positive when its probability is
+ * at or above the threshold.
+ */
+
+const EPSILON = 1e-7;
+
+function safeDivide(numerator, denominator) {
+    return denominator > 0 ? numerator / denominator : 0;
+}
+
+/**
+ * Mean binary cross-entropy
+ * @param {Array<number>} yTrue - 0/1 labels
+ * @param {Array<number>} yPred - Probabilities
+ * @returns {number}
+ */
+export function logLoss(yTrue, yPred) {
+    let loss = 0;
+    for (let i = 0; i < yTrue.length; i++) {
+        const p = Math.max(EPSILON, Math.min(1 - EPSILON, yPred[i]));
+        loss += -(yTrue[i] * Math.log(p) + (1 - yTrue[i]) * Math.log(1 - p));
+    }
+    return loss / yTrue.length;
+}
+
+/**
+ * Mean squared error between probabilities and labels
+ * @param {Array<number>} yTrue - 0/1 labels
+ * @param {Array<number>} yPred - Probabilities
+ * @returns {number}
+ */
+export function brierScore(yTrue, yPred) {
+    let sum = 0;
+    for (let i = 0; i < yTrue.length; i++) {
+        sum += (yPred[i] - yTrue[i]) ** 2;
+    }
+    return sum / yTrue.length;
+}
+
+/**
+ * Confusion matrix at a decision threshold
+ * @param {Array<number>} yTrue - 0/1 labels
+ * @param {Array<number>} yPred - Probabilities
+ * @param {number} [threshold] - Decision threshold
+ * @returns {{tp: number, fp: number, tn: number, fn: number}}
+ */
+export function confusionMatrix(yTrue, yPred, threshold = 0.5) {
+    const matrix = { tp: 0, fp: 0, tn: 0, fn: 0 };
+    for (let i = 0; i < yTrue.length; i++) {
+        const positive = yPred[i] >= threshold;
+        if (yTrue[i] === 1) {
+            positive ? matrix.tp++ : matrix.fn++;
+        } else {
+            positive ? matrix.fp++ : matrix.tn++;
+        }
+    }
+    return matrix;
+}
+
+/**
+ * Accuracy, precision, recall, specificity and F1 at a decision threshold
+ * @param {Array<number>} yTrue - 0/1 labels
+ * @param {Array<number>} yPred - Probabilities
+ * @param {number} [threshold] - Decision threshold
+ * @returns {Object}
+ */
+export function thresholdMetrics(yTrue, yPred, threshold = 0.5) {
+    const confusion = confusionMatrix(yTrue, yPred, threshold);
+    const { tp, fp, tn, fn } = confusion;
+    const precision = safeDivide(tp, tp + fp);
+    const recall = safeDivide(tp, tp + fn);
+
+    return {
+        threshold,
+        confusion,
+        accuracy: safeDivide(tp + tn, yTrue.length),
+        precision,
+        recall,
+        specificity: safeDivide(tn, tn + fp),
+        f1: safeDivide(2 * precision * recall, precision + recall)
+    };
+}
+
+/**
+ * ROC-AUC via the Mann-Whitney rank statistic (ties get average ranks)
+ * @param {Array<number>} yTrue - 0/1 labels
+ * @param {Array<number>} yPred - Probabilities
+ * @returns {number} - NaN when only one class is present
+ */
+export function rocAuc(yTrue, yPred) {
+    const order = yPred.map((score, i) => i).sort((a, b) => yPred[a] - yPred[b]);
+
+    let positives = 0;
+    let positiveRankSum = 0;
+    for (let start = 0; start < order.length;) {
+        let end = start;
+        while (end + 1 < order.length && yPred[order[end + 1]] === yPred[order[start]]) {
+            end++;
+        }
+        // Ranks are 1-based; tied scores share the mean of their ranks
+        const averageRank = (start + end) / 2 + 1;
+        for (let k = start; k <= end; k++) {
+            if (yTrue[order[k]] === 1) {
+                positives++;
+                positiveRankSum += averageRank;
+            }
+        }
+        start = end + 1;
+    }
+
+    const negatives = yTrue.length - positives;
+    if (positives === 0 || negatives === 0) {
+        return NaN;
+    }
+    return (positiveRankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+/**
+ * Cumulative confusion counts at every distinct score, highest first
+ */
+function sweepThresholds(yTrue, yPred) {
+    const order = yPred.map((score, i) => i).sort((a, b) => yPred[b] - yPred[a]);
+    const totalPositives = yTrue.filter(y => y === 1).length;
+    const steps = [];
+
+    let tp = 0;
+    let fp = 0;
+    for (let k = 0; k < order.length; k++) {
+        if (yTrue[order[k]] === 1) tp++;
+        else fp++;
+
+        const next = order[k + 1];
+        if (next === undefined || yPred[next] !== yPred[order[k]]) {
+            steps.push({ threshold: yPred[order[k]], tp, fp });
+        }
+    }
+    return { steps, totalPositives, totalNegatives: yTrue.length - totalPositives };
+}
+
+/**
+ * ROC curve points from (0, 0) to (1, 1)
+ * @param {Array<number>} yTrue - 0/1 labels
+ * @param {Array<number>} yPred - Probabilities
+ * @returns {Array<{threshold: number, fpr: number, tpr: number}>}
+ */
+export function rocCurve(yTrue, yPred) {
+    const { steps, totalPositives, totalNegatives } = sweepThresholds(yTrue, yPred);
+    return [
+        { threshold: Infinity, fpr: 0, tpr: 0 },
+        ...steps.map(({ threshold, tp, fp }) => ({
+            threshold,
+            fpr: safeDivide(fp, totalNegatives),
+            tpr: safeDivide(tp, totalPositives)
+        }))
+    ];
+}
+
+/**
+ * Precision-recall curve points, starting at recall 0 / precision 1
+ * @param {Array<number>} yTrue - 0/1 labels
+ * @param {Array<number>} yPred - Probabilities
+ * @returns {Array<{threshold: number, recall: number, precision: number}>}
+ */
+export function precisionRecallCurve(yTrue, yPred) {
+    const { steps, totalPositives } = sweepThresholds(yTrue, yPred);
+    return [
+        { threshold: Infinity, recall: 0, precision: 1 },
+        ...steps.map(({ threshold, tp, fp }) => ({
+            threshold,
+            recall: safeDivide(tp, totalPositives),
+            precision: safeDivide(tp, tp + fp)
+        }))
+    ];
+}
+
+/**
+ * PR-AUC as average precision (step-wise, no interpolation)
+ * @param {Array<number>} yTrue - 0/1 labels
+ * @param {Array<number>} yPred - Probabilities
+ * @returns {number} - NaN when there are no positives
+ */
+export function averagePrecision(yTrue, yPred) {
+    const curve = precisionRecallCurve(yTrue, yPred);
+    if (!yTrue.includes(1)) {
+        return NaN;
+    }
+
+    let ap = 0;
+    for (let k = 1; k < curve.length; k++) {
+        ap += (curve[k].recall - curve[k - 1].recall) * curve[k].precision;
+    }
+    return ap;
+}
+
+/**
+ * Pick a decision threshold on validation predictions
+ *
+ * Candidate thresholds are the distinct predicted probabilities.
+ * - 'max-f1': highest F1
+ * - 'target-precision': lowest threshold (highest recall) whose precision
+ *   reaches targetPrecision, else the most precise threshold
+ * - 'target-recall': highest threshold whose recall reaches targetRecall
+ * - 'manual': the given threshold as-is
+ *
+ * @param {Array<number>} yTrue - 0/1 labels
+ * @param {Array<number>} yPred - Probabilities
+ * @param {Object} options - { strategy, targetPrecision, targetRecall, threshold }
+ * @returns {Object} - thresholdMetrics at the chosen threshold plus `met`
+ */
+export function selectThreshold(yTrue, yPred, { strategy = 'max-f1', targetPrecision = 0.8, targetRecall = 0.9, threshold = 0.5 } = {}) {
+    if (strategy === 'manual') {
+        return { ...thresholdMetrics(yTrue, yPred, threshold), met: true };
+    }
+
+    const candidates = sweepThresholds(yTrue, yPred).steps
+        .map(step => thresholdMetrics(yTrue, yPred, step.threshold));
+    if (candidates.length === 0) {
+        return { ...thresholdMetrics(yTrue, yPred, 0.5), met: false };
+    }
+
+    let best = null;
+    let met = true;
+    if (strategy === 'max-f1') {
+        best = candidates.reduce((a, b) => (b.f1 > a.f1 ? b : a));
+    } else if (strategy === 'target-precision') {
+        // Candidates run from highest to lowest threshold, so the last match has the best recall
+        const matching = candidates.filter(c => c.precision >= targetPrecision);
+        met = matching.length > 0;
+        best = met
+            ? matching[matching.length - 1]
+            : candidates.reduce((a, b) => (b.precision > a.precision ? b : a));
+    } else if (strategy === 'target-recall') {
+        best = candidates.find(c => c.recall >= targetRecall) || candidates[candidates.length - 1];
+    } else {
+        throw new Error(`Unknown threshold strategy: ${strategy}`);
+    }
+    return { ...best, met };
+}
+
+/**
+ * Threshold-free and threshold-dependent metrics in one report
+ * @param {Array<number>} yTrue - 0/1 labels
+ * @param {Array<number>} yPred - Probabilities
+ * @param {number} [threshold] - Decision threshold
+ * @returns {Object}
+ */
+export function evaluateBinaryClassifier(yTrue, yPred, threshold = 0.5) {
+    return {
+        ...thresholdMetrics(yTrue, yPred, threshold),
+        logLoss: logLoss(yTrue, yPred),
+        brier: brierScore(yTrue, yPred),
+        rocAuc: rocAuc(yTrue, yPred),
+        prAuc: averagePrecision(yTrue, yPred)
+    };
+}
@@ -0,0 +1,301 @@
+/**
+ * CSV helpers shared by the pages and Node tools - RFC 4180 formatting and
+ * parsing with typed columns and a report of dropped rows
+ */
+
+/**
+ * Quote a cell when it contains a delimiter, quote or line break (RFC 4180)
+ * @param {*} value - Cell value; null/undefined/NaN become empty cells
+ * @returns {string}
+ */
+export function formatCSVCell(value) {
+    if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows of objects to CSV text
+ * @param {Array<string>} columns - Column order
+ * @param {Array<Object>} rows - Objects keyed by column name
+ * @returns {string} - CSV with a header line and CRLF-free \n line endings
+ */
+export function formatCSV(columns, rows) {
+    const lines = [columns.map(formatCSVCell).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(col => formatCSVCell(row[col])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Candidate delimiters for detection, in order of preference on ties
+const DELIMITERS = [',', ';', '\t', '|'];
+
+export const COLUMN_TYPES = ['number', 'category', 'date', 'text'];
+
+// String columns with at most this many distinct values (and some repeats) are categories
+export const MAX_CATEGORY_LEVELS = 50;
+
+// ISO dates (2024-02-09, 2024/02/09) with optional time and zone
+const DATE_PATTERN = /^\d{4}[-/]\d{1,2}[-/]\d{1,2}([T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+/**
+ * Guess the delimiter from the header line (outside quotes)
+ * @param {string} text - CSV text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+    const counts = new Map(DELIMITERS.map(d => [d, 0]));
+    let inQuotes = false;
+    for (const c of text) {
+        if (c === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && (c === '\n' || c === '\r')) break;
+        else if (!inQuotes && counts.has(c)) counts.set(c, counts.get(c) + 1);
+    }
+    return DELIMITERS.reduce((best, d) => (counts.get(d) > counts.get(best) ? d : best), DELIMITERS[0]);
+}
+
+/**
+ * Split CSV text into records (RFC 4180): quoted fields may contain
+ * delimiters, doubled quotes and line breaks; LF, CRLF and CR line endings
+ * and a UTF-8 byte order mark are accepted. Blank lines are skipped.
+ * @param {string} text - CSV text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Field delimiter (detected when omitted)
+ * @returns {{delimiter: string, records: Array<{line: number, values: Array<string>, error?: string}>}}
+ *   line is the 1-based source line the record starts on
+ */
+export function parseCSVRecords(text, { delimiter } = {}) {
+    const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const sep = delimiter || detectDelimiter(source);
+    const records = [];
+
+    let values = [];
+    let field = '';
+    let quoted = false;
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        values.push(field);
+        // A lone empty unquoted field is a blank line
+        if (values.length > 1 || field !== '' || quoted) {
+            records.push({ line: recordLine, values });
+        }
+        values = [];
+        field = '';
+        quoted = false;
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const c = source[i];
+        if (inQuotes) {
+            if (c === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                inQuotes = false;
+            } else {
+                if (c === '\n' || (c === '\r' && source[i + 1] !== '\n')) line++;
+                field += c;
+            }
+        } else if (c === '"' && field === '' && !quoted) {
+            inQuotes = true;
+            quoted = true;
+        } else if (c === sep) {
+            values.push(field);
+            field = '';
+            quoted = false;
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && source[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += c;
+        }
+    }
+
+    if (inQuotes) {
+        values.push(field);
+        records.push({ line: recordLine, values, error: 'unterminated quoted field' });
+    } else if (values.length > 0 || field !== '' || quoted) {
+        endRecord();
+    }
+    return { delimiter: sep, records };
+}
+
+/**
+ * Column names from the first record, e.g. to pick a schema before parsing
+ * @param {string} text - CSV text
+ * @param {Object} [options] - { delimiter }
+ * @returns {Array<string>} - Trimmed header names
+ */
+export function readCSVHeader(text, { delimiter } = {}) {
+    // The header ends at the first line break outside quotes
+    let inQuotes = false;
+    let end = 0;
+    while (end < text.length && (inQuotes || (text[end] !== '\n' && text[end] !== '\r'))) {
+        if (text[end] === '"') inQuotes = !inQuotes;
+        end++;
+    }
+    const { records } = parseCSVRecords(text.slice(0, end), { delimiter: delimiter || detectDelimiter(text) });
+    return records.length > 0 ? records[0].values.map(h => h.trim()) : [];
+}
+
+/**
+ * Parse a date cell
+ * @param {string} value - Trimmed cell
+ * @returns {Date|null} - null when not an ISO-style date
+ */
+export function parseDate(value) {
+    if (!DATE_PATTERN.test(value)) return null;
+    const date = new Date(value.replace(/\//g, '-'));
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function parseNumberCell(value) {
+    const number = Number(value);
+    return value !== '' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Infer a type per column from its non-empty cells
+ * number: every cell is numeric; date: every cell is an ISO date;
+ * category: few distinct strings that repeat; text: anything else.
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Array<string>>} rows - Cell strings per row
+ * @returns {Object} - Column name -> type
+ */
+export function inferColumnTypes(headers, rows) {
+    const types = {};
+    headers.forEach((name, j) => {
+        const cells = rows.map(values => values[j].trim()).filter(v => v !== '');
+        if (cells.length === 0) {
+            types[name] = 'text';
+        } else if (cells.every(v => parseNumberCell(v) !== null)) {
+            types[name] = 'number';
+        } else if (cells.every(v => parseDate(v) !== null)) {
+            types[name] = 'date';
+        } else {
+            const distinct = new Set(cells).size;
+            types[name] = distinct <= MAX_CATEGORY_LEVELS && distinct < cells.length ? 'category' : 'text';
+        }
+    });
+    return types;
+}
+
+/**
+ * Convert one cell to its column type
+ * @returns {{value: *, error?: string}} - value is null for empty or invalid cells
+ */
+function convertCell(raw, type) {
+    const value = raw.trim();
+    if (value === '') return { value: null };
+    if (type === 'number') {
+        const number = parseNumberCell(value);
+        return number === null ? { value: null, error: `"${value}" is not a number` } : { value: number };
+    }
+    if (type === 'date') {
+        const date = parseDate(value);
+        return date === null ? { value: null, error: `"${value}" is not a date` } : { value: date };
+    }
+    return { value };
+}
+
+/**
+ * Parse CSV text into typed row objects with a report of dropped rows
+ * Rows are dropped when their field count differs from the header or a
+ * required column is empty or does not parse as its type; invalid cells in
+ * other columns become null.
+ * @param {string} text - CSV text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Field delimiter (detected when omitted)
+ * @param {Object} [options.types] - Column name -> type, overriding inference
+ * @param {Array<string>} [options.required] - Columns every kept row must have
+ * @returns {Object} - { headers, delimiter, types, rows, errors: [{line, reason}], totalRows }
+ * @throws {Error} - Empty input, duplicate headers or missing required columns
+ */
+export function parseTypedCSV(text, { delimiter, types = {}, required = [] } = {}) {
+    const parsed = parseCSVRecords(text, { delimiter });
+    if (parsed.records.length === 0) {
+        throw new Error('CSV is empty');
+    }
+
+    const [header, ...body] = parsed.records;
+    const headers = header.values.map(h => h.trim());
+    const duplicate = headers.find((h, i) => headers.indexOf(h) !== i);
+    if (duplicate !== undefined) {
+        throw new Error(`Duplicate column: ${duplicate}`);
+    }
+    const missing = required.filter(col => !headers.includes(col));
+    if (missing.length > 0) {
+        throw new Error(`Missing required columns: ${missing.join(', ')}`);
+    }
+    for (const [name, type] of Object.entries(types)) {
+        if (!COLUMN_TYPES.includes(type)) {
+            throw new Error(`Unknown column type for ${name}: ${type}`);
+        }
+    }
+
+    const errors = [];
+    const complete = body.filter(record => {
+        if (record.error) {
+            errors.push({ line: record.line, reason: record.error });
+            return false;
+        }
+        if (record.values.length !== headers.length) {
+            errors.push({
+                line: record.line,
+                reason: `expected ${headers.length} fields, found ${record.values.length}`
+            });
+            return false;
+        }
+        return true;
+    });
+
+    const columnTypes = { ...inferColumnTypes(headers, complete.map(r => r.values)), ...types };
+    const requiredSet = new Set(required);
+    const rows = [];
+    for (const record of complete) {
+        const row = {};
+        let reason = null;
+        headers.forEach((name, j) => {
+            const { value, error } = convertCell(record.values[j], columnTypes[name]);
+            row[name] = value;
+            if (!reason && requiredSet.has(name) && value === null) {
+                reason = error ? `${name}: ${error}` : `missing ${name}`;
+            }
+        });
+        if (reason) {
+            errors.push({ line: record.line, reason });
+        } else {
+            rows.push(row);
+        }
+    }
+
+    return {
+        headers,
+        delimiter: parsed.delimiter,
+        types: columnTypes,
+        rows,
+        errors: errors.sort((a, b) => a.line - b.line),
+        totalRows: body.length
+    };
+}
+
+/**
+ * One-line summary of dropped rows for status messages and logs
+ * @param {Array<{line: number, reason: string}>} errors - parseTypedCSV errors
+ * @param {number} [limit] - Rows listed before "and N more"
+ * @returns {string} - Empty when nothing was dropped
+ */
+export function summarizeRowErrors(errors, limit = 3) {
+    if (errors.length === 0) return '';
+    const listed = errors.slice(0, limit).map(e => `line ${e.line}: ${e.reason}`).join('; ');
+    const more = errors.length > limit ? `; and ${errors.length - limit} more` : '';
+    return `Dropped ${errors.length} row${errors.length === 1 ? '' : 's'} (${listed}${more})`;
+}
@@ -0,0 +1,151 @@
+/**
+ * Data splitting - seeded shuffling, stratified train/validation/test
+ * splits and k-fold cross-validation so training runs are reproducible
+ */
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} - () => float in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Fisher-Yates shuffle in place
+ * @param {Array} array - Array to shuffle
+ * @param {Function} random - Generator from createRandom
+ * @returns {Array} - The same array
+ */
+export function shuffleInPlace(array, random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+/**
+ * Row indices grouped by label, each group shuffled
+ */
+function shuffledClassGroups(labels, random) {
+    const groups = new Map();
+    labels.forEach((label, idx) => {
+        const key = String(label);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(idx);
+    });
+    // Sorted keys keep the split independent of row order
+    return [...groups.keys()].sort().map(key => shuffleInPlace(groups.get(key), random));
+}
+
+/**
+ * Shuffled split that keeps each label's share equal across subsets
+ * @param {Array<number>} labels - Label per row
+ * @param {Object} options
+ * @param {number} [options.validationSplit] - Fraction of rows for validation
+ * @param {number} [options.testSplit] - Fraction of rows held out for testing
+ * @param {number} [options.seed] - Shuffle seed
+ * @returns {{train: Array<number>, validation: Array<number>, test: Array<number>}} - Row indices
+ */
+export function stratifiedSplit(labels, { validationSplit = 0.2, testSplit = 0, seed = 42 } = {}) {
+    if (validationSplit <= 0 || testSplit < 0 || validationSplit + testSplit >= 1) {
+        throw new Error('Validation and test fractions must be positive and sum to less than 1');
+    }
+
+    const random = createRandom(seed);
+    const split = { train: [], validation: [], test: [] };
+
+    for (const group of shuffledClassGroups(labels, random)) {
+        const testCount = Math.round(group.length * testSplit);
+        const valCount = Math.round(group.length * validationSplit);
+        split.test.push(...group.slice(0, testCount));
+        split.validation.push(...group.slice(testCount, testCount + valCount));
+        split.train.push(...group.slice(testCount + valCount));
+    }
+
+    if (split.train.length === 0 || split.validation.length === 0) {
+        throw new Error(`Not enough rows (${labels.length}) for a train/validation split`);
+    }
+
+    shuffleInPlace(split.train, random);
+    shuffleInPlace(split.validation, random);
+    shuffleInPlace(split.test, random);
+    return split;
+}
+
+/**
+ * (Repeated) k-fold assignments; stratified by label when labels are given
+ * @param {number} count - Number of rows
+ * @param {Object} options
+ * @param {number} [options.k] - Folds per repeat
+ * @param {number} [options.repeats] - Independent reshuffles
+ * @param {number} [options.seed] - Seed of the first repeat (repeat r uses seed + r)
+ * @param {Array<number>} [options.labels] - Label per row for stratification
+ * @returns {Array<{repeat: number, fold: number, train: Array<number>, validation: Array<number>}>}
+ */
+export function kFoldSplits(count, { k = 5, repeats = 1, seed = 42, labels = null } = {}) {
+    if (!Number.isInteger(k) || k < 2 || k > count) {
+        throw new Error(`k must be an integer between 2 and the number of rows (${count})`);
+    }
+    if (!Number.isInteger(repeats) || repeats < 1) {
+        throw new Error('repeats must be a positive integer');
+    }
+
+    const splits = [];
+    for (let repeat = 0; repeat < repeats; repeat++) {
+        const random = createRandom(seed + repeat);
+        const groups = labels
+            ? shuffledClassGroups(labels, random)
+            : [shuffleInPlace([...Array(count).keys()], random)];
+
+        // Deal rows round-robin so each fold gets its share of every label
+        const assignment = new Array(count);
+        let offset = 0;
+        for (const group of groups) {
+            group.forEach((idx, i) => {
+                assignment[idx] = (offset + i) % k;
+            });
+            offset += group.length;
+        }
+
+        for (let fold = 0; fold < k; fold++) {
+            const train = [];
+            const validation = [];
+            for (let i = 0; i < count; i++) {
+                (assignment[i] === fold ? validation : train).push(i);
+            }
+            splits.push({ repeat, fold, train: shuffleInPlace(train, random), validation });
+        }
+    }
+    return splits;
+}
+
+/**
+ * Mean and sample standard deviation of per-fold metrics
+ * @param {Array<Object>} foldMetrics - One metrics object per fold
+ * @param {Array<string>} keys - Metric names to summarize
+ * @returns {Object} - key -> { mean, std }
+ */
+export function summarizeFolds(foldMetrics, keys) {
+    const summary = {};
+    for (const key of keys) {
+        const values = foldMetrics.map(m => m[key]).filter(Number.isFinite);
+        const mean = values.reduce((a, b) => a + b, 0) / (values.length || 1);
+        const variance = values.length > 1
+            ? values.reduce((a, b) => a + (b - mean) ** 2, 0) / (values.length - 1)
+            : 0;
+        summary[key] = values.length ? { mean, std: Math.sqrt(variance) } : { mean: NaN, std: NaN };
+    }
+    return summary;
+}
@@ -0,0 +1,102 @@
+/**
+ * Fold ensembles - merge models trained on different cross-validation
+ * folds into one averaging tf.LayersModel
+ *
+ * Each fold fits its own input scaling (and, for regressors, its own label
+ * scaling). Both are affine, so they are folded into the member's first and
+ * last dense layers; the merged model then takes inputs prepared with one
+ * shared transform and needs no per-member preprocessing at inference time.
+ */
+
+/**
+ * Affine map z' = scale * z + shift from one per-feature affine transform to another
+ * Both transforms are given as { scale, shift } with z = scale * x + shift.
+ * @param {Object} from - Transform the ensemble input is prepared with
+ * @param {Object} to - Transform the member was trained with
+ * @returns {{scale: Array<number>, shift: Array<number>}}
+ */
+export function relativeAffine(from, to) {
+    const scale = to.scale.map((s, j) => (from.scale[j] === 0 ? 0 : s / from.scale[j]));
+    const shift = to.shift.map((c, j) => c - scale[j] * from.shift[j]);
+    return { scale, shift };
+}
+
+/**
+ * Fold an input affine transform into a dense layer
+ * dense(scale * z + shift) == dense'(z)
+ * @param {Array<Array<number>>} kernel - [inputs][units]
+ * @param {Array<number>} bias - [units]
+ * @param {Object} affine - { scale, shift } per input
+ * @returns {{kernel: Array<Array<number>>, bias: Array<number>}}
+ */
+export function absorbInputAffine(kernel, bias, { scale, shift }) {
+    return {
+        kernel: kernel.map((row, j) => row.map(w => w * scale[j])),
+        bias: bias.map((b, u) => b + kernel.reduce((sum, row, j) => sum + row[u] * shift[j], 0))
+    };
+}
+
+/**
+ * Fold an output affine transform into a linear dense layer
+ * scale * dense(h) + shift == dense'(h)
+ * @param {Array<Array<number>>} kernel - [inputs][units]
+ * @param {Array<number>} bias - [units]
+ * @param {Object} affine - { scale, shift } (scalars)
+ */
+export function absorbOutputAffine(kernel, bias, { scale, shift }) {
+    return {
+        kernel: kernel.map(row => row.map(w => w * scale)),
+        bias: bias.map(b => b * scale + shift)
+    };
+}
+
+/**
+ * Build one model that averages the outputs of several same-architecture members
+ * @param {Array<Object>} members - { model, inputAffine, outputAffine? } per fold
+ * @param {Function} createLayers - () => fresh layer list matching the members' layers
+ * @param {number} inputSize - Number of input features
+ * @returns {tf.LayersModel}
+ */
+export function buildAveragingEnsemble(members, createLayers, inputSize) {
+    const input = tf.input({ shape: [inputSize] });
+    const memberLayers = members.map(() => createLayers());
+
+    const outputs = memberLayers.map(layers =>
+        layers.reduce((tensor, layer) => layer.apply(tensor), input)
+    );
+    const output = outputs.length > 1 ? tf.layers.average().apply(outputs) : outputs[0];
+    const ensemble = tf.model({ inputs: input, outputs: output });
+
+    members.forEach(({ model, inputAffine, outputAffine }, m) => {
+        const source = model.layers;
+        const target = memberLayers[m];
+        const weighted = source
+            .map((layer, i) => i)
+            .filter(i => source[i].getWeights().length > 0);
+        const first = weighted[0];
+        const last = weighted[weighted.length - 1];
+
+        source.forEach((layer, i) => {
+            const weights = layer.getWeights();
+            if (weights.length === 0) return;
+
+            if (i !== first && i !== last) {
+                target[i].setWeights(weights);
+                return;
+            }
+
+            let dense = { kernel: weights[0].arraySync(), bias: weights[1].arraySync() };
+            if (i === first && inputAffine) {
+                dense = absorbInputAffine(dense.kernel, dense.bias, inputAffine);
+            }
+            if (i === last && outputAffine) {
+                dense = absorbOutputAffine(dense.kernel, dense.bias, outputAffine);
+            }
+            const adjusted = [tf.tensor2d(dense.kernel), tf.tensor1d(dense.bias)];
+            target[i].setWeights(adjusted);
+            tf.dispose(adjusted);
+        });
+    });
+
+    return ensemble;
+}
@@ -0,0 +1,340 @@
+/**
+ * Feature extraction - single source of truth for the visual and audio
+ * features fed to the virality model.
+ *
+ * Output contract (stable within a major version):
+ *   extractVisualFeatures -> { edge_intensity, color_histogram }
+ *   extractAudioFeatures  -> { spectral_entropy, audio_intensity }
+ * Every value is a finite number in [0, 1]. Any change to the math or to
+ * EXTRACTION_CONFIG must bump FEATURE_EXTRACTION_VERSION, since models
+ * trained on one version are not valid for features from another.
+ *
+ * The compute* functions are DOM-free and can run in Node; the extract*
+ * functions drive <video>, canvas and Web Audio in the browser.
+ */
+
+export const FEATURE_EXTRACTION_VERSION = '1.1.0';
+
+export const VISUAL_FEATURES = ['edge_intensity', 'color_histogram'];
+export const AUDIO_FEATURES = ['spectral_entropy', 'audio_intensity'];
+
+export const EXTRACTION_CONFIG = Object.freeze({
+    sampleFrames: 10,
+    frameWidth: 256,
+    frameHeight: 144,
+    pixelStride: 4,
+    histogramBins: 16,
+    // Audio is resampled to this rate in the browser and in Node, so each
+    // window spans the same time and frequency range whatever the device rate
+    audioSampleRate: 48000,
+    audioWindow: 1024,
+    audioHop: 512,
+    rmsFullScale: 0.5
+});
+
+const SILENT_AUDIO = Object.freeze({ spectral_entropy: 0, audio_intensity: 0 });
+
+function clamp01(value) {
+    return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
+}
+
+function getLuma(r, g, b) {
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+// ============================================================
+// Pure math
+// ============================================================
+
+/**
+ * Timestamps (seconds) at which frames are sampled
+ * @param {number} duration - Video duration in seconds
+ * @param {number} count - Number of frames
+ * @returns {Array<number>}
+ */
+export function frameSampleTimes(duration, count = EXTRACTION_CONFIG.sampleFrames) {
+    const times = [];
+    for (let i = 0; i < count; i++) {
+        const t = i === 0 ? duration * 0.1 : (duration * (i + 0.5)) / (count + 1);
+        times.push(Math.max(0, Math.min(duration - 0.05, t)));
+    }
+    return times;
+}
+
+/**
+ * Edge intensity and luma histogram spread of one RGBA frame
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+ * @returns {{edge_intensity: number, color_histogram: number}}
+ */
+export function computeFrameFeatures({ data, width, height }) {
+    const { pixelStride: step, histogramBins: bins } = EXTRACTION_CONFIG;
+    let edgeSum = 0;
+    let edgeSamples = 0;
+    const hist = new Array(bins).fill(0);
+
+    for (let y = 1; y < height - 1; y += step) {
+        for (let x = 1; x < width - 1; x += step) {
+            const idx = (y * width + x) * 4;
+            const l = getLuma(data[idx], data[idx + 1], data[idx + 2]);
+            hist[Math.min(bins - 1, Math.floor((l / 255) * bins))] += 1;
+
+            // Central-difference gradient on luma
+            const idxL = (y * width + (x - 1)) * 4;
+            const idxR = (y * width + (x + 1)) * 4;
+            const idxT = ((y - 1) * width + x) * 4;
+            const idxB = ((y + 1) * width + x) * 4;
+            const gx = getLuma(data[idxR], data[idxR + 1], data[idxR + 2]) -
+                getLuma(data[idxL], data[idxL + 1], data[idxL + 2]);
+            const gy = getLuma(data[idxB], data[idxB + 1], data[idxB + 2]) -
+                getLuma(data[idxT], data[idxT + 1], data[idxT + 2]);
+
+            edgeSum += Math.sqrt(gx * gx + gy * gy);
+            edgeSamples++;
+        }
+    }
+
+    const maxPossibleMag = 255 * Math.sqrt(2);
+    const edgeIntensity = edgeSamples > 0 ? edgeSum / edgeSamples / maxPossibleMag : 0;
+
+    const totalHist = hist.reduce((a, b) => a + b, 0) || 1;
+    const avgBin = totalHist / bins;
+    let spread = 0;
+    for (let i = 0; i < bins; i++) {
+        const d = hist[i] - avgBin;
+        spread += d * d;
+    }
+    spread = Math.sqrt(spread / bins);
+    const maxSpread = avgBin * Math.sqrt(bins);
+
+    return {
+        edge_intensity: clamp01(edgeIntensity),
+        color_histogram: clamp01(spread / (maxSpread || 1))
+    };
+}
+
+/**
+ * Average per-frame features into the video-level visual features
+ * @param {Array<Object>} frames - computeFrameFeatures results
+ * @returns {{edge_intensity: number, color_histogram: number}}
+ */
+export function aggregateFrameFeatures(frames) {
+    if (frames.length === 0) {
+        throw new Error('No frames to aggregate');
+    }
+    const mean = key => frames.reduce((sum, f) => sum + f[key], 0) / frames.length;
+    return {
+        edge_intensity: clamp01(mean('edge_intensity')),
+        color_histogram: clamp01(mean('color_histogram'))
+    };
+}
+
+/**
+ * In-place radix-2 Cooley-Tukey FFT
+ * @param {Float32Array} re - Real part (length must be a power of two)
+ * @param {Float32Array} im - Imaginary part
+ */
+export function fft(re, im) {
+    const n = re.length;
+    let j = 0;
+    for (let i = 0; i < n; i++) {
+        if (i < j) {
+            const tr = re[i]; re[i] = re[j]; re[j] = tr;
+            const ti = im[i]; im[i] = im[j]; im[j] = ti;
+        }
+        let m = n >> 1;
+        while (m >= 1 && j >= m) { j -= m; m >>= 1; }
+        j += m;
+    }
+    for (let s = 1; s <= Math.log2(n); s++) {
+        const m = 1 << s;
+        const m2 = m >> 1;
+        const wAngle = (-2 * Math.PI) / m;
+        for (let k = 0; k < n; k += m) {
+            for (let i = 0; i < m2; i++) {
+                const tIndex = k + i + m2;
+                const uIndex = k + i;
+                const wr = Math.cos(wAngle * i);
+                const wi = Math.sin(wAngle * i);
+                const tr = wr * re[tIndex] - wi * im[tIndex];
+                const ti = wr * im[tIndex] + wi * re[tIndex];
+                re[tIndex] = re[uIndex] - tr;
+                im[tIndex] = im[uIndex] - ti;
+                re[uIndex] += tr;
+                im[uIndex] += ti;
+            }
+        }
+    }
+}
+
+/**
+ * Spectral entropy (Hann-windowed) and RMS intensity of mono PCM samples
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @returns {{spectral_entropy: number, audio_intensity: number}}
+ */
+export function computeAudioFeatures(samples) {
+    const { audioWindow: size, audioHop: hop, rmsFullScale } = EXTRACTION_CONFIG;
+    if (!samples || samples.length < size) {
+        return { ...SILENT_AUDIO };
+    }
+
+    const re = new Float32Array(size);
+    const im = new Float32Array(size);
+    const bins = size / 2;
+    const mags = new Float32Array(bins);
+    const maxEntropy = Math.log2(bins);
+    let rmsSum = 0;
+    let entropySum = 0;
+    let frameCount = 0;
+
+    for (let start = 0; start + size <= samples.length; start += hop) {
+        let rms = 0;
+        for (let i = 0; i < size; i++) {
+            const v = samples[start + i];
+            rms += v * v;
+            re[i] = v * (0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1)));
+        }
+        rmsSum += Math.sqrt(rms / size);
+
+        im.fill(0);
+        fft(re, im);
+
+        let magSum = 0;
+        for (let k = 0; k < bins; k++) {
+            mags[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+            magSum += mags[k];
+        }
+        magSum = magSum || 1;
+
+        let entropy = 0;
+        for (let k = 0; k < bins; k++) {
+            const p = mags[k] / magSum;
+            if (p > 0) entropy -= p * Math.log2(p);
+        }
+        entropySum += entropy / maxEntropy;
+        frameCount++;
+    }
+
+    return {
+        spectral_entropy: clamp01(entropySum / frameCount),
+        audio_intensity: clamp01(rmsSum / frameCount / rmsFullScale)
+    };
+}
+
+// ============================================================
+// Browser extraction
+// ============================================================
+
+function seekTo(video, time) {
+    return new Promise((resolve, reject) => {
+        const onSeeked = () => {
+            video.removeEventListener('error', onError);
+            resolve();
+        };
+        const onError = () => {
+            video.removeEventListener('seeked', onSeeked);
+            reject(new Error('Failed to seek video'));
+        };
+        video.addEventListener('seeked', onSeeked, { once: true });
+        video.addEventListener('error', onError, { once: true });
+        video.currentTime = time;
+    });
+}
+
+/**
+ * Sample frames from a loaded <video> and compute visual features
+ * @param {HTMLVideoElement} video - Video with metadata loaded
+ * @param {Object} [options]
+ * @param {HTMLCanvasElement} [options.canvas] - Canvas to draw frames on
+ * @returns {Promise<{edge_intensity: number, color_histogram: number}>}
+ */
+export async function extractVisualFeatures(video, { canvas = document.createElement('canvas') } = {}) {
+    const duration = video.duration;
+    if (!duration || !isFinite(duration)) {
+        throw new Error('Cannot read video duration');
+    }
+
+    const { frameWidth: width, frameHeight: height } = EXTRACTION_CONFIG;
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    const frames = [];
+    for (const t of frameSampleTimes(duration)) {
+        await seekTo(video, t);
+        ctx.drawImage(video, 0, 0, width, height);
+        frames.push(computeFrameFeatures(ctx.getImageData(0, 0, width, height)));
+    }
+    return aggregateFrameFeatures(frames);
+}
+
+/**
+ * Decode the audio track and compute audio features
+ * decodeAudioData resamples to the context's rate, which is fixed to
+ * EXTRACTION_CONFIG.audioSampleRate rather than left at the device rate.
+ * Videos without a decodable audio track are treated as silent.
+ * @param {string|Blob|ArrayBuffer} source - Object URL, file or encoded bytes
+ * @returns {Promise<{spectral_entropy: number, audio_intensity: number}>}
+ */
+export async function extractAudioFeatures(source) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) {
+        return { ...SILENT_AUDIO };
+    }
+
+    const ac = new AudioContext({ sampleRate: EXTRACTION_CONFIG.audioSampleRate });
+    if (ac.sampleRate !== EXTRACTION_CONFIG.audioSampleRate) {
+        console.warn(`Audio decoded at ${ac.sampleRate} Hz instead of ${EXTRACTION_CONFIG.audioSampleRate} Hz; audio features may differ`);
+    }
+    try {
+        let buffer = source;
+        if (typeof source === 'string') {
+            buffer = await (await fetch(source)).arrayBuffer();
+        } else if (source instanceof Blob) {
+            buffer = await source.arrayBuffer();
+        }
+        const audioBuffer = await ac.decodeAudioData(buffer);
+        return computeAudioFeatures(audioBuffer.getChannelData(0));
+    } catch (error) {
+        console.warn('Audio decode failed, treating as silent:', error);
+        return { ...SILENT_AUDIO };
+    } finally {
+        ac.close();
+    }
+}
+
+/**
+ * Load a video file and extract all four features plus basic properties
+ * @param {File|Blob} file - Video file
+ * @returns {Promise<Object>} - Features, duration, width, height and feature_version
+ */
+export async function extractVideoFeatures(file) {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement('video');
+    try {
+        video.muted = true;
+        video.preload = 'auto';
+        video.src = url;
+        await new Promise((resolve, reject) => {
+            video.addEventListener('loadeddata', resolve, { once: true });
+            video.addEventListener('error', () => reject(new Error('Unable to decode video')), { once: true });
+        });
+
+        const [visual, audio] = await Promise.all([
+            extractVisualFeatures(video),
+            extractAudioFeatures(file)
+        ]);
+
+        return {
+            ...visual,
+            ...audio,
+            duration: video.duration,
+            width: video.videoWidth,
+            height: video.videoHeight,
+            feature_version: FEATURE_EXTRACTION_VERSION
+        };
+    } finally {
+        video.removeAttribute('src');
+        video.load();
+        URL.revokeObjectURL(url);
+    }
+}
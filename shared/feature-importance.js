@@ -0,0 +1,109 @@
+/**
+ * Model explanations over named input features
+ *   permutationImportance - drop in a held-out score when one feature is shuffled across rows
+ *   shapleyValues         - contribution of each feature to one prediction, relative to a reference input
+ * Both only call a batch predict function, so they apply to networks, fold
+ * ensembles and baseline models alike.
+ */
+import { createRandom, shuffleInPlace } from './data-split.js';
+
+export const DEFAULT_PERMUTATION_REPEATS = 5;
+
+// Exact Shapley values evaluate all 2^n feature subsets
+export const MAX_SHAPLEY_FEATURES = 12;
+
+/**
+ * Permutation feature importance
+ * A feature's importance is the mean drop of `score` over `repeats` shuffles
+ * of its column(s); features spread over several model inputs (one-hot
+ * blocks) are shuffled together.
+ * @param {Function} predict - async (rows) => predictions, one per row
+ * @param {Array<Array<number>>} rows - Held-out model inputs
+ * @param {Array<number>} labels - Targets aligned with rows
+ * @param {Object} options
+ * @param {Function} options.score - (labels, predictions) => number, higher is better
+ * @param {Array<{name: string, columns: Array<number>}>} [options.groups] - Input columns per feature (default: one per column)
+ * @param {number} [options.repeats] - Shuffles per feature
+ * @param {number} [options.seed] - Shuffle seed
+ * @returns {Promise<{baseline: number, features: Array<{name: string, mean: number, std: number}>}>}
+ */
+export async function permutationImportance(predict, rows, labels, {
+    score,
+    groups = null,
+    repeats = DEFAULT_PERMUTATION_REPEATS,
+    seed = 42
+}) {
+    if (!rows.length || rows.length !== labels.length) {
+        throw new Error('Rows and labels must be non-empty and aligned');
+    }
+
+    const featureGroups = groups || rows[0].map((_, column) => ({ name: String(column), columns: [column] }));
+    const random = createRandom(seed);
+    const baseline = score(labels, await predict(rows));
+
+    const features = [];
+    for (const { name, columns } of featureGroups) {
+        const drops = [];
+        for (let r = 0; r < repeats; r++) {
+            const order = shuffleInPlace(rows.map((_, i) => i), random);
+            const permuted = rows.map((row, i) => {
+                const copy = [...row];
+                columns.forEach(column => { copy[column] = rows[order[i]][column]; });
+                return copy;
+            });
+            drops.push(baseline - score(labels, await predict(permuted)));
+        }
+
+        const mean = drops.reduce((sum, d) => sum + d, 0) / drops.length;
+        const std = drops.length > 1
+            ? Math.sqrt(drops.reduce((sum, d) => sum + (d - mean) ** 2, 0) / (drops.length - 1))
+            : NaN;
+        features.push({ name, mean, std });
+    }
+    return { baseline, features };
+}
+
+function factorial(n) {
+    let result = 1;
+    for (let i = 2; i <= n; i++) result *= i;
+    return result;
+}
+
+/**
+ * Exact Shapley values of one prediction against a reference input
+ * Features outside a subset take their reference value; contributions sum
+ * to value - baseValue.
+ * @param {Function} predict - async (rows) => predictions, one per row
+ * @param {Array<number>} input - Model input to explain
+ * @param {Array<number>} reference - Input standing for "no information", e.g. the training mean
+ * @returns {Promise<{baseValue: number, value: number, contributions: Array<number>}>}
+ */
+export async function shapleyValues(predict, input, reference) {
+    const n = input.length;
+    if (n !== reference.length) {
+        throw new Error('Input and reference must have the same length');
+    }
+    if (n > MAX_SHAPLEY_FEATURES) {
+        throw new Error(`Exact Shapley values support at most ${MAX_SHAPLEY_FEATURES} features, got ${n}`);
+    }
+
+    const subsets = 2 ** n;
+    const rows = Array.from({ length: subsets }, (_, mask) =>
+        input.map((value, j) => ((mask >> j) & 1 ? value : reference[j])));
+    const outputs = await predict(rows);
+
+    // Weight of a subset of size s that excludes the feature: s! (n - s - 1)! / n!
+    const weights = Array.from({ length: n }, (_, s) => factorial(s) * factorial(n - s - 1) / factorial(n));
+    const contributions = new Array(n).fill(0);
+    for (let mask = 0; mask < subsets; mask++) {
+        let size = 0;
+        for (let j = 0; j < n; j++) size += (mask >> j) & 1;
+        for (let j = 0; j < n; j++) {
+            if (!((mask >> j) & 1)) {
+                contributions[j] += weights[size] * (outputs[mask | (1 << j)] - outputs[mask]);
+            }
+        }
+    }
+
+    return { baseValue: outputs[0], value: outputs[subsets - 1], contributions };
+}
@@ -0,0 +1,61 @@
+/**
+ * Feature validation - accepted ranges for virality model inputs, used by
+ * the inference page form and the prediction server
+ */
+
+export const FEATURE_RANGES = {
+    title_length: { min: 0, max: 500 },
+    description_length: { min: 0, max: 2000 },
+    edge_intensity: { min: 0, max: 1 },
+    color_histogram: { min: 0, max: 1 },
+    spectral_entropy: { min: 0, max: 1 },
+    audio_intensity: { min: 0, max: 1 }
+};
+
+/**
+ * Validate one feature value
+ * @param {string} name - Feature name
+ * @param {*} value - Candidate value
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateFeatureValue(name, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return 'must be a finite number';
+    }
+
+    const range = FEATURE_RANGES[name];
+    if (range && (value < range.min || value > range.max)) {
+        return `must be between ${range.min} and ${range.max}`;
+    }
+    return null;
+}
+
+/**
+ * Validate a feature map against the model's feature list
+ * @param {Object} featureMap - Feature name -> value
+ * @param {Array<string>} features - Required features
+ * @returns {Array<{feature: string, message: string}>} - Empty when valid
+ */
+export function validateFeatureMap(featureMap, features) {
+    if (!featureMap || typeof featureMap !== 'object' || Array.isArray(featureMap)) {
+        return [{ feature: null, message: 'features must be an object keyed by feature name' }];
+    }
+
+    const errors = [];
+    for (const name of features) {
+        if (!(name in featureMap)) {
+            errors.push({ feature: name, message: 'is required' });
+            continue;
+        }
+        const message = validateFeatureValue(name, featureMap[name]);
+        if (message) {
+            errors.push({ feature: name, message });
+        }
+    }
+    for (const name of Object.keys(featureMap)) {
+        if (!features.includes(name)) {
+            errors.push({ feature: name, message: 'is not a model feature' });
+        }
+    }
+    return errors;
+}
@@ -0,0 +1,66 @@
+/**
+ * Model loading - fetch a model.json once in the browser and hand the parsed
+ * file to tf.loadLayersModel, so pages can check for a baseline export
+ * first without requesting the file twice
+ */
+
+/**
+ * Fetch and parse the JSON at a model URL
+ * @param {string} url - model.json or baseline file URL
+ * @returns {Promise<Object>}
+ * @throws {Error} - If the file cannot be fetched or is not JSON
+ */
+export async function fetchModelJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not fetch ${url} (HTTP ${response.status})`);
+    }
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new Error(`${url} is not a JSON model file`);
+    }
+}
+
+/**
+ * tf.io load handler for an already parsed model.json; only the weight files
+ * it references are fetched, relative to the model URL
+ * @param {string} url - URL the model.json was fetched from
+ * @param {Object} modelJSON - Parsed model.json
+ * @returns {Object} - Pass to tf.loadLayersModel
+ */
+export function jsonLoadHandler(url, modelJSON) {
+    return {
+        load: async () => {
+            const base = new URL(url, globalThis.location?.href);
+            const weightSpecs = [];
+            const buffers = [];
+            for (const group of modelJSON.weightsManifest || []) {
+                weightSpecs.push(...group.weights);
+                for (const path of group.paths) {
+                    const response = await fetch(new URL(path, base));
+                    if (!response.ok) {
+                        throw new Error(`Could not fetch weights ${path} (HTTP ${response.status})`);
+                    }
+                    buffers.push(new Uint8Array(await response.arrayBuffer()));
+                }
+            }
+            const weightData = new Uint8Array(buffers.reduce((sum, buffer) => sum + buffer.length, 0));
+            buffers.reduce((offset, buffer) => {
+                weightData.set(buffer, offset);
+                return offset + buffer.length;
+            }, 0);
+
+            return {
+                modelTopology: modelJSON.modelTopology,
+                format: modelJSON.format,
+                generatedBy: modelJSON.generatedBy,
+                convertedBy: modelJSON.convertedBy,
+                trainingConfig: modelJSON.trainingConfig,
+                userDefinedMetadata: modelJSON.userDefinedMetadata,
+                weightSpecs,
+                weightData: weightData.buffer
+            };
+        }
+    };
+}
@@ -0,0 +1,269 @@
+/**
+ * Virality model metadata - schema for the userDefinedMetadata embedded in
+ * exported model.json files, shared by the training and inference pages
+ */
+
+import { FEATURE_EXTRACTION_VERSION } from './feature-extraction.js';
+import { applyCalibration, validateCalibration } from './calibration.js';
+
+export const METADATA_VERSION = 1;
+
+export const VIRALITY_TARGET = {
+    name: 'virality',
+    type: 'binary',
+    positiveLabel: 1
+};
+
+// Used for legacy models and metadata exported before thresholds were stored
+export const DEFAULT_DECISION = Object.freeze({
+    threshold: 0.5,
+    strategy: 'default',
+    tiers: null
+});
+
+/**
+ * Build tier bands from their lower probability bounds
+ * The medium tier is dropped when it would not start strictly between 0 and
+ * highMin, since it could never be assigned; callers should say so. Without
+ * a positive highMin every probability is high and no tiers are built.
+ * @param {number} mediumMin - Probability where the medium tier starts
+ * @param {number} highMin - Probability where the high tier starts
+ * @returns {Array<{label: string, min: number}>|null} - Strictly ascending by min
+ */
+export function buildTiers(mediumMin, highMin) {
+    if (!(highMin > 0)) {
+        return null;
+    }
+    const tiers = [{ label: 'low', min: 0 }];
+    if (mediumMin > 0 && mediumMin < highMin) {
+        tiers.push({ label: 'medium', min: mediumMin });
+    }
+    tiers.push({ label: 'high', min: highMin });
+    return tiers;
+}
+
+/**
+ * Validate a stored decision rule
+ * @param {Object} decision - { threshold, strategy, tiers }
+ * @throws {Error}
+ */
+export function validateDecision(decision) {
+    const { threshold, tiers } = decision;
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+        throw new Error(`Invalid decision threshold: ${threshold}`);
+    }
+    if (tiers == null) {
+        return;
+    }
+
+    const ordered = Array.isArray(tiers) && tiers.length > 0 && tiers.every((tier, i) =>
+        typeof tier.label === 'string' &&
+        Number.isFinite(tier.min) && tier.min >= 0 && tier.min <= 1 &&
+        (i === 0 ? tier.min === 0 : tier.min > tiers[i - 1].min)
+    );
+    if (!ordered) {
+        throw new Error('Decision tiers must start at 0 and strictly ascend by min probability');
+    }
+}
+
+/**
+ * Decision rule of a model, falling back to 0.5 without tiers
+ * @param {Object|null} metadata - Result of readModelMetadata
+ * @returns {Object} - { threshold, strategy, tiers }
+ */
+export function resolveDecision(metadata) {
+    return metadata?.decision || DEFAULT_DECISION;
+}
+
+/**
+ * Calibration mapping of a model (null for uncalibrated and legacy models)
+ * @param {Object|null} metadata - Result of readModelMetadata
+ * @returns {Object|null}
+ */
+export function resolveCalibration(metadata) {
+    return metadata?.calibration || null;
+}
+
+/**
+ * Turn a raw model output into the probability the decision rule expects
+ * Thresholds and tiers of calibrated models are chosen on calibrated
+ * probabilities, so every consumer must calibrate before classifying.
+ * @param {number} output - Sigmoid output of the model
+ * @param {Object|null} metadata - Result of readModelMetadata
+ * @returns {number} - Probability in [0, 1]
+ */
+export function modelProbability(output, metadata) {
+    const probability = applyCalibration(output, resolveCalibration(metadata));
+    return Math.max(0, Math.min(1, probability));
+}
+
+/**
+ * Apply a decision rule to a model probability
+ * @param {number} probability - Model output in [0, 1]
+ * @param {Object} decision - Result of resolveDecision
+ * @returns {{viral: boolean, tier: string|null}}
+ */
+export function classifyProbability(probability, decision) {
+    let tier = null;
+    for (const band of decision.tiers || []) {
+        if (probability >= band.min) {
+            tier = band.label;
+        }
+    }
+    return { viral: probability >= decision.threshold, tier };
+}
+
+/**
+ * Build the metadata object stored with an exported virality model
+ * @param {Object} params
+ * @param {Array<string>} params.features - Ordered feature names the model expects
+ * @param {Object} params.scaler - { mean: number[], std: number[] } fitted on training data
+ * @param {Object} params.metrics - Final training/validation metrics
+ * @param {Object} params.training - Hyperparameters and sample counts
+ * @param {Object} [params.history] - Per-epoch history
+ * @param {Object} [params.decision] - { threshold, strategy, tiers } chosen on validation data
+ * @param {Object} [params.calibration] - Probability calibration fitted on validation data
+ * @returns {Object} - Plain JSON-serializable metadata
+ */
+export function buildModelMetadata({
+    features,
+    scaler,
+    metrics,
+    training,
+    history = null,
+    decision = DEFAULT_DECISION,
+    calibration = null
+}) {
+    if (scaler.mean.length !== features.length || scaler.std.length !== features.length) {
+        throw new Error('Scaler size does not match feature list');
+    }
+    validateDecision(decision);
+    validateCalibration(calibration);
+
+    return {
+        version: METADATA_VERSION,
+        features: [...features],
+        scaler: {
+            mean: [...scaler.mean],
+            std: [...scaler.std]
+        },
+        target: { ...VIRALITY_TARGET },
+        featureExtractionVersion: FEATURE_EXTRACTION_VERSION,
+        trainedAt: new Date().toISOString(),
+        training,
+        metrics,
+        history,
+        decision: { ...decision },
+        calibration: calibration ? JSON.parse(JSON.stringify(calibration)) : null
+    };
+}
+
+/**
+ * Read and validate metadata from a loaded tf.LayersModel
+ * @param {tf.LayersModel} model - Loaded model
+ * @param {Array<string>} expectedFeatures - Feature order used by the caller
+ * @returns {Object|null} - Metadata, or null for legacy models exported without it
+ * @throws {Error} - If the metadata is malformed or the feature order differs
+ */
+export function readModelMetadata(model, expectedFeatures) {
+    const metadata = model.getUserDefinedMetadata ? model.getUserDefinedMetadata() : null;
+    return validateModelMetadata(metadata, expectedFeatures);
+}
+
+/**
+ * Validate metadata stored with a model, e.g. in an exported baseline file
+ * @param {Object|null} metadata - Stored metadata
+ * @param {Array<string>} expectedFeatures - Feature order used by the caller
+ * @returns {Object|null} - Metadata, or null when there is none
+ * @throws {Error} - If the metadata is malformed or the feature order differs
+ */
+export function validateModelMetadata(metadata, expectedFeatures) {
+    if (!metadata) {
+        return null;
+    }
+
+    if (metadata.version !== METADATA_VERSION) {
+        throw new Error(`Unsupported model metadata version: ${metadata.version}`);
+    }
+
+    const { features, scaler } = metadata;
+    if (!Array.isArray(features) || features.join(',') !== expectedFeatures.join(',')) {
+        throw new Error(
+            `Feature order mismatch: model expects [${(features || []).join(', ')}], ` +
+            `app provides [${expectedFeatures.join(', ')}]`
+        );
+    }
+
+    // Features from a different major extractor version are not comparable
+    const trainedMajor = (metadata.featureExtractionVersion || '').split('.')[0];
+    const currentMajor = FEATURE_EXTRACTION_VERSION.split('.')[0];
+    if (trainedMajor && trainedMajor !== currentMajor) {
+        throw new Error(
+            `Model was trained on feature extractor v${metadata.featureExtractionVersion}, ` +
+            `this page uses v${FEATURE_EXTRACTION_VERSION}`
+        );
+    }
+
+    if (!scaler || scaler.mean?.length !== features.length || scaler.std?.length !== features.length) {
+        throw new Error('Model metadata has no valid scaler for its features');
+    }
+
+    if (metadata.decision) {
+        validateDecision(metadata.decision);
+    }
+    if (metadata.calibration) {
+        validateCalibration(metadata.calibration);
+    }
+
+    return metadata;
+}
+
+/**
+ * One-line provenance summary for model info panels
+ * @param {Object|null} metadata - Result of readModelMetadata
+ * @returns {string}
+ */
+export function describeProvenance(metadata) {
+    if (!metadata) {
+        return 'No training metadata embedded (legacy export, features are not scaled)';
+    }
+
+    const parts = [`Trained: ${new Date(metadata.trainedAt).toLocaleString()}`];
+    const { training, metrics } = metadata;
+    if (training) {
+        const testPart = training.testSamples ? ` / ${training.testSamples} test` : '';
+        parts.push(`Samples: ${training.trainSamples} train / ${training.valSamples} val${testPart}`);
+        if (Number.isInteger(training.seed)) {
+            parts.push(`Split seed: ${training.seed}`);
+        }
+        if (training.baseline) {
+            parts.push(`Baseline: ${training.baseline}`);
+        } else {
+            const best = training.schedule && training.schedule.restored ? ` (best ${training.schedule.bestEpoch})` : '';
+            parts.push(`Epochs: ${training.epochs}${best}`);
+        }
+        if (training.architecture) {
+            parts.push(`Layers: ${training.architecture.hiddenUnits.join('-')}`);
+        }
+    }
+    if (metrics) {
+        if (Number.isFinite(metrics.valAccuracy)) {
+            parts.push(`Val accuracy: ${(metrics.valAccuracy * 100).toFixed(2)}%`);
+        }
+        if (Number.isFinite(metrics.valAuc)) {
+            parts.push(`Val AUC: ${metrics.valAuc.toFixed(4)}`);
+        }
+        if (Number.isFinite(metrics.testAuc)) {
+            parts.push(`Test AUC: ${metrics.testAuc.toFixed(4)}`);
+        }
+    }
+    const decision = resolveDecision(metadata);
+    parts.push(`Threshold: ${decision.threshold.toFixed(2)} (${decision.strategy})`);
+    const calibration = resolveCalibration(metadata);
+    parts.push(`Calibration: ${calibration ? calibration.method : 'none'}`);
+    parts.push(`Target: ${metadata.target.name} (${metadata.target.type})`);
+    if (metadata.featureExtractionVersion) {
+        parts.push(`Extractor: v${metadata.featureExtractionVersion}`);
+    }
+    return parts.join(' • ');
+}
@@ -0,0 +1,158 @@
+/**
+ * Recommendations - counterfactual search for small, feasible feature
+ * changes that lift a video's virality probability over the decision
+ * threshold (or, for videos already above it, into the next tier)
+ *
+ * Only features a creator can act on are varied (title and description
+ * length, audio loudness), each within a limited distance of its current
+ * value and the accepted input range. All combinations on that grid are
+ * scored in one batch; the cheapest changes that reach the target win.
+ */
+import { FEATURE_RANGES } from './feature-validation.js';
+
+// How far and in what steps each actionable feature may move; min overrides the accepted range
+export const ACTIONABLE_FEATURES = {
+    title_length: { step: 5, maxChange: 60, integer: true, min: 1 },
+    description_length: { step: 20, maxChange: 400, integer: true },
+    audio_intensity: { step: 0.05, maxChange: 0.3 }
+};
+
+export const MAX_RECOMMENDATIONS = 3;
+
+// Smallest probability gain worth suggesting (one percentage point)
+export const MIN_RECOMMENDATION_GAIN = 0.01;
+
+/**
+ * Next probability boundary above the current one: the decision threshold,
+ * else the lowest tier not yet reached
+ * @param {number} probability - Calibrated probability of the input
+ * @param {Object} decision - { threshold, tiers } from resolveDecision
+ * @returns {{value: number, label: string}|null} - Null when the top tier is already reached
+ */
+export function recommendationTarget(probability, decision) {
+    const boundaries = [
+        { value: decision.threshold, label: 'the viral threshold' },
+        ...(decision.tiers || []).map(band => ({ value: band.min, label: `the ${band.label} tier` }))
+    ];
+    return boundaries
+        .filter(boundary => boundary.value > probability)
+        .sort((a, b) => a.value - b.value)[0] || null;
+}
+
+// Candidates closer than this to the current value count as no change
+const VALUE_TOLERANCE = 1e-6;
+
+/**
+ * Values one feature may take: the exact current value first, then steps up
+ * and down, rounded and clamped to the feature's accepted range
+ */
+function candidateValues(name, current, { step, maxChange, integer = false, min = null }) {
+    const accepted = FEATURE_RANGES[name] || { min: -Infinity, max: Infinity };
+    const range = { min: min ?? accepted.min, max: accepted.max };
+    const steps = [];
+    for (let delta = step; delta <= maxChange + 1e-9; delta += step) {
+        steps.push(current - delta, current + delta);
+    }
+    const feasible = steps
+        .map(value => (integer ? Math.round(value) : +value.toFixed(6)))
+        .filter(value => value >= range.min && value <= range.max)
+        .filter(value => Math.abs(value - current) > VALUE_TOLERANCE);
+    return [current, ...new Set(feasible)];
+}
+
+/**
+ * Counterfactual suggestions for one input
+ * Each suggestion changes a different set of features. If any candidate
+ * reaches the target, only those are returned, cheapest first (sum of
+ * changes relative to each feature's maxChange); otherwise the largest gains.
+ * @param {Function} predict - async (rows) => probabilities for raw feature rows
+ * @param {Array<number>} input - Raw feature row
+ * @param {Object} options
+ * @param {Array<string>} options.features - Feature names in input order
+ * @param {number|null} options.target - Probability to reach, e.g. from recommendationTarget
+ * @param {Object} [options.actionable] - Feature name -> { step, maxChange, integer, min }
+ * @param {number} [options.limit] - Suggestions to return
+ * @param {number} [options.minGain] - Smaller gains are not suggested
+ * @returns {Promise<{probability: number, suggestions: Array<Object>}>} - Suggestions are
+ *   { changes: [{ feature, from, to }], probability, gain, reachesTarget, cost }
+ */
+export async function findCounterfactuals(predict, input, {
+    features,
+    target,
+    actionable = ACTIONABLE_FEATURES,
+    limit = MAX_RECOMMENDATIONS,
+    minGain = MIN_RECOMMENDATION_GAIN
+}) {
+    const dimensions = features
+        .map((name, index) => ({ name, index, spec: actionable[name] }))
+        .filter(({ spec }) => spec)
+        .map(dimension => ({ ...dimension, values: candidateValues(dimension.name, input[dimension.index], dimension.spec) }));
+    if (dimensions.length === 0) {
+        throw new Error('None of the model features is actionable');
+    }
+
+    // Every combination of candidate values; the first row is the input itself
+    let rows = [[...input]];
+    for (const { index, values } of dimensions) {
+        rows = rows.flatMap(row => values.map(value => {
+            const copy = [...row];
+            copy[index] = value;
+            return copy;
+        }));
+    }
+    const probabilities = await predict(rows);
+    const probability = probabilities[0];
+
+    const candidates = rows.map((row, i) => {
+        const changes = dimensions
+            .filter(({ index }) => row[index] !== input[index])
+            .map(({ name, index }) => ({ feature: name, from: input[index], to: row[index] }));
+        const cost = dimensions.reduce((sum, { index, spec }) => sum + Math.abs(row[index] - input[index]) / spec.maxChange, 0);
+        return {
+            changes,
+            probability: probabilities[i],
+            gain: probabilities[i] - probability,
+            reachesTarget: target !== null && probabilities[i] >= target,
+            cost
+        };
+    }).filter(candidate => candidate.changes.length > 0 && candidate.gain >= minGain);
+
+    const reaching = candidates
+        .filter(candidate => candidate.reachesTarget)
+        .sort((a, b) => a.cost - b.cost || b.probability - a.probability);
+    const ranked = reaching.length > 0
+        ? reaching
+        : candidates.sort((a, b) => b.gain - a.gain || a.cost - b.cost);
+
+    // One suggestion per set of changed features, so the options differ in kind
+    const seen = new Set();
+    const suggestions = [];
+    for (const candidate of ranked) {
+        const key = candidate.changes.map(change => change.feature).join('+');
+        if (seen.has(key)) continue;
+        seen.add(key);
+        suggestions.push(candidate);
+        if (suggestions.length === limit) break;
+    }
+    return { probability, suggestions };
+}
+
+/**
+ * Creator-facing wording of one feature change
+ * @param {Object} change - { feature, from, to }
+ * @returns {string}
+ */
+export function describeChange({ feature, from, to }) {
+    const direction = to < from;
+    switch (feature) {
+        case 'title_length':
+            return `${direction ? 'Shorten' : 'Lengthen'} the title to ~${to} characters (now ${from})`;
+        case 'description_length':
+            if (to === 0) return `Drop the description (now ${from} characters)`;
+            return `${direction ? 'Shorten' : 'Lengthen'} the description to ~${to} characters (now ${from})`;
+        case 'audio_intensity':
+            return `Make the audio ${direction ? 'quieter' : 'louder'}: intensity ~${to.toFixed(2)} (now ${from.toFixed(2)})`;
+        default:
+            return `${direction ? 'Lower' : 'Raise'} ${feature} to ${+to.toFixed(3)} (now ${+from.toFixed(3)})`;
+    }
+}
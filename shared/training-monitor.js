@@ -0,0 +1,138 @@
+/**
+ * Training monitor - early stopping, learning-rate reduction on plateau and
+ * best-epoch checkpoints for tf.LayersModel training loops
+ *
+ * Framework-neutral about the loop itself: the caller reports one monitored
+ * value per epoch and acts on the returned flags, so it works both with a
+ * manual epoch loop and inside model.fit callbacks.
+ */
+
+// Monitored quantity -> whether larger values are better
+export const MONITORS = {
+    val_loss: false,
+    val_auc: true
+};
+
+export const DEFAULT_MONITOR_CONFIG = {
+    monitor: 'val_loss',
+    minDelta: 0,
+    earlyStopping: false,
+    patience: 10,
+    reduceLrOnPlateau: false,
+    lrPatience: 5,
+    lrFactor: 0.5,
+    minLearningRate: 1e-5,
+    restoreBest: true
+};
+
+export class TrainingMonitor {
+    /**
+     * @param {tf.LayersModel} model - Compiled model being trained
+     * @param {Object} [options] - Overrides for DEFAULT_MONITOR_CONFIG
+     */
+    constructor(model, options = {}) {
+        this.options = { ...DEFAULT_MONITOR_CONFIG, ...options };
+        const { monitor, patience, lrPatience, lrFactor } = this.options;
+        if (!(monitor in MONITORS)) {
+            throw new Error(`Unknown monitor: ${monitor}`);
+        }
+        if (!Number.isInteger(patience) || patience < 1 || !Number.isInteger(lrPatience) || lrPatience < 1) {
+            throw new Error('Patience must be a positive integer');
+        }
+        if (!(lrFactor > 0 && lrFactor < 1)) {
+            throw new Error('Learning-rate factor must be between 0 and 1');
+        }
+
+        this.model = model;
+        this.maximize = MONITORS[monitor];
+        this.bestEpoch = -1;
+        this.bestValue = NaN;
+        this.bestWeights = null;
+        this.sinceBest = 0;
+        this.sinceReduction = 0;
+        this.stoppedEpoch = null;
+        this.learningRate = model.optimizer ? model.optimizer.learningRate : NaN;
+    }
+
+    isImprovement(value) {
+        if (!Number.isFinite(value)) return false;
+        if (this.bestEpoch < 0 || !Number.isFinite(this.bestValue)) return true;
+        const { minDelta } = this.options;
+        return this.maximize ? value > this.bestValue + minDelta : value < this.bestValue - minDelta;
+    }
+
+    /**
+     * Record one epoch's monitored value
+     * @param {number} epoch - Zero-based epoch index
+     * @param {number} value - Monitored metric (NaN counts as no improvement)
+     * @returns {{improved: boolean, stop: boolean, learningRate: number}}
+     */
+    update(epoch, value) {
+        const improved = this.isImprovement(value);
+        if (improved) {
+            this.bestEpoch = epoch;
+            this.bestValue = value;
+            this.sinceBest = 0;
+            this.sinceReduction = 0;
+            if (this.options.restoreBest) {
+                this.saveCheckpoint();
+            }
+        } else {
+            this.sinceBest++;
+            this.sinceReduction++;
+        }
+
+        const { reduceLrOnPlateau, lrPatience, lrFactor, minLearningRate, earlyStopping, patience } = this.options;
+        if (reduceLrOnPlateau && this.sinceReduction >= lrPatience && this.learningRate > minLearningRate) {
+            this.learningRate = Math.max(minLearningRate, this.learningRate * lrFactor);
+            // Adam and the other tf.train optimizers read this field on every step
+            this.model.optimizer.learningRate = this.learningRate;
+            this.sinceReduction = 0;
+        }
+
+        const stop = earlyStopping && this.sinceBest >= patience;
+        if (stop) {
+            this.stoppedEpoch = epoch;
+        }
+        return { improved, stop, learningRate: this.learningRate };
+    }
+
+    saveCheckpoint() {
+        this.disposeCheckpoint();
+        this.bestWeights = this.model.getWeights().map(weight => weight.clone());
+    }
+
+    /**
+     * Load the best epoch's weights back into the model
+     * @param {number} lastEpoch - Epoch whose weights the model currently holds
+     * @returns {boolean} - True if weights were replaced
+     */
+    restore(lastEpoch) {
+        const restored = Boolean(this.bestWeights) && this.bestEpoch !== lastEpoch;
+        if (restored) {
+            this.model.setWeights(this.bestWeights);
+        }
+        this.disposeCheckpoint();
+        return restored;
+    }
+
+    disposeCheckpoint() {
+        if (this.bestWeights) {
+            tf.dispose(this.bestWeights);
+            this.bestWeights = null;
+        }
+    }
+
+    /**
+     * Outcome for training metadata and reports
+     */
+    summary() {
+        return {
+            monitor: this.options.monitor,
+            bestEpoch: this.bestEpoch >= 0 ? this.bestEpoch + 1 : null,
+            bestValue: this.bestValue,
+            stoppedEarly: this.stoppedEpoch !== null,
+            finalLearningRate: this.learningRate
+        };
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * What-if analysis around one input: the model output while one feature
+ * (a partial-dependence curve for this input) or two features (a heatmap)
+ * are swept over a range and the others stay fixed, plus canvas plots for both.
+ * Predict functions take raw feature rows, so callers keep their own scaling
+ * and encoding.
+ */
+
+export const SWEEP_STEPS = 25;
+export const GRID_STEPS = 15;
+
+/**
+ * Evenly spaced values from min to max
+ * @param {number} min - First value
+ * @param {number} max - Last value
+ * @param {number} [steps] - Number of values
+ * @param {Object} [options]
+ * @param {boolean} [options.integer] - Round and drop repeats, e.g. for months or lengths
+ * @returns {Array<number>}
+ */
+export function sweepValues(min, max, steps = SWEEP_STEPS, { integer = false } = {}) {
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+        throw new Error(`Invalid sweep range: ${min} to ${max}`);
+    }
+
+    const count = min === max ? 1 : Math.max(2, steps);
+    const values = Array.from({ length: count }, (_, i) => (count === 1 ? min : min + (i / (count - 1)) * (max - min)));
+    return integer ? [...new Set(values.map(Math.round))] : values;
+}
+
+/**
+ * Model output as one feature takes each of `values`
+ * @param {Function} predict - async (rows) => outputs, one per row
+ * @param {Array<number>} input - Raw feature row held fixed
+ * @param {number} index - Feature to sweep
+ * @param {Array<number>} values - Values for that feature
+ * @returns {Promise<{values: Array<number>, outputs: Array<number>}>}
+ */
+export async function featureSweep(predict, input, index, values) {
+    const rows = values.map(value => input.map((v, j) => (j === index ? value : v)));
+    return { values, outputs: await predict(rows) };
+}
+
+/**
+ * Model output over a grid of two features
+ * @param {Function} predict - async (rows) => outputs, one per row
+ * @param {Array<number>} input - Raw feature row held fixed
+ * @param {Array<number>} indices - [x feature, y feature]
+ * @param {Array<Array<number>>} values - [x values, y values]
+ * @returns {Promise<{xValues: Array<number>, yValues: Array<number>, outputs: Array<Array<number>>}>} - outputs[y][x]
+ */
+export async function featureGrid(predict, input, [xIndex, yIndex], [xValues, yValues]) {
+    if (xIndex === yIndex) {
+        throw new Error('Heatmap features must differ');
+    }
+
+    const rows = yValues.flatMap(y => xValues.map(x => input.map((v, j) => {
+        if (j === xIndex) return x;
+        if (j === yIndex) return y;
+        return v;
+    })));
+    const flat = await predict(rows);
+    const outputs = yValues.map((_, row) => flat.slice(row * xValues.length, (row + 1) * xValues.length));
+    return { xValues, yValues, outputs };
+}
+
+/**
+ * Prepare a canvas at its displayed size
+ */
+function setupCanvas(canvas) {
+    const ctx = canvas.getContext('2d');
+    const width = canvas.offsetWidth || 400;
+    const height = canvas.offsetHeight || 240;
+    canvas.width = width;
+    canvas.height = height;
+    return { ctx, width, height };
+}
+
+/**
+ * Indices of at most `count` evenly spread tick positions
+ */
+function tickIndices(length, count = 5) {
+    if (length <= count) return Array.from({ length }, (_, i) => i);
+    return [...new Set(Array.from({ length: count }, (_, i) => Math.round((i / (count - 1)) * (length - 1))))];
+}
+
+/**
+ * Line chart of a featureSweep result
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Object} sweep - { values, outputs }
+ * @param {Object} [options]
+ * @param {string} [options.xLabel] - Swept feature name
+ * @param {Function} [options.formatX] - Tick label for a feature value
+ * @param {Function} [options.formatY] - Tick label for an output
+ * @param {number} [options.current] - The input's own value, marked on the curve
+ */
+export function drawSweepChart(canvas, { values, outputs }, {
+    xLabel = '',
+    formatX = value => String(+value.toFixed(2)),
+    formatY = value => value.toFixed(3),
+    current = null
+} = {}) {
+    const { ctx, width, height } = setupCanvas(canvas);
+    if (values.length === 0) return;
+
+    const left = 64;
+    const padding = 28;
+    const minVal = Math.min(...outputs);
+    const maxVal = Math.max(...outputs);
+    const range = maxVal - minVal || 1;
+    const minX = values[0];
+    const spanX = values[values.length - 1] - minX || 1;
+    const x = value => left + ((value - minX) / spanX) * (width - left - padding);
+    const y = value => height - padding - ((value - minVal) / range) * (height - padding * 2);
+
+    // Draw background
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.02)';
+    ctx.fillRect(0, 0, width, height);
+
+    // Grid lines with output labels
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.05)';
+    ctx.lineWidth = 1;
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    for (let i = 0; i <= 4; i++) {
+        const value = maxVal - (i / 4) * (maxVal - minVal);
+        const lineY = padding + (i / 4) * (height - padding * 2);
+        ctx.beginPath();
+        ctx.moveTo(left, lineY);
+        ctx.lineTo(width - padding, lineY);
+        ctx.stroke();
+        ctx.fillText(formatY(value), 4, lineY + 3);
+    }
+
+    // Feature value ticks
+    ctx.textAlign = 'center';
+    tickIndices(values.length).forEach(i => ctx.fillText(formatX(values[i]), x(values[i]), height - padding + 14));
+    ctx.fillText(xLabel, left + (width - left - padding) / 2, height - 2);
+    ctx.textAlign = 'left';
+
+    // Output curve
+    ctx.strokeStyle = '#2180a4';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    values.forEach((value, i) => {
+        if (i === 0) ctx.moveTo(x(value), y(outputs[i]));
+        else ctx.lineTo(x(value), y(outputs[i]));
+    });
+    ctx.stroke();
+
+    // Mark the current input
+    if (current !== null && current >= minX && current <= minX + spanX) {
+        const markX = x(current);
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.45)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 3]);
+        ctx.beginPath();
+        ctx.moveTo(markX, padding);
+        ctx.lineTo(markX, height - padding);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+        ctx.textAlign = markX > width / 2 ? 'right' : 'left';
+        ctx.fillText('current', markX + (markX > width / 2 ? -4 : 4), padding - 6);
+        ctx.textAlign = 'left';
+    }
+}
+
+/**
+ * Heatmap of a featureGrid result, light (low) to dark (high)
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Object} grid - { xValues, yValues, outputs }
+ * @param {Object} [options]
+ * @param {string} [options.xLabel] - X feature name
+ * @param {string} [options.yLabel] - Y feature name
+ * @param {Function} [options.formatX] - Tick label for an x value
+ * @param {Function} [options.formatY] - Tick label for a y value
+ * @param {Function} [options.formatValue] - Legend label for an output
+ * @param {Array<number>} [options.current] - [x, y] of the input, circled when inside the grid
+ */
+export function drawHeatmap(canvas, { xValues, yValues, outputs }, {
+    xLabel = '',
+    yLabel = '',
+    formatX = value => String(+value.toFixed(2)),
+    formatY = value => String(+value.toFixed(2)),
+    formatValue = value => value.toFixed(3),
+    current = null
+} = {}) {
+    const { ctx, width, height } = setupCanvas(canvas);
+    if (xValues.length === 0 || yValues.length === 0) return;
+
+    const left = 56;
+    const top = 24;
+    const bottom = 36;
+    const right = 12;
+    const all = outputs.flat();
+    const minVal = Math.min(...all);
+    const maxVal = Math.max(...all);
+    const range = maxVal - minVal || 1;
+    const cellW = (width - left - right) / xValues.length;
+    const cellH = (height - top - bottom) / yValues.length;
+
+    // Cells; the first y value is drawn at the bottom
+    outputs.forEach((row, yi) => {
+        row.forEach((value, xi) => {
+            const t = (value - minVal) / range;
+            const r = Math.round(240 - t * (240 - 33));
+            const g = Math.round(248 - t * (248 - 128));
+            const b = Math.round(250 - t * (250 - 141));
+            ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+            ctx.fillRect(left + xi * cellW, height - bottom - (yi + 1) * cellH, Math.ceil(cellW), Math.ceil(cellH));
+        });
+    });
+
+    // Axis ticks and labels
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.textAlign = 'center';
+    tickIndices(xValues.length).forEach(i => ctx.fillText(formatX(xValues[i]), left + (i + 0.5) * cellW, height - bottom + 12));
+    ctx.fillText(xLabel, left + (width - left - right) / 2, height - 4);
+    ctx.textAlign = 'right';
+    tickIndices(yValues.length).forEach(i => ctx.fillText(formatY(yValues[i]), left - 4, height - bottom - (i + 0.5) * cellH + 3));
+    ctx.textAlign = 'left';
+    ctx.fillText(`${yLabel} ↑`, 4, 14);
+
+    // Legend
+    ctx.textAlign = 'right';
+    ctx.fillText(`${formatValue(minVal)} → ${formatValue(maxVal)}`, width - right, 14);
+    ctx.textAlign = 'left';
+
+    // Circle the current input
+    if (current) {
+        const [cx, cy] = current;
+        const fx = (cx - xValues[0]) / ((xValues[xValues.length - 1] - xValues[0]) || 1);
+        const fy = (cy - yValues[0]) / ((yValues[yValues.length - 1] - yValues[0]) || 1);
+        if (fx >= 0 && fx <= 1 && fy >= 0 && fy <= 1) {
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(left + (0.5 + fx * (xValues.length - 1)) * cellW, height - bottom - (0.5 + fy * (yValues.length - 1)) * cellH, 5, 0, 2 * Math.PI);
+            ctx.stroke();
+        }
+    }
+}
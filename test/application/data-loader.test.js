@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DataLoader } from '../../application/data-loader.js';
+import { quantile } from '../../application/eda-preprocessing.js';
+
+function sampleRows(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        duration_sec: 10 + (i * 7) % 50,
+        hook_strength_score: (i % 10) / 10,
+        niche: i % 10,
+        views_first_hour: 100 + i * 13,
+        retention_rate: (i % 7) / 7,
+        first_3_sec_engagement: (i % 5) / 5,
+        music_type: i % 5,
+        upload_month: (i % 12) + 1,
+        views_total: 1000 + ((i * 7919) % 100) * 1000
+    }));
+}
+
+function loaderWith(rows, { encodings, task }) {
+    const loader = new DataLoader();
+    loader.data = rows;
+    loader.setEncodings(encodings);
+    loader.setTask(task);
+    return loader;
+}
+
+test('trainTestSplit fits the pipeline on training rows only', (t) => {
+    const rows = sampleRows(60);
+    const loader = loaderWith(rows, {
+        encodings: { niche: 'target', music_type: 'onehot' },
+        task: { type: 'classification', quantile: 0.8 }
+    });
+    const prepareFold = loader.prepareFold.bind(loader);
+    let split = null;
+    t.mock.method(loader, 'prepareFold', (indices) => {
+        split = indices;
+        return prepareFold(indices);
+    });
+
+    const { trainFeatures, testFeatures, testLabels } = loader.trainTestSplit(0.2);
+
+    assert.equal(trainFeatures.length, 48);
+    assert.equal(testFeatures.length, 12);
+    assert.equal(testLabels.length, 12);
+    assert.equal(new Set([...split.train, ...split.validation]).size, 60);
+
+    // Same statistics as a pipeline that never saw the test rows
+    const trainRows = split.train.map(i => rows[i]);
+    const { rawFeatures, rawLabels } = loaderWith(trainRows, {
+        encodings: { niche: 'target', music_type: 'onehot' },
+        task: { type: 'classification', quantile: 0.8 }
+    }).getRawData();
+    const expected = loader.createPipeline().fit(rawFeatures, rawLabels);
+    assert.deepEqual(loader.pipeline.toJSON(), expected.toJSON());
+});
+
+test('trainTestSplit leaves test labels out of the label range and target encoding', (t) => {
+    const rows = sampleRows(50);
+    const loader = loaderWith(rows, { encodings: { niche: 'target' }, task: 'regression' });
+    const prepareFold = loader.prepareFold.bind(loader);
+    // Give every test row an extreme label before the pipeline is fitted
+    t.mock.method(loader, 'prepareFold', (indices) => {
+        indices.validation.forEach(i => { rows[i].views_total = 1e9; });
+        return prepareFold(indices);
+    });
+
+    const { testLabels } = loader.trainTestSplit(0.2);
+
+    const { originalMax, max } = loader.pipeline.labelNormalizer;
+    assert.ok(originalMax < 1e9);
+    const nicheEncoder = loader.pipeline.encoders[loader.featureNames.indexOf('niche')];
+    assert.ok(nicheEncoder.means.every(mean => mean <= 1));
+    assert.ok(nicheEncoder.prior <= 1);
+    // The test rows are still scaled with the training range
+    assert.ok(testLabels.every(label => label > 1));
+    assert.ok(Number.isFinite(max));
+});
+
+test('trainTestSplit takes the classification cutoff from training views', (t) => {
+    const rows = sampleRows(60);
+    const loader = loaderWith(rows, { encodings: {}, task: { type: 'classification', quantile: 0.8 } });
+    // Fixed shuffle, so the training cutoff provably differs from the all-rows one
+    t.mock.method(Math, 'random', () => 0.5);
+    const prepareFold = loader.prepareFold.bind(loader);
+    let split = null;
+    t.mock.method(loader, 'prepareFold', (indices) => {
+        split = indices;
+        return prepareFold(indices);
+    });
+
+    const { trainLabels, testLabels } = loader.trainTestSplit(0.2);
+
+    const views = indices => indices.map(i => rows[i].views_total);
+    const threshold = quantile(views(split.train), 0.8);
+    assert.equal(loader.pipeline.labelNormalizer.threshold, threshold);
+    assert.notEqual(threshold, quantile(views([...split.train, ...split.validation]), 0.8));
+    assert.deepEqual(testLabels, views(split.validation).map(v => (v > threshold ? 1 : 0)));
+    assert.deepEqual(trainLabels, views(split.train).map(v => (v > threshold ? 1 : 0)));
+});
+
+test('trainTestSplit requires loaded data', () => {
+    assert.throws(() => new DataLoader().trainTestSplit(0.2), /No data loaded/);
+});
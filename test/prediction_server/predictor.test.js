@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { ViralityModelPredictor, DEFAULT_FEATURES, InputError } from '../../prediction_server/predictor.js';
+import { buildBaselineFile } from '../../shared/baseline-models.js';
+import { buildModelMetadata, buildTiers } from '../../shared/model-metadata.js';
+
+const FEATURE_MAP = {
+    title_length: 40,
+    description_length: 200,
+    edge_intensity: 0.3,
+    color_histogram: 0.5,
+    spectral_entropy: 0.6,
+    audio_intensity: 0.4
+};
+
+// Logistic baseline that only looks at the scaled title length
+function baselineFile(model = { type: 'logistic', l2: 1, weights: [1, 0, 0, 0, 0, 0], bias: 0 }) {
+    return buildBaselineFile(model, buildModelMetadata({
+        features: DEFAULT_FEATURES,
+        scaler: { mean: [40, 0, 0, 0, 0, 0], std: [10, 1, 1, 1, 1, 1] },
+        metrics: {},
+        training: { baseline: 'Logistic regression (L2 1)' },
+        decision: { threshold: 0.5, strategy: 'max-f1', tiers: buildTiers(0.3, 0.5) }
+    }));
+}
+
+async function withFile(content, fn) {
+    const dir = await mkdtemp(join(tmpdir(), 'predictor-test-'));
+    try {
+        const path = join(dir, 'baseline_linear.json');
+        await writeFile(path, JSON.stringify(content));
+        return await fn(path);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('baseline files load and predict without tf.js', async () => {
+    await withFile(baselineFile(), async path => {
+        const predictor = new ViralityModelPredictor();
+        await predictor.load(path);
+        assert.ok(predictor.loaded);
+        assert.equal(predictor.model, null);
+
+        const [average, long] = await predictor.predict([FEATURE_MAP, { ...FEATURE_MAP, title_length: 60 }]);
+        assert.equal(average.probability, 0.5);
+        assert.equal(average.label, 'VIRAL');
+        assert.ok(Math.abs(long.probability - 1 / (1 + Math.exp(-2))) < 1e-12);
+        assert.equal(long.tier, 'high');
+
+        const description = predictor.describe();
+        assert.equal(description.modelType, 'Logistic regression (L2 1)');
+        assert.deepEqual(description.inputShape, [null, 6]);
+        assert.equal(description.scaled, true);
+    });
+});
+
+test('baseline inputs are validated like network inputs', async () => {
+    await withFile(baselineFile(), async path => {
+        const predictor = new ViralityModelPredictor();
+        await predictor.load(path);
+        await assert.rejects(predictor.predict([{ ...FEATURE_MAP, audio_intensity: 2 }]), InputError);
+    });
+});
+
+test('regression baselines are refused', async () => {
+    await withFile(baselineFile({ type: 'linear', l2: 1, weights: [1, 0, 0, 0, 0, 0], bias: 0 }), async path => {
+        await assert.rejects(new ViralityModelPredictor().load(path), /regression baseline/);
+    });
+});
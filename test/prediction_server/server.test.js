@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+
+import { createPredictionServer } from '../../prediction_server/server.js';
+
+const OVERSIZED = 2 * 1024 * 1024;
+
+async function withServer(fn) {
+    const server = createPredictionServer({ loaded: true }, { decoder: {} });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        return await fn(server.address().port);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+// POST to /predict and resolve with the response, ignoring write errors once the server stops reading
+function post(port, headers, body) {
+    return new Promise((resolve, reject) => {
+        const req = request({ port, host: '127.0.0.1', method: 'POST', path: '/predict', headers }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ res, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+            res.on('error', reject);
+        });
+        req.on('error', error => {
+            if (error.code !== 'EPIPE' && error.code !== 'ECONNRESET') reject(error);
+        });
+        req.end(body);
+    });
+}
+
+test('a streamed body over the limit gets a JSON 413, then the connection closes', async () => {
+    await withServer(async port => {
+        const { res, body } = await post(port, { 'Content-Type': 'application/json', 'Transfer-Encoding': 'chunked' }, Buffer.alloc(OVERSIZED, 0x20));
+        assert.equal(res.statusCode, 413);
+        assert.equal(res.headers.connection, 'close');
+        assert.equal(body.error.code, 'payload_too_large');
+    });
+});
+
+test('a declared length over the limit is refused before the body is read', async () => {
+    await withServer(async port => {
+        const { res, body } = await post(port, { 'Content-Type': 'application/json', 'Content-Length': OVERSIZED }, Buffer.alloc(16, 0x20));
+        assert.equal(res.statusCode, 413);
+        assert.equal(res.headers.connection, 'close');
+        assert.equal(body.error.code, 'payload_too_large');
+    });
+});
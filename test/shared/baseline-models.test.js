@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    fitBaseline,
+    predictBaseline,
+    isClassifierBaseline,
+    buildBaselineFile,
+    readBaselineFile
+} from '../../shared/baseline-models.js';
+import { rocAuc } from '../../shared/classification-metrics.js';
+import { createRandom } from '../../shared/data-split.js';
+
+function sample(count, seed = 3) {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, () => [random() * 2 - 1, random() * 2 - 1]);
+}
+
+test('ridge regression recovers a linear target', () => {
+    const X = sample(200);
+    const y = X.map(([a, b]) => 3 * a - 2 * b + 1);
+    const model = fitBaseline('linear', X, y, { task: 'regression', l2: 1e-6 });
+    assert.equal(model.type, 'linear');
+    assert.ok(!isClassifierBaseline(model));
+    predictBaseline(model, X).forEach((value, i) => assert.ok(Math.abs(value - y[i]) < 1e-3));
+});
+
+test('logistic regression and boosted trees rank a separable target', () => {
+    const X = sample(300);
+    const y = X.map(([a]) => (a > 0 ? 1 : 0));
+    for (const name of ['linear', 'gbdt']) {
+        const model = fitBaseline(name, X, y, { task: 'classification', trees: 20 });
+        assert.ok(isClassifierBaseline(model), name);
+        const probabilities = predictBaseline(model, X);
+        assert.ok(probabilities.every(p => p >= 0 && p <= 1), name);
+        assert.ok(rocAuc(y, probabilities) > 0.95, name);
+    }
+});
+
+test('boosted trees fit a non-linear target the linear model misses', () => {
+    const X = sample(400);
+    const y = X.map(([a, b]) => (a * b > 0 ? 1 : 0));
+    const linear = fitBaseline('linear', X, y, { task: 'classification' });
+    const gbdt = fitBaseline('gbdt', X, y, { task: 'classification', trees: 50 });
+    assert.ok(rocAuc(y, predictBaseline(gbdt, X)) > rocAuc(y, predictBaseline(linear, X)) + 0.2);
+});
+
+test('exported files round-trip and are checked against the feature count', () => {
+    const X = sample(100);
+    const model = fitBaseline('gbdt', X, X.map(([a]) => a), { task: 'regression', trees: 5 });
+    const file = JSON.parse(JSON.stringify(buildBaselineFile(model, { note: 'scaler' })));
+
+    const read = readBaselineFile(file, 2);
+    assert.deepEqual(predictBaseline(read.model, X), predictBaseline(model, X));
+    assert.deepEqual(read.metadata, { note: 'scaler' });
+
+    assert.throws(() => readBaselineFile({ ...file, version: 99 }, 2), /Unsupported baseline model version/);
+    assert.throws(() => readBaselineFile({ format: 'layers-model' }, 2), /Not a baseline model file/);
+    assert.throws(() => readBaselineFile(buildBaselineFile({ type: 'logistic', weights: [1], bias: 0 }, null), 2), /2 finite weights/);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    fitPlatt,
+    fitIsotonic,
+    fitCalibration,
+    crossFitCalibration,
+    applyCalibration,
+    validateCalibration,
+    expectedCalibrationError
+} from '../../shared/calibration.js';
+import { createRandom } from '../../shared/data-split.js';
+
+// Overconfident scores: the true rate is 0.25 + p / 2, but the model reports p
+function overconfident(count, seed = 1) {
+    const random = createRandom(seed);
+    const yPred = Array.from({ length: count }, () => random());
+    const yTrue = yPred.map(p => (random() < 0.25 + p / 2 ? 1 : 0));
+    return { yTrue, yPred };
+}
+
+test('Platt scaling lowers the ECE of overconfident scores', () => {
+    const { yTrue, yPred } = overconfident(2000);
+    const calibration = fitPlatt(yTrue, yPred);
+    const calibrated = yPred.map(p => applyCalibration(p, calibration));
+    assert.ok(expectedCalibrationError(yTrue, calibrated) < expectedCalibrationError(yTrue, yPred) / 2);
+    assert.ok(calibration.a > 0 && calibration.a < 1, 'slope shrinks the logit');
+});
+
+test('isotonic calibration is monotone and stays in [0, 1]', () => {
+    const { yTrue, yPred } = overconfident(500);
+    const calibration = fitIsotonic(yTrue, yPred);
+    const grid = Array.from({ length: 101 }, (_, i) => i / 100);
+    const mapped = grid.map(p => applyCalibration(p, calibration));
+    mapped.forEach((value, i) => {
+        assert.ok(value >= 0 && value <= 1);
+        if (i > 0) assert.ok(value >= mapped[i - 1]);
+    });
+    assert.doesNotThrow(() => validateCalibration(calibration));
+});
+
+test('cross-fitted isotonic ECE is not the near-zero in-sample ECE', () => {
+    const { yTrue, yPred } = overconfident(300);
+    const inSample = fitCalibration('isotonic', yTrue, yPred);
+    const inSampleEce = expectedCalibrationError(yTrue, yPred.map(p => applyCalibration(p, inSample)));
+    const crossFitted = crossFitCalibration('isotonic', yTrue, yPred);
+
+    assert.equal(crossFitted.length, yPred.length);
+    assert.ok(crossFitted.every(Number.isFinite));
+    assert.ok(inSampleEce < 0.01, `in-sample ECE ${inSampleEce}`);
+    assert.ok(expectedCalibrationError(yTrue, crossFitted) > inSampleEce);
+});
+
+test('cross-fitting is seeded and passes scores through for "none"', () => {
+    const { yTrue, yPred } = overconfident(100);
+    assert.deepEqual(crossFitCalibration('platt', yTrue, yPred, { seed: 7 }), crossFitCalibration('platt', yTrue, yPred, { seed: 7 }));
+    assert.deepEqual(crossFitCalibration('none', yTrue, yPred), yPred);
+    assert.throws(() => crossFitCalibration('beta', yTrue, yPred), /Unknown calibration method/);
+});
+
+test('expected calibration error is zero for perfectly calibrated bins', () => {
+    const yPred = [0.25, 0.25, 0.25, 0.25, 0.75, 0.75, 0.75, 0.75];
+    const yTrue = [1, 0, 0, 0, 1, 1, 1, 0];
+    assert.equal(expectedCalibrationError(yTrue, yPred), 0);
+});
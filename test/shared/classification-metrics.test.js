@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    logLoss,
+    brierScore,
+    confusionMatrix,
+    thresholdMetrics,
+    rocAuc,
+    rocCurve,
+    averagePrecision,
+    selectThreshold,
+    evaluateBinaryClassifier
+} from '../../shared/classification-metrics.js';
+
+const Y_TRUE = [0, 0, 1, 1, 0, 1];
+const Y_PRED = [0.1, 0.4, 0.35, 0.8, 0.2, 0.9];
+
+// Fraction of positive/negative pairs ranked correctly, ties counting half
+function pairwiseAuc(yTrue, yPred) {
+    let sum = 0;
+    let pairs = 0;
+    yTrue.forEach((a, i) => yTrue.forEach((b, j) => {
+        if (a === 1 && b === 0) {
+            sum += yPred[i] > yPred[j] ? 1 : yPred[i] === yPred[j] ? 0.5 : 0;
+            pairs++;
+        }
+    }));
+    return sum / pairs;
+}
+
+test('ROC-AUC matches the pairwise definition, ties included', () => {
+    assert.equal(rocAuc(Y_TRUE, Y_PRED), pairwiseAuc(Y_TRUE, Y_PRED));
+    const tied = [0.5, 0.5, 0.5, 0.7, 0.2, 0.5];
+    assert.equal(rocAuc(Y_TRUE, tied), pairwiseAuc(Y_TRUE, tied));
+    assert.equal(rocAuc([1, 1, 0, 0], [0.9, 0.8, 0.2, 0.1]), 1);
+    assert.ok(Number.isNaN(rocAuc([1, 1], [0.3, 0.6])));
+});
+
+test('the ROC curve runs from (0, 0) to (1, 1)', () => {
+    const curve = rocCurve(Y_TRUE, Y_PRED);
+    assert.deepEqual(curve[0], { threshold: Infinity, fpr: 0, tpr: 0 });
+    assert.deepEqual(curve.at(-1), { threshold: 0.1, fpr: 1, tpr: 1 });
+});
+
+test('average precision of a perfect ranking is 1, and NaN without positives', () => {
+    assert.equal(averagePrecision([1, 1, 0, 0], [0.9, 0.8, 0.2, 0.1]), 1);
+    // Positives at ranks 1 and 3: (1 + 2/3) / 2
+    assert.ok(Math.abs(averagePrecision([1, 0, 1, 0], [0.9, 0.8, 0.7, 0.1]) - 5 / 6) < 1e-12);
+    assert.ok(Number.isNaN(averagePrecision([0, 0], [0.3, 0.6])));
+});
+
+test('threshold metrics count predictions at the threshold as positive', () => {
+    assert.deepEqual(confusionMatrix(Y_TRUE, Y_PRED, 0.4), { tp: 2, fp: 1, tn: 2, fn: 1 });
+    const metrics = thresholdMetrics(Y_TRUE, Y_PRED, 0.4);
+    assert.equal(metrics.precision, 2 / 3);
+    assert.equal(metrics.recall, 2 / 3);
+    assert.equal(metrics.specificity, 2 / 3);
+    assert.equal(metrics.accuracy, 4 / 6);
+});
+
+test('log loss and Brier score of confident correct predictions are near zero', () => {
+    assert.ok(logLoss([1, 0], [1, 0]) < 1e-6);
+    assert.equal(brierScore([1, 0], [1, 0]), 0);
+    assert.ok(Math.abs(logLoss([1, 0], [0.5, 0.5]) - Math.log(2)) < 1e-12);
+    assert.equal(brierScore([1, 0], [0.5, 0.5]), 0.25);
+});
+
+test('threshold strategies pick validation scores', () => {
+    assert.equal(selectThreshold(Y_TRUE, Y_PRED).threshold, 0.35);
+    const precise = selectThreshold(Y_TRUE, Y_PRED, { strategy: 'target-precision', targetPrecision: 1 });
+    assert.equal(precise.threshold, 0.8);
+    assert.ok(precise.met);
+    assert.equal(selectThreshold(Y_TRUE, Y_PRED, { strategy: 'target-recall', targetRecall: 0.6 }).threshold, 0.8);
+    assert.equal(selectThreshold(Y_TRUE, Y_PRED, { strategy: 'manual', threshold: 0.42 }).threshold, 0.42);
+    assert.throws(() => selectThreshold(Y_TRUE, Y_PRED, { strategy: 'best' }), /Unknown threshold strategy/);
+});
+
+test('an unreachable target precision falls back to the most precise threshold', () => {
+    const choice = selectThreshold([0, 1, 0], [0.9, 0.5, 0.1], { strategy: 'target-precision', targetPrecision: 0.9 });
+    assert.equal(choice.met, false);
+    assert.equal(choice.precision, 0.5);
+});
+
+test('the report combines ranking and threshold metrics', () => {
+    const report = evaluateBinaryClassifier(Y_TRUE, Y_PRED, 0.4);
+    assert.equal(report.rocAuc, rocAuc(Y_TRUE, Y_PRED));
+    assert.equal(report.prAuc, averagePrecision(Y_TRUE, Y_PRED));
+    assert.equal(report.f1, thresholdMetrics(Y_TRUE, Y_PRED, 0.4).f1);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRandom, shuffleInPlace, stratifiedSplit, kFoldSplits, summarizeFolds } from '../../shared/data-split.js';
+
+// 100 rows, 20% positive
+const LABELS = Array.from({ length: 100 }, (_, i) => (i % 5 === 0 ? 1 : 0));
+
+const positives = indices => indices.filter(i => LABELS[i] === 1).length;
+
+test('the generator and shuffle are reproducible per seed', () => {
+    const a = createRandom(7);
+    const b = createRandom(7);
+    const values = Array.from({ length: 5 }, () => a());
+    assert.deepEqual(values, Array.from({ length: 5 }, () => b()));
+    assert.ok(values.every(v => v >= 0 && v < 1));
+
+    const order = shuffleInPlace([...Array(10).keys()], createRandom(1));
+    assert.deepEqual(order, shuffleInPlace([...Array(10).keys()], createRandom(1)));
+    assert.deepEqual([...order].sort((x, y) => x - y), [...Array(10).keys()]);
+});
+
+test('the stratified split partitions the rows and keeps the label share', () => {
+    const split = stratifiedSplit(LABELS, { validationSplit: 0.2, testSplit: 0.1, seed: 3 });
+    const all = [...split.train, ...split.validation, ...split.test].sort((x, y) => x - y);
+    assert.deepEqual(all, [...Array(100).keys()]);
+
+    assert.equal(split.validation.length, 20);
+    assert.equal(split.test.length, 10);
+    assert.equal(positives(split.validation), 4);
+    assert.equal(positives(split.test), 2);
+    assert.equal(positives(split.train), 14);
+
+    assert.deepEqual(stratifiedSplit(LABELS, { validationSplit: 0.2, testSplit: 0.1, seed: 3 }), split);
+    assert.notDeepEqual(stratifiedSplit(LABELS, { validationSplit: 0.2, testSplit: 0.1, seed: 4 }), split);
+});
+
+test('invalid split fractions are rejected', () => {
+    assert.throws(() => stratifiedSplit(LABELS, { validationSplit: 0 }), /must be positive/);
+    assert.throws(() => stratifiedSplit(LABELS, { validationSplit: 0.6, testSplit: 0.4 }), /sum to less than 1/);
+    assert.throws(() => stratifiedSplit([1], { validationSplit: 0.2 }), /Not enough rows/);
+});
+
+test('each repeat of k-fold validates every row exactly once, stratified', () => {
+    const splits = kFoldSplits(100, { k: 5, repeats: 2, seed: 9, labels: LABELS });
+    assert.equal(splits.length, 10);
+    for (const repeat of [0, 1]) {
+        const folds = splits.filter(s => s.repeat === repeat);
+        const validated = folds.flatMap(s => s.validation).sort((x, y) => x - y);
+        assert.deepEqual(validated, [...Array(100).keys()]);
+        for (const { train, validation } of folds) {
+            assert.equal(validation.length, 20);
+            assert.equal(positives(validation), 4);
+            assert.equal(train.length + validation.length, 100);
+            assert.ok(!train.some(i => validation.includes(i)));
+        }
+    }
+    assert.notDeepEqual(splits[0].validation, splits[5].validation);
+});
+
+test('k must lie between 2 and the row count', () => {
+    assert.throws(() => kFoldSplits(3, { k: 4 }), /k must be an integer/);
+    assert.throws(() => kFoldSplits(10, { k: 1 }), /k must be an integer/);
+    assert.throws(() => kFoldSplits(10, { k: 2, repeats: 0 }), /repeats must be a positive integer/);
+});
+
+test('fold summaries give mean and sample std, skipping missing values', () => {
+    const summary = summarizeFolds([{ auc: 0.6, loss: 1 }, { auc: 0.8, loss: NaN }, { auc: 0.7, loss: 3 }], ['auc', 'loss', 'f1']);
+    assert.ok(Math.abs(summary.auc.mean - 0.7) < 1e-12);
+    assert.ok(Math.abs(summary.auc.std - 0.1) < 1e-12);
+    assert.equal(summary.loss.mean, 2);
+    assert.ok(Number.isNaN(summary.f1.mean));
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { relativeAffine, absorbInputAffine, absorbOutputAffine, buildAveragingEnsemble } from '../../shared/ensemble.js';
+import { loadTensorFlow } from '../../model_training/node-io.js';
+
+const apply = ({ scale, shift }, x) => x.map((v, j) => scale[j] * v + shift[j]);
+const dense = (kernel, bias, x) => bias.map((b, u) => b + x.reduce((sum, v, j) => sum + v * kernel[j][u], 0));
+
+function assertClose(actual, expected, tolerance = 1e-5) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < tolerance, `${value} != ${expected[i]} at ${i}`));
+}
+
+const SHARED = { scale: [0.5, 2, 1], shift: [1, -1, 0] };
+const MEMBER = { scale: [0.25, 1, 3], shift: [0, 2, -1] };
+const X = [4, -2, 0.5];
+
+test('the relative affine maps ensemble inputs onto a member\'s inputs', () => {
+    assertClose(apply(relativeAffine(SHARED, MEMBER), apply(SHARED, X)), apply(MEMBER, X), 1e-12);
+});
+
+test('input and output affines fold into dense layers', () => {
+    const kernel = [[1, -1], [0.5, 2], [-3, 0]];
+    const bias = [0.1, -0.2];
+    const z = apply(SHARED, X);
+
+    const input = absorbInputAffine(kernel, bias, MEMBER);
+    assertClose(dense(input.kernel, input.bias, z), dense(kernel, bias, apply(MEMBER, z)), 1e-12);
+
+    const output = absorbOutputAffine(kernel, bias, { scale: 3, shift: 5 });
+    assertClose(dense(output.kernel, output.bias, z), dense(kernel, bias, z).map(v => 3 * v + 5), 1e-12);
+});
+
+test('the merged model averages members fed their own input scaling', async () => {
+    const tf = await loadTensorFlow();
+    const createLayers = () => [
+        tf.layers.dense({ units: 4, activation: 'relu', inputShape: [3] }),
+        tf.layers.dense({ units: 1 })
+    ];
+    const members = [MEMBER, { scale: [1, 1, 1], shift: [0, 0, 0] }].map(affine => {
+        const model = tf.sequential({ layers: createLayers() });
+        return { model, affine, inputAffine: relativeAffine(SHARED, affine) };
+    });
+
+    const ensemble = buildAveragingEnsemble(members, createLayers, 3);
+    const z = apply(SHARED, X);
+    const [merged] = await ensemble.predict(tf.tensor2d([z])).data();
+    const memberOutputs = await Promise.all(members.map(async ({ model, affine }) =>
+        (await model.predict(tf.tensor2d([apply(affine, X)])).data())[0]
+    ));
+    assertClose([merged], [(memberOutputs[0] + memberOutputs[1]) / 2]);
+
+    ensemble.dispose();
+    members.forEach(({ model }) => model.dispose());
+});
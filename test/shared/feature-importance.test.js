@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { permutationImportance, shapleyValues, MAX_SHAPLEY_FEATURES } from '../../shared/feature-importance.js';
+import { createRandom } from '../../shared/data-split.js';
+
+const batch = fn => async rows => rows.map(fn);
+
+// Negative mean squared error, so higher is better
+const score = (labels, predictions) => -labels.reduce((sum, y, i) => sum + (y - predictions[i]) ** 2, 0) / labels.length;
+
+function sampleRows(count) {
+    const random = createRandom(5);
+    return Array.from({ length: count }, () => [random(), random(), random()]);
+}
+
+test('permutation importance ranks the feature the model uses and ignores the rest', async () => {
+    const rows = sampleRows(200);
+    const model = batch(([a]) => 4 * a);
+    const labels = rows.map(([a]) => 4 * a);
+    const { baseline, features } = await permutationImportance(model, rows, labels, { score, repeats: 3 });
+
+    assert.ok(baseline === 0, `baseline ${baseline}`);
+    assert.deepEqual(features.map(f => f.name), ['0', '1', '2']);
+    assert.ok(features[0].mean > 0.5);
+    assert.equal(features[1].mean, 0);
+    assert.equal(features[2].mean, 0);
+    assert.ok(features[0].std >= 0);
+});
+
+test('grouped columns are shuffled together and results are seeded', async () => {
+    const rows = sampleRows(100);
+    const model = batch(([a, b]) => a - b);
+    const labels = rows.map(([a, b]) => a - b);
+    const groups = [{ name: 'pair', columns: [0, 1] }, { name: 'noise', columns: [2] }];
+    const first = await permutationImportance(model, rows, labels, { score, groups, seed: 1 });
+    const again = await permutationImportance(model, rows, labels, { score, groups, seed: 1 });
+
+    assert.deepEqual(first, again);
+    assert.ok(first.features[0].mean > 0);
+    assert.equal(first.features[1].mean, 0);
+    await assert.rejects(permutationImportance(model, rows, labels.slice(1), { score }), /aligned/);
+});
+
+test('Shapley values of an additive model are each term\'s change', async () => {
+    const model = batch(([a, b, c]) => 2 * a - b + 0.5 * c);
+    const { baseValue, value, contributions } = await shapleyValues(model, [1, 2, 3], [0, 0, 1]);
+    assert.equal(baseValue, 0.5);
+    assert.equal(value, 1.5);
+    assert.deepEqual(contributions, [2, -2, 1]);
+});
+
+test('Shapley values split interactions evenly and add up to the prediction change', async () => {
+    const model = batch(([a, b, c]) => a * b + c * c);
+    const input = [2, 3, -1];
+    const reference = [0, 0, 0];
+    const { baseValue, value, contributions } = await shapleyValues(model, input, reference);
+
+    assert.ok(Math.abs(contributions[0] - 3) < 1e-12);
+    assert.ok(Math.abs(contributions[1] - 3) < 1e-12);
+    assert.ok(Math.abs(contributions[2] - 1) < 1e-12);
+    assert.ok(Math.abs(contributions.reduce((a, b) => a + b, 0) - (value - baseValue)) < 1e-12);
+});
+
+test('Shapley inputs must match the reference and stay small enough to enumerate', async () => {
+    const model = batch(() => 0);
+    await assert.rejects(shapleyValues(model, [1, 2], [0]), /same length/);
+    const wide = new Array(MAX_SHAPLEY_FEATURES + 1).fill(0);
+    await assert.rejects(shapleyValues(model, wide, wide), /at most/);
+});
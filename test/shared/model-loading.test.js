@@ -0,0 +1,64 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fetchModelJSON, jsonLoadHandler } from '../../shared/model-loading.js';
+import { loadTensorFlow } from '../../model_training/node-io.js';
+
+const realFetch = globalThis.fetch;
+
+// Serve files from memory and count the requests per URL
+function serve(files) {
+    const requests = [];
+    globalThis.fetch = async url => {
+        const href = String(url);
+        requests.push(href);
+        return href in files
+            ? new Response(files[href])
+            : new Response('not found', { status: 404 });
+    };
+    return requests;
+}
+
+afterEach(() => {
+    globalThis.fetch = realFetch;
+});
+
+test('a parsed model.json loads with one request per weight file', async () => {
+    const tf = await loadTensorFlow();
+    const model = tf.sequential({ layers: [tf.layers.dense({ inputShape: [2], units: 1 })] });
+    model.setUserDefinedMetadata({ note: 'kept' });
+    let artifacts;
+    await model.save(tf.io.withSaveHandler(async saved => {
+        artifacts = saved;
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+    const modelJSON = {
+        modelTopology: artifacts.modelTopology,
+        format: artifacts.format,
+        userDefinedMetadata: artifacts.userDefinedMetadata,
+        weightsManifest: [{ paths: ['./model.weights.bin'], weights: artifacts.weightSpecs }]
+    };
+    const requests = serve({
+        'http://host/models/model.json': JSON.stringify(modelJSON),
+        'http://host/models/model.weights.bin': new Uint8Array(artifacts.weightData)
+    });
+
+    const url = 'http://host/models/model.json';
+    const json = await fetchModelJSON(url);
+    const loaded = await tf.loadLayersModel(jsonLoadHandler(url, json));
+    assert.deepEqual(requests, [url, 'http://host/models/model.weights.bin']);
+    assert.deepEqual(loaded.getUserDefinedMetadata(), { note: 'kept' });
+
+    const input = tf.tensor2d([[1, 2]]);
+    assert.deepEqual(await loaded.predict(input).data(), await model.predict(input).data());
+});
+
+test('missing or non-JSON model files are reported', async () => {
+    serve({ 'http://host/page.html': '<html>' });
+    await assert.rejects(fetchModelJSON('http://host/model.json'), /HTTP 404/);
+    await assert.rejects(fetchModelJSON('http://host/page.html'), /not a JSON model file/);
+    const handler = jsonLoadHandler('http://host/model.json', {
+        weightsManifest: [{ paths: ['./missing.bin'], weights: [] }]
+    });
+    await assert.rejects(handler.load(), /Could not fetch weights \.\/missing\.bin/);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildTiers, validateDecision, classifyProbability } from '../../shared/model-metadata.js';
+
+test('tiers are low, medium and high when medium starts below high', () => {
+    const tiers = buildTiers(0.3, 0.7);
+    assert.deepEqual(tiers, [
+        { label: 'low', min: 0 },
+        { label: 'medium', min: 0.3 },
+        { label: 'high', min: 0.7 }
+    ]);
+    assert.doesNotThrow(() => validateDecision({ threshold: 0.7, tiers }));
+});
+
+test('an empty medium tier is dropped instead of sharing the high bound', () => {
+    for (const mediumMin of [0.6939, 0.8, 0]) {
+        const tiers = buildTiers(mediumMin, 0.6939);
+        assert.deepEqual(tiers.map(tier => tier.label), ['low', 'high']);
+        assert.doesNotThrow(() => validateDecision({ threshold: 0.6939, tiers }));
+    }
+    assert.equal(buildTiers(0, 0), null);
+});
+
+test('every built tier can be assigned', () => {
+    const tiers = buildTiers(0.2, 0.5);
+    const decision = { threshold: 0.5, tiers };
+    assert.deepEqual([0.1, 0.3, 0.9].map(p => classifyProbability(p, decision).tier), ['low', 'medium', 'high']);
+});
+
+test('stored tiers with equal bounds are rejected', () => {
+    const tiers = [{ label: 'low', min: 0 }, { label: 'medium', min: 0.6939 }, { label: 'high', min: 0.6939 }];
+    assert.throws(() => validateDecision({ threshold: 0.6939, tiers }), /strictly ascend/);
+});
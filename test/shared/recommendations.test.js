@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { recommendationTarget, findCounterfactuals, describeChange } from '../../shared/recommendations.js';
+
+const FEATURES = ['title_length', 'description_length', 'edge_intensity', 'color_histogram', 'spectral_entropy', 'audio_intensity'];
+
+// Probability rises with shorter titles and ignores everything else
+const titleOnly = async rows => rows.map(row => 0.3 + (40 - row[0]) / 100);
+
+test('an unrounded input value is not reported as a change', async () => {
+    const input = [40, 200, 0.3, 0.5, 0.6, 0.41372819283];
+    const { probability, suggestions } = await findCounterfactuals(titleOnly, input, { features: FEATURES, target: 0.5 });
+
+    assert.equal(probability, 0.3);
+    assert.ok(suggestions.length > 0);
+    for (const { changes } of suggestions) {
+        for (const { from, to } of changes) assert.ok(Math.abs(to - from) > 1e-6, `${from} -> ${to}`);
+    }
+    assert.deepEqual(suggestions[0].changes, [{ feature: 'title_length', from: 40, to: 20 }]);
+    assert.ok(suggestions[0].reachesTarget);
+});
+
+test('the first candidate row is the exact input', async () => {
+    const input = [37, 213, 0.3, 0.5, 0.6, 0.123456789];
+    let scored = null;
+    await findCounterfactuals(async rows => { scored = rows; return rows.map(() => 0.5); }, input, { features: FEATURES, target: 0.6 });
+    assert.deepEqual(scored[0], input);
+    assert.equal(scored.filter(row => row.every((value, i) => value === input[i])).length, 1);
+});
+
+test('changes stay inside the accepted ranges and below the minimum gain are dropped', async () => {
+    const input = [3, 10, 0.3, 0.5, 0.6, 0.95];
+    const louder = async rows => rows.map(row => row[5] / 2 + row[1] / 1e6);
+    const { suggestions } = await findCounterfactuals(louder, input, { features: FEATURES, target: 0.9 });
+    for (const { changes, gain } of suggestions) {
+        assert.ok(gain >= 0.01);
+        for (const { feature, to } of changes) {
+            if (feature === 'audio_intensity') assert.ok(to <= 1);
+            if (feature === 'description_length') assert.ok(to >= 0);
+        }
+    }
+    assert.ok(suggestions[0].changes.some(change => change.feature === 'audio_intensity' && change.to === 1));
+});
+
+test('the target is the threshold, then the next tier', () => {
+    const decision = { threshold: 0.5, tiers: [{ label: 'medium', min: 0.3 }, { label: 'high', min: 0.7 }] };
+    assert.deepEqual(recommendationTarget(0.2, decision), { value: 0.3, label: 'the medium tier' });
+    assert.deepEqual(recommendationTarget(0.4, decision), { value: 0.5, label: 'the viral threshold' });
+    assert.deepEqual(recommendationTarget(0.6, decision), { value: 0.7, label: 'the high tier' });
+    assert.equal(recommendationTarget(0.8, decision), null);
+});
+
+test('changes are worded for creators', () => {
+    assert.equal(describeChange({ feature: 'title_length', from: 40, to: 20 }), 'Shorten the title to ~20 characters (now 40)');
+    assert.equal(describeChange({ feature: 'description_length', from: 80, to: 0 }), 'Drop the description (now 80 characters)');
+    assert.equal(describeChange({ feature: 'audio_intensity', from: 0.4, to: 0.55 }), 'Make the audio louder: intensity ~0.55 (now 0.40)');
+});
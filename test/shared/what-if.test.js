@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SWEEP_STEPS, sweepValues, featureSweep, featureGrid } from '../../shared/what-if.js';
+
+// Linear model over raw rows, so every output can be checked by hand
+const predict = async rows => rows.map(([a, b, c]) => a + 10 * b + 100 * c);
+
+test('sweep values span the range evenly', () => {
+    assert.deepEqual(sweepValues(0, 1, 5), [0, 0.25, 0.5, 0.75, 1]);
+    assert.equal(sweepValues(2, 4).length, SWEEP_STEPS);
+    assert.deepEqual(sweepValues(3, 3), [3]);
+    assert.deepEqual(sweepValues(0, 1, 1), [0, 1]);
+});
+
+test('integer sweeps round and drop repeats', () => {
+    assert.deepEqual(sweepValues(1, 4, 10, { integer: true }), [1, 2, 3, 4]);
+    assert.deepEqual(sweepValues(0, 12, 5, { integer: true }), [0, 3, 6, 9, 12]);
+});
+
+test('invalid sweep ranges are rejected', () => {
+    assert.throws(() => sweepValues(2, 1), /Invalid sweep range/);
+    assert.throws(() => sweepValues(NaN, 1), /Invalid sweep range/);
+    assert.throws(() => sweepValues(0, Infinity), /Invalid sweep range/);
+});
+
+test('a feature sweep varies only the swept feature', async () => {
+    const input = [1, 2, 3];
+    const sweep = await featureSweep(predict, input, 1, [0, 5]);
+    assert.deepEqual(sweep, { values: [0, 5], outputs: [301, 351] });
+    assert.deepEqual(input, [1, 2, 3]);
+});
+
+test('a feature grid is indexed outputs[y][x] with one predict call', async () => {
+    let calls = 0;
+    const counted = async rows => {
+        calls++;
+        return predict(rows);
+    };
+    const grid = await featureGrid(counted, [1, 2, 3], [0, 2], [[0, 1, 2], [0, 1]]);
+    assert.equal(calls, 1);
+    assert.deepEqual(grid.xValues, [0, 1, 2]);
+    assert.deepEqual(grid.yValues, [0, 1]);
+    assert.deepEqual(grid.outputs, [[20, 21, 22], [120, 121, 122]]);
+});
+
+test('a grid over one feature twice is rejected', async () => {
+    await assert.rejects(featureGrid(predict, [1, 2, 3], [1, 1], [[0], [0]]), /must differ/);
+});
@@ -1,18 +1,40 @@
 /**
  * Video Virality Predictor - Inference Application with Error Handling
  * Loads trained TensorFlow.js model and makes predictions
- * Model must be in virality_model/ directory as model.json + model.weights.bin
+ * Model must be in virality_model/ directory as model.json + model.weights.bin,
+ * or be a baseline model JSON exported by the training page
  */
 
+import {
+    readModelMetadata,
+    validateModelMetadata,
+    describeProvenance,
+    resolveDecision,
+    classifyProbability,
+    modelProbability
+} from '../shared/model-metadata.js';
+import { FEATURE_RANGES, validateFeatureValue } from '../shared/feature-validation.js';
+import { isBaselineFile, readBaselineFile, predictBaseline, describeBaseline, isClassifierBaseline } from '../shared/baseline-models.js';
+import { fetchModelJSON, jsonLoadHandler } from '../shared/model-loading.js';
+import { shapleyValues } from '../shared/feature-importance.js';
+import { GRID_STEPS, sweepValues, featureSweep, featureGrid, drawSweepChart, drawHeatmap } from '../shared/what-if.js';
+import { recommendationTarget, findCounterfactuals, describeChange } from '../shared/recommendations.js';
+
 class ViralityPredictorApp {
     constructor() {
         // Model state
         this.model = null;
+        // Linear or boosted-tree baseline loaded instead of a network
+        this.baseline = null;
         this.modelLoaded = false;
+        this.metadata = null;
+        this.decision = resolveDecision(null);
         this.scaler = {
             mean: [0, 0, 0, 0, 0, 0],
             std: [1, 1, 1, 1, 1, 1]
         };
+        // Clamped features of the latest prediction, the fixed point of the what-if sweeps
+        this.lastFeatures = null;
 
         // Feature names
         this.features = [
@@ -42,10 +64,22 @@ class ViralityPredictorApp {
             viralityLabel: document.getElementById('virality-label'),
             confidenceBar: document.getElementById('confidence-bar'),
             probabilityText: document.getElementById('probability-text'),
+            explanation: document.getElementById('explanation'),
+            explanationChart: document.getElementById('explanation-chart'),
+            explanationNote: document.getElementById('explanation-note'),
+            whatIfFeature: document.getElementById('what-if-feature'),
+            whatIfFeatureY: document.getElementById('what-if-feature-y'),
+            whatIfBtn: document.getElementById('what-if-btn'),
+            whatIfChart: document.getElementById('what-if-chart'),
+            whatIfResult: document.getElementById('what-if-result'),
+            recommendations: document.getElementById('recommendations'),
+            recommendationsList: document.getElementById('recommendations-list'),
+            recommendationsNote: document.getElementById('recommendations-note'),
             
             // Model info
             modelInfoContainer: document.getElementById('model-info-container'),
             modelParams: document.getElementById('model-params'),
+            modelProvenance: document.getElementById('model-provenance'),
             validationNote: document.getElementById('validation-note')
         };
 
@@ -55,12 +89,16 @@ class ViralityPredictorApp {
         });
 
         this.initEventListeners();
+        this.populateWhatIfInputs();
         this.setDefaultPath();
     }
 
     initEventListeners() {
         this.elements.loadBtn.addEventListener('click', () => this.loadModel());
         this.elements.predictBtn.addEventListener('click', () => this.predict());
+        if (this.elements.whatIfBtn) {
+            this.elements.whatIfBtn.addEventListener('click', () => this.runWhatIf());
+        }
 
         // Enter key to load model
         this.elements.modelPathInput.addEventListener('keypress', (e) => {
@@ -98,21 +136,16 @@ class ViralityPredictorApp {
     }
 
     validateInput(input) {
-        const value = parseFloat(input.value);
-        
-        // Check for valid number
-        if (isNaN(value)) {
-            input.style.borderColor = '#ff5459';
-            return false;
-        }
-
-        // Check reasonable range (0-1000 depending on feature)
-        if (value < 0 || value > 1000) {
+        // Same per-feature ranges the prediction server enforces
+        const error = validateFeatureValue(input.id, parseFloat(input.value));
+        if (error) {
             input.style.borderColor = '#ff5459';
+            input.title = error;
             return false;
         }
 
         input.style.borderColor = '';
+        input.title = '';
         return true;
     }
 
@@ -127,16 +160,36 @@ class ViralityPredictorApp {
             this.setStatus('info', `Loading model from: ${modelPath}`);
             this.elements.loadBtn.disabled = true;
 
-            // Load model using TensorFlow.js
-            // The model.json file contains reference to model.weights.bin in same directory
-            this.model = await tf.loadLayersModel(modelPath);
-            
-            if (!this.model) {
-                throw new Error('Model loaded but is null');
+            // Baseline exports are a single JSON file with their metadata inline
+            const json = await fetchModelJSON(modelPath);
+            if (isBaselineFile(json)) {
+                const { model, metadata } = readBaselineFile(json, this.features.length);
+                if (!isClassifierBaseline(model)) {
+                    throw new Error('Baseline file is a regression model, not a virality classifier');
+                }
+                this.model = null;
+                this.baseline = model;
+                this.loadScalerMetadata(validateModelMetadata(metadata, this.features));
+            } else {
+                // Load model using TensorFlow.js
+                // The model.json file contains reference to model.weights.bin in same directory
+                this.baseline = null;
+                this.model = await tf.loadLayersModel(jsonLoadHandler(modelPath, json));
+
+                if (!this.model) {
+                    throw new Error('Model loaded but is null');
+                }
+
+                // Load scaler and feature schema from model metadata; throws on feature mismatch
+                this.loadScalerMetadata(readModelMetadata(this.model, this.features));
             }
 
             this.modelLoaded = true;
-            this.setStatus('success', 'Model loaded successfully!');
+            if (this.metadata) {
+                this.setStatus('success', 'Model loaded successfully!');
+            } else {
+                this.setStatus('warning', 'Model loaded without scaler metadata - predictions may be unreliable');
+            }
 
             // Display model info
             this.displayModelInfo();
@@ -147,11 +200,9 @@ class ViralityPredictorApp {
                 this.elements.featureInputs[feature].disabled = false;
             });
 
-            // Load scaler from model metadata (if available)
-            this.loadScalerMetadata();
-
         } catch (error) {
             console.error('Model loading error:', error);
+            this.modelLoaded = false;
             this.setStatus('error', `Failed to load model: ${error.message}`);
             this.elements.loadBtn.disabled = false;
         }
@@ -159,6 +210,15 @@ class ViralityPredictorApp {
 
     displayModelInfo() {
         try {
+            if (this.baseline) {
+                this.elements.modelParams.textContent = `Model Type: ${describeBaseline(this.baseline)}`;
+                if (this.elements.modelProvenance) {
+                    this.elements.modelProvenance.textContent = describeProvenance(this.metadata);
+                }
+                this.elements.modelInfoContainer.classList.remove('hidden');
+                return;
+            }
+
             const model = this.model;
             if (!model) return;
 
@@ -186,18 +246,29 @@ class ViralityPredictorApp {
             summary.push(`Non-trainable Parameters: ${nonTrainable.toLocaleString()}`);
 
             this.elements.modelParams.textContent = summary.join(' • ');
+            if (this.elements.modelProvenance) {
+                this.elements.modelProvenance.textContent = describeProvenance(this.metadata);
+            }
             this.elements.modelInfoContainer.classList.remove('hidden');
         } catch (e) {
             console.error('Error displaying model info:', e);
         }
     }
 
-    loadScalerMetadata() {
-        // Try to load scaler metadata from model
-        // In production, this would be saved with the model
-        // For now, initialize with default values
-        // User should train model to get proper scaler values
-        console.log('Scaler metadata loaded (using defaults from training)');
+    loadScalerMetadata(metadata) {
+        this.metadata = metadata;
+        this.decision = resolveDecision(this.metadata);
+
+        if (!this.metadata) {
+            console.warn('Model has no embedded metadata, using identity scaler');
+            return;
+        }
+
+        this.scaler = {
+            mean: [...this.metadata.scaler.mean],
+            std: [...this.metadata.scaler.std]
+        };
+        console.log('Scaler metadata loaded from model:', this.metadata.trainedAt);
     }
 
     async predict() {
@@ -225,11 +296,8 @@ class ViralityPredictorApp {
 
             // Clamp features to reasonable ranges
             const clampedFeatures = features.map((value, idx) => {
-                // Title and description length: 0-500, 0-2000
-                if (idx === 0) return Math.max(0, Math.min(500, value));
-                if (idx === 1) return Math.max(0, Math.min(2000, value));
-                // Visual and audio features: 0-1
-                return Math.max(0, Math.min(1, value));
+                const { min, max } = FEATURE_RANGES[this.features[idx]];
+                return Math.max(min, Math.min(max, value));
             });
 
             this.setStatus('info', 'Running inference...');
@@ -251,35 +319,34 @@ class ViralityPredictorApp {
             }
 
             // Make prediction
-            const inputTensor = tf.tensor2d([normalizedFeatures]);
-            
-            if (!inputTensor) {
-                throw new Error('Failed to create input tensor');
-            }
-
-            const prediction = this.model.predict(inputTensor);
-            
-            if (!prediction) {
-                throw new Error('Model prediction returned null');
-            }
-
-            const result = await prediction.data();
-            let probability = result[0];
+            let probability = await this.modelOutput(normalizedFeatures);
 
             // Validate model output
             if (!isFinite(probability)) {
                 throw new Error(`Model produced invalid output: ${probability}`);
             }
 
-            // Clamp probability to valid range
-            probability = Math.max(0, Math.min(1, probability));
+            // Apply the stored calibration (if any) and clamp to the valid range
+            probability = modelProbability(probability, this.metadata);
 
-            // Cleanup tensors
-            inputTensor.dispose();
-            prediction.dispose();
+            // Per-feature contributions; the score is still shown if they fail
+            let explanation = null;
+            try {
+                explanation = await this.explainPrediction(normalizedFeatures);
+            } catch (error) {
+                console.warn('Could not explain prediction:', error);
+            }
+
+            let recommendations = null;
+            try {
+                recommendations = await this.recommendChanges(clampedFeatures, probability);
+            } catch (error) {
+                console.warn('Could not compute recommendations:', error);
+            }
 
             // Display results
-            this.displayResults(probability, clampedFeatures);
+            this.lastFeatures = clampedFeatures;
+            this.displayResults(probability, clampedFeatures, explanation, recommendations);
             this.setStatus('success', 'Prediction complete');
 
         } catch (error) {
@@ -288,10 +355,226 @@ class ViralityPredictorApp {
         }
     }
 
-    displayResults(probability, features) {
+    /**
+     * Raw output of the loaded network or baseline for one scaled feature row
+     * @param {Array<number>} normalizedFeatures - Scaled features
+     * @returns {Promise<number>}
+     */
+    async modelOutput(normalizedFeatures) {
+        return (await this.modelOutputs([normalizedFeatures]))[0];
+    }
+
+    /**
+     * Raw outputs for several scaled feature rows in one batch
+     * @param {Array<Array<number>>} rows - Scaled feature rows
+     * @returns {Promise<Array<number>>}
+     */
+    async modelOutputs(rows) {
+        if (this.baseline) {
+            return predictBaseline(this.baseline, rows);
+        }
+
+        const inputTensor = tf.tensor2d(rows);
+        const prediction = this.model.predict(inputTensor);
+        if (!prediction) {
+            inputTensor.dispose();
+            throw new Error('Model prediction returned null');
+        }
+
+        const result = await prediction.data();
+        inputTensor.dispose();
+        prediction.dispose();
+        return Array.from(result);
+    }
+
+    /**
+     * Shapley contributions of each feature to the calibrated probability,
+     * against an average training video (every scaled feature at 0)
+     * @param {Array<number>} normalizedFeatures - Scaled features
+     * @returns {Promise<Object>} - { baseValue, value, contributions }
+     */
+    async explainPrediction(normalizedFeatures) {
+        const predict = async rows => (await this.modelOutputs(rows)).map(output => modelProbability(output, this.metadata));
+        return shapleyValues(predict, normalizedFeatures, this.features.map(() => 0));
+    }
+
+    /**
+     * Signed bar per feature, largest effect first, in percentage points of probability
+     * @param {Object|null} explanation - Result of explainPrediction
+     */
+    displayExplanation(explanation) {
+        if (!this.elements.explanation) return;
+
+        this.elements.explanation.style.display = explanation ? '' : 'none';
+        if (!explanation) return;
+
+        const { baseValue, value, contributions } = explanation;
+        const order = contributions.map((_, i) => i).sort((a, b) => Math.abs(contributions[b]) - Math.abs(contributions[a]));
+        const scale = Math.max(...contributions.map(Math.abs)) || 1;
+
+        this.elements.explanationChart.replaceChildren(...order.map(i => {
+            const contribution = contributions[i];
+            const row = document.createElement('div');
+            row.className = 'explanation-row';
+
+            const label = document.createElement('span');
+            label.textContent = this.features[i];
+
+            const track = document.createElement('div');
+            track.className = 'explanation-track';
+            const bar = document.createElement('div');
+            bar.className = `explanation-bar ${contribution >= 0 ? 'positive' : 'negative'}`;
+            bar.style.width = `${(Math.abs(contribution) / scale) * 50}%`;
+            track.appendChild(bar);
+
+            const amount = document.createElement('span');
+            amount.className = 'explanation-value';
+            amount.textContent = `${contribution >= 0 ? '+' : '−'}${Math.abs(contribution * 100).toFixed(1)} pts`;
+
+            row.append(label, track, amount);
+            return row;
+        }));
+
+        this.elements.explanationNote.textContent =
+            `An average training video scores ${(baseValue * 100).toFixed(1)}%; ` +
+            `the bars add up to the ${((value - baseValue) * 100).toFixed(1)}-point difference to this video.`;
+    }
+
+    /**
+     * Calibrated probabilities for raw feature rows
+     * @param {Array<Array<number>>} rows - Raw (unscaled) feature rows
+     * @returns {Promise<Array<number>>}
+     */
+    async predictRaw(rows) {
+        const scaled = rows.map(row => row.map((value, idx) => {
+            const normalized = (value - this.scaler.mean[idx]) / (this.scaler.std[idx] || 1);
+            return isFinite(normalized) ? normalized : 0;
+        }));
+        const outputs = await this.modelOutputs(scaled);
+        return outputs.map(output => modelProbability(output, this.metadata));
+    }
+
+    /**
+     * Smallest feasible changes to the title, description and audio that
+     * reach the decision threshold, or the next tier for viral videos
+     * @param {Array<number>} features - Clamped raw features
+     * @param {number} probability - Calibrated probability of those features
+     * @returns {Promise<Object>} - { probability, suggestions, target }
+     */
+    async recommendChanges(features, probability) {
+        const target = recommendationTarget(probability, this.decision);
+        const result = await findCounterfactuals(rows => this.predictRaw(rows), features, {
+            features: this.features,
+            target: target ? target.value : null
+        });
+        return { ...result, target };
+    }
+
+    /**
+     * One line per suggestion with the probability it would reach
+     * @param {Object|null} recommendations - Result of recommendChanges
+     */
+    displayRecommendations(recommendations) {
+        if (!this.elements.recommendations) return;
+
+        this.elements.recommendations.style.display = recommendations ? '' : 'none';
+        if (!recommendations) return;
+
+        const { suggestions, target } = recommendations;
+        this.elements.recommendationsList.replaceChildren(...suggestions.map(suggestion => {
+            const item = document.createElement('li');
+            item.className = 'recommendation';
+
+            const text = document.createElement('span');
+            text.textContent = suggestion.changes.map(describeChange).join('; ');
+
+            const gain = document.createElement('span');
+            gain.className = `recommendation-gain${suggestion.reachesTarget ? ' reaches' : ''}`;
+            gain.textContent = `${(suggestion.probability * 100).toFixed(1)}% (+${(suggestion.gain * 100).toFixed(1)} pts)`;
+
+            item.append(text, gain);
+            return item;
+        }));
+
+        const goal = target ? `${target.label} (${(target.value * 100).toFixed(0)}%)` : null;
+        let note;
+        if (suggestions.length === 0) {
+            note = 'No nearby change to the title, description or audio raises the score by a point or more.';
+        } else if (suggestions[0].reachesTarget) {
+            note = `Smallest changes that reach ${goal}, with the video itself unchanged.`;
+        } else if (goal) {
+            note = `No nearby change reaches ${goal}; these raise the score most.`;
+        } else {
+            note = 'Already in the top tier; these nearby changes raise the score most.';
+        }
+        this.elements.recommendationsNote.textContent = note;
+    }
+
+    populateWhatIfInputs() {
+        if (!this.elements.whatIfFeature) return;
+
+        const options = () => this.features.map((feature, i) => new Option(feature, i));
+        this.elements.whatIfFeature.replaceChildren(...options());
+        this.elements.whatIfFeatureY.replaceChildren(new Option('No second feature', ''), ...options());
+    }
+
+    /**
+     * Probability as the selected feature sweeps its accepted range around the
+     * latest prediction; with a second feature, a heatmap over both
+     */
+    async runWhatIf() {
+        if (!this.modelLoaded || !this.lastFeatures) {
+            this.setStatus('error', 'Run a prediction first');
+            return;
+        }
+
+        try {
+            const xIndex = Number(this.elements.whatIfFeature.value);
+            const yValue = this.elements.whatIfFeatureY.value;
+            const yIndex = yValue === '' ? null : Number(yValue);
+            const values = (index, steps) => {
+                const { min, max } = FEATURE_RANGES[this.features[index]];
+                // Lengths are whole characters
+                return sweepValues(min, max, steps, { integer: max > 1 });
+            };
+            const formatProbability = value => `${(value * 100).toFixed(1)}%`;
+            const predict = rows => this.predictRaw(rows);
+
+            let outputs;
+            if (yIndex === null || yIndex === xIndex) {
+                const sweep = await featureSweep(predict, this.lastFeatures, xIndex, values(xIndex));
+                drawSweepChart(this.elements.whatIfChart, sweep, {
+                    xLabel: this.features[xIndex],
+                    formatY: formatProbability,
+                    current: this.lastFeatures[xIndex]
+                });
+                outputs = sweep.outputs;
+            } else {
+                const grid = await featureGrid(predict, this.lastFeatures, [xIndex, yIndex],
+                    [values(xIndex, GRID_STEPS), values(yIndex, GRID_STEPS)]);
+                drawHeatmap(this.elements.whatIfChart, grid, {
+                    xLabel: this.features[xIndex],
+                    yLabel: this.features[yIndex],
+                    formatValue: formatProbability,
+                    current: [this.lastFeatures[xIndex], this.lastFeatures[yIndex]]
+                });
+                outputs = grid.outputs.flat();
+            }
+
+            this.elements.whatIfResult.textContent =
+                `Virality probability ranges from ${formatProbability(Math.min(...outputs))} to ` +
+                `${formatProbability(Math.max(...outputs))}; threshold ${this.decision.threshold.toFixed(2)}, other features fixed.`;
+        } catch (error) {
+            console.error('What-if error:', error);
+            this.setStatus('error', `What-if failed: ${error.message}`);
+        }
+    }
+
+    displayResults(probability, features, explanation = null, recommendations = null) {
         try {
             const score = Math.round(probability * 100);
-            const isViral = probability > 0.5;
+            // Threshold and tiers come from the model metadata (0.5 for legacy models)
+            const { viral: isViral, tier } = classifyProbability(probability, this.decision);
 
             // Update score display
             this.elements.viralityScore.textContent = score + '%';
@@ -303,7 +586,13 @@ class ViralityPredictorApp {
             this.elements.confidenceBar.style.backgroundColor = isViral ? '#2180a4' : '#ff5459';
 
             // Update probability text
-            this.elements.probabilityText.textContent = `Probability: ${probability.toFixed(4)} (${score}%)`;
+            let details = `Probability: ${probability.toFixed(4)} (${score}%), threshold ${this.decision.threshold.toFixed(2)}`;
+            if (tier) {
+                details += `, ${tier} tier`;
+            }
+            this.elements.probabilityText.textContent = details;
+            this.displayExplanation(explanation);
+            this.displayRecommendations(recommendations);
 
             // Show results
             this.elements.resultsContainer.classList.remove('hidden');
@@ -313,7 +602,11 @@ class ViralityPredictorApp {
                 probability: probability.toFixed(4),
                 score: score,
                 label: isViral ? 'VIRAL' : 'NOT VIRAL',
-                features: features
+                threshold: this.decision.threshold,
+                tier: tier,
+                features: features,
+                contributions: explanation ? explanation.contributions : null,
+                recommendations: recommendations ? recommendations.suggestions : null
             });
         } catch (e) {
             console.error('Error displaying results:', e);